@@ -1,8 +1,9 @@
 import { useEffect, useState } from 'react';
 import { StatusBar } from 'expo-status-bar';
-import { View, ActivityIndicator, StyleSheet } from 'react-native';
+import { View, ActivityIndicator, StyleSheet, AppState, Alert } from 'react-native';
 import AppNavigator from './navigation/AppNavigator';
 import { initDatabase } from './services/databaseService';
+import { resumeQueue, startQueue } from './services/jobQueueService';
 import { COLORS } from './utils/constants';
 
 export default function App() {
@@ -12,12 +13,32 @@ export default function App() {
     initializeApp();
   }, []);
 
+  useEffect(() => {
+    if (!isReady) {
+      return;
+    }
+
+    // Coming back to the app is a good moment to retry deferred work,
+    // e.g. recordings saved while offline
+    const subscription = AppState.addEventListener('change', (state) => {
+      if (state === 'active') {
+        startQueue();
+      }
+    });
+
+    return () => subscription.remove();
+  }, [isReady]);
+
   const initializeApp = async () => {
     try {
       await initDatabase();
       setIsReady(true);
+      // Pick up processing interrupted by a crash, kill or lost connection
+      resumeQueue();
     } catch (error) {
       console.error('Failed to initialize app:', error);
+      // A failed migration leaves the previous schema intact, so the app can still open
+      Alert.alert('Database Error', error.message);
       // Still set ready to true to allow app to load (user can see error in settings)
       setIsReady(true);
     }
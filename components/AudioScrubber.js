@@ -0,0 +1,150 @@
+import React, { useState } from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import { COLORS } from '../utils/constants';
+
+export const PLAYBACK_RATES = [0.75, 1, 1.25, 1.5, 2];
+
+const formatTime = (ms) => {
+  const seconds = Math.floor((ms || 0) / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+};
+
+/**
+ * Play/pause, a draggable position bar, elapsed and total time, and a speed
+ * button that cycles through PLAYBACK_RATES
+ */
+export default function AudioScrubber({
+  positionMs,
+  durationMs,
+  isPlaying,
+  rate,
+  onTogglePlay,
+  onSeek,
+  onChangeRate,
+}) {
+  const [width, setWidth] = useState(0);
+  // Position under the finger while dragging; playback only seeks on release
+  const [dragMs, setDragMs] = useState(null);
+
+  const positionAt = (locationX) =>
+    width > 0 ? Math.min(Math.max(locationX / width, 0), 1) * durationMs : 0;
+
+  const shownMs = dragMs ?? positionMs;
+  const progress = durationMs > 0 ? Math.min(shownMs / durationMs, 1) : 0;
+
+  const handleNextRate = () => {
+    const index = PLAYBACK_RATES.indexOf(rate);
+    onChangeRate(PLAYBACK_RATES[(index + 1) % PLAYBACK_RATES.length]);
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.controls}>
+        <TouchableOpacity style={styles.playButton} onPress={onTogglePlay}>
+          <Text style={styles.playButtonText}>{isPlaying ? '❚❚' : '▶'}</Text>
+        </TouchableOpacity>
+
+        <View
+          style={styles.track}
+          onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+          onStartShouldSetResponder={() => durationMs > 0}
+          onMoveShouldSetResponder={() => durationMs > 0}
+          onResponderGrant={(event) => setDragMs(positionAt(event.nativeEvent.locationX))}
+          onResponderMove={(event) => setDragMs(positionAt(event.nativeEvent.locationX))}
+          onResponderRelease={(event) => {
+            setDragMs(null);
+            onSeek(positionAt(event.nativeEvent.locationX));
+          }}
+          onResponderTerminate={() => setDragMs(null)}
+        >
+          <View style={styles.trackLine} pointerEvents="none" />
+          <View style={[styles.trackFill, { width: `${progress * 100}%` }]} pointerEvents="none" />
+          <View style={[styles.thumb, { left: `${progress * 100}%` }]} pointerEvents="none" />
+        </View>
+
+        <TouchableOpacity style={styles.rateButton} onPress={handleNextRate}>
+          <Text style={styles.rateButtonText}>{rate}×</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.times}>
+        <Text style={styles.timeText}>{formatTime(shownMs)}</Text>
+        <Text style={styles.timeText}>{formatTime(durationMs)}</Text>
+      </View>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingVertical: 12,
+    paddingHorizontal: 15,
+  },
+  controls: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  playButton: {
+    width: 36,
+    height: 36,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: COLORS.primary,
+  },
+  playButtonText: {
+    fontSize: 12,
+    color: COLORS.card,
+  },
+  track: {
+    flex: 1,
+    height: 30,
+    justifyContent: 'center',
+  },
+  trackLine: {
+    height: 1,
+    backgroundColor: COLORS.border,
+  },
+  trackFill: {
+    position: 'absolute',
+    left: 0,
+    height: 3,
+    backgroundColor: COLORS.primary,
+  },
+  thumb: {
+    position: 'absolute',
+    width: 12,
+    height: 12,
+    marginLeft: -6,
+    borderRadius: 6,
+    backgroundColor: COLORS.primary,
+  },
+  rateButton: {
+    minWidth: 48,
+    paddingVertical: 6,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  rateButtonText: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 0.5,
+  },
+  times: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+    marginLeft: 48,
+    marginRight: 60,
+  },
+  timeText: {
+    fontSize: 11,
+    color: COLORS.textSecondary,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
+});
@@ -0,0 +1,240 @@
+import React, { useState, useEffect } from 'react';
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  StyleSheet,
+  KeyboardAvoidingView,
+  Platform,
+  Alert,
+} from 'react-native';
+import {
+  getManualFolders,
+  getManualFolderMembership,
+  createManualFolder,
+  addEntriesToFolder,
+  removeEntriesFromFolder,
+} from '../services/databaseService';
+import { COLORS } from '../utils/constants';
+
+/**
+ * Add one or more entries to manual folders. A folder is checked when it
+ * holds every entry; tapping it adds them all, or removes them all if it
+ * already did.
+ */
+export default function FolderPickerModal({ visible, entryIds, onClose }) {
+  const [folders, setFolders] = useState([]);
+  const [membership, setMembership] = useState(new Map());
+  const [newFolderName, setNewFolderName] = useState('');
+
+  useEffect(() => {
+    if (visible) {
+      setNewFolderName('');
+      loadFolders();
+    }
+  }, [visible]);
+
+  const loadFolders = async () => {
+    try {
+      setFolders(await getManualFolders());
+      setMembership(await getManualFolderMembership(entryIds));
+    } catch (error) {
+      console.error('Error loading folders:', error);
+    }
+  };
+
+  const handleToggleFolder = async (folderId) => {
+    try {
+      if (membership.get(folderId) === entryIds.length) {
+        await removeEntriesFromFolder(folderId, entryIds, 'manual');
+      } else {
+        await addEntriesToFolder(folderId, entryIds, 'manual');
+      }
+      setMembership(await getManualFolderMembership(entryIds));
+    } catch (error) {
+      console.error('Error updating folder:', error);
+      Alert.alert('Error', 'Failed to update folder');
+    }
+  };
+
+  const handleCreateFolder = async () => {
+    const name = newFolderName.trim();
+    if (!name) {
+      return;
+    }
+    try {
+      const folderId = await createManualFolder(name);
+      await addEntriesToFolder(folderId, entryIds, 'manual');
+      setNewFolderName('');
+      await loadFolders();
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      Alert.alert('Error', 'Failed to create folder');
+    }
+  };
+
+  const count = entryIds.length;
+
+  return (
+    <Modal
+      visible={visible}
+      transparent={true}
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.modalOverlay}
+      >
+        <View style={styles.modalContent}>
+          <Text style={styles.modalTitle}>
+            {count === 1 ? 'Add to Folder' : `Add ${count} Entries to Folder`}
+          </Text>
+
+          <ScrollView style={styles.folderList}>
+            {folders.length === 0 && (
+              <Text style={styles.emptyText}>No folders yet</Text>
+            )}
+            {folders.map((folder) => {
+              const held = membership.get(folder.id) || 0;
+              const checked = held === count;
+              return (
+                <TouchableOpacity
+                  key={folder.id}
+                  style={styles.folderRow}
+                  onPress={() => handleToggleFolder(folder.id)}
+                >
+                  <Text style={styles.folderName} numberOfLines={1}>{folder.name}</Text>
+                  <Text style={styles.folderCheck}>
+                    {checked ? '✓' : held > 0 ? '–' : ''}
+                  </Text>
+                </TouchableOpacity>
+              );
+            })}
+          </ScrollView>
+
+          <View style={styles.newFolderRow}>
+            <TextInput
+              style={styles.input}
+              value={newFolderName}
+              onChangeText={setNewFolderName}
+              placeholder="New folder"
+              placeholderTextColor={COLORS.textSecondary}
+              onSubmitEditing={handleCreateFolder}
+              returnKeyType="done"
+            />
+            <TouchableOpacity style={styles.createButton} onPress={handleCreateFolder}>
+              <Text style={styles.createButtonText}>Create</Text>
+            </TouchableOpacity>
+          </View>
+
+          <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+            <Text style={styles.doneButtonText}>Done</Text>
+          </TouchableOpacity>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  modalOverlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  modalContent: {
+    backgroundColor: COLORS.background,
+    padding: 30,
+    width: '85%',
+    maxWidth: 400,
+    maxHeight: '75%',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  modalTitle: {
+    fontSize: 16,
+    fontWeight: '400',
+    color: COLORS.text,
+    marginBottom: 20,
+    letterSpacing: 1,
+    textAlign: 'center',
+  },
+  folderList: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginBottom: 20,
+  },
+  emptyText: {
+    fontSize: 13,
+    fontWeight: '300',
+    color: COLORS.textSecondary,
+    padding: 15,
+    textAlign: 'center',
+  },
+  folderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 14,
+    paddingHorizontal: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  folderName: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '400',
+    color: COLORS.text,
+  },
+  folderCheck: {
+    width: 20,
+    fontSize: 14,
+    color: COLORS.text,
+    textAlign: 'right',
+  },
+  newFolderRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginBottom: 20,
+  },
+  input: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    fontSize: 14,
+    color: COLORS.text,
+    fontWeight: '300',
+  },
+  createButton: {
+    paddingHorizontal: 14,
+    justifyContent: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  createButtonText: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 1,
+  },
+  doneButton: {
+    paddingVertical: 14,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  doneButtonText: {
+    fontSize: 13,
+    fontWeight: '400',
+    color: COLORS.card,
+    letterSpacing: 1,
+  },
+});
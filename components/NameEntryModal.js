@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import {
   Modal,
   View,
@@ -11,8 +11,22 @@ import {
 } from 'react-native';
 import { COLORS } from '../utils/constants';
 
-export default function NameEntryModal({ visible, onSave, onSkip }) {
-  const [name, setName] = useState('');
+export default function NameEntryModal({
+  visible,
+  onSave,
+  onSkip,
+  title = 'Name this entry',
+  initialValue = '',
+  skipLabel = 'Skip',
+  saveLabel = 'Save',
+}) {
+  const [name, setName] = useState(initialValue);
+
+  useEffect(() => {
+    if (visible) {
+      setName(initialValue);
+    }
+  }, [visible, initialValue]);
 
   const handleSave = () => {
     if (name.trim()) {
@@ -38,7 +52,7 @@ export default function NameEntryModal({ visible, onSave, onSkip }) {
         style={styles.modalOverlay}
       >
         <View style={styles.modalContent}>
-          <Text style={styles.modalTitle}>Name this entry</Text>
+          <Text style={styles.modalTitle}>{title}</Text>
           <TextInput
             style={styles.input}
             value={name}
@@ -54,13 +68,13 @@ export default function NameEntryModal({ visible, onSave, onSkip }) {
               style={[styles.button, styles.skipButton]}
               onPress={handleSkip}
             >
-              <Text style={styles.skipButtonText}>Skip</Text>
+              <Text style={styles.skipButtonText}>{skipLabel}</Text>
             </TouchableOpacity>
             <TouchableOpacity
               style={[styles.button, styles.saveButton]}
               onPress={handleSave}
             >
-              <Text style={styles.saveButtonText}>Save</Text>
+              <Text style={styles.saveButtonText}>{saveLabel}</Text>
             </TouchableOpacity>
           </View>
         </View>
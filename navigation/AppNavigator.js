@@ -4,9 +4,12 @@ import { createStackNavigator, CardStyleInterpolators } from '@react-navigation/
 import HomeScreen from '../screens/HomeScreen';
 import JournalListScreen from '../screens/JournalListScreen';
 import EntryDetailScreen from '../screens/EntryDetailScreen';
+import EntryHistoryScreen from '../screens/EntryHistoryScreen';
 import FolderDetailScreen from '../screens/FolderDetailScreen';
+import FolderBuilderScreen from '../screens/FolderBuilderScreen';
 import SettingsScreen from '../screens/SettingsScreen';
 import SearchScreen from '../screens/SearchScreen';
+import AskScreen from '../screens/AskScreen';
 
 const Stack = createStackNavigator();
 
@@ -39,8 +42,11 @@ export default function AppNavigator() {
         <Stack.Screen name="Home" component={HomeScreen} />
         <Stack.Screen name="JournalList" component={JournalListScreen} />
         <Stack.Screen name="Search" component={SearchScreen} />
+        <Stack.Screen name="Ask" component={AskScreen} />
         <Stack.Screen name="FolderDetail" component={FolderDetailScreen} />
+        <Stack.Screen name="FolderBuilder" component={FolderBuilderScreen} />
         <Stack.Screen name="EntryDetail" component={EntryDetailScreen} />
+        <Stack.Screen name="EntryHistory" component={EntryHistoryScreen} />
         <Stack.Screen name="Settings" component={SettingsScreen} />
       </Stack.Navigator>
     </NavigationContainer>
@@ -0,0 +1,455 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import { askJournal, parseCitations } from '../services/askService';
+import { COLORS } from '../utils/constants';
+
+export default function AskScreen({ navigation }) {
+  const [question, setQuestion] = useState('');
+  const [turns, setTurns] = useState([]);
+  const [sources, setSources] = useState([]);
+  const [asking, setAsking] = useState(false);
+  const [streamingAnswer, setStreamingAnswer] = useState('');
+  const [pendingQuestion, setPendingQuestion] = useState('');
+  const abortRef = useRef(null);
+  const scrollRef = useRef(null);
+
+  useEffect(() => {
+    return () => {
+      if (abortRef.current) {
+        abortRef.current.abort();
+      }
+    };
+  }, []);
+
+  const handleAsk = async () => {
+    const trimmed = question.trim();
+    if (!trimmed || asking) {
+      return;
+    }
+
+    setQuestion('');
+    setPendingQuestion(trimmed);
+    setStreamingAnswer('');
+    setAsking(true);
+
+    const abortController = new AbortController();
+    abortRef.current = abortController;
+
+    try {
+      const result = await askJournal(trimmed, {
+        history: turns.map(turn => ({ question: turn.question, answer: turn.answer })),
+        sources,
+        // Make new sources tappable while the answer is still streaming
+        onSources: setSources,
+        onChunk: (token, accumulated) => setStreamingAnswer(accumulated),
+        signal: abortController.signal,
+      });
+
+      setSources(result.sources);
+      setTurns(prev => [...prev, { question: trimmed, answer: result.answer }]);
+    } catch (error) {
+      console.error('Ask error:', error);
+      Alert.alert('Error', 'Failed to answer: ' + error.message);
+      setQuestion(trimmed);
+    } finally {
+      abortRef.current = null;
+      setAsking(false);
+      setPendingQuestion('');
+      setStreamingAnswer('');
+    }
+  };
+
+  const handleStop = () => {
+    if (abortRef.current) {
+      abortRef.current.abort();
+    }
+  };
+
+  const handleNewConversation = () => {
+    setTurns([]);
+    setSources([]);
+    setQuestion('');
+  };
+
+  const formatDate = (dateString) => {
+    return new Date(dateString).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+  };
+
+  const openSource = (ref) => {
+    const source = sources.find(s => s.ref === ref);
+    if (source) {
+      navigation.navigate('EntryDetail', { entryId: source.entryId });
+    }
+  };
+
+  const renderAnswer = (answer) => (
+    <Text style={styles.answerText}>
+      {parseCitations(answer).map((segment, idx) => (
+        segment.type === 'citation'
+          ? (
+            <Text
+              key={idx}
+              style={styles.citation}
+              onPress={() => openSource(segment.value)}
+            >
+              [{segment.value}]
+            </Text>
+          )
+          : segment.value
+      ))}
+    </Text>
+  );
+
+  const getCitedSources = (answer) => {
+    const cited = new Set(
+      parseCitations(answer)
+        .filter(segment => segment.type === 'citation')
+        .map(segment => segment.value)
+    );
+    return sources.filter(source => cited.has(source.ref));
+  };
+
+  const renderSources = (answer) => {
+    const cited = getCitedSources(answer);
+    if (cited.length === 0) {
+      return null;
+    }
+
+    return (
+      <View style={styles.sourcesContainer}>
+        <Text style={styles.sourcesTitle}>SOURCES</Text>
+        {cited.map(source => (
+          <TouchableOpacity
+            key={source.ref}
+            style={styles.sourceRow}
+            onPress={() => navigation.navigate('EntryDetail', { entryId: source.entryId })}
+          >
+            <Text style={styles.sourceRef}>[{source.ref}]</Text>
+            <View style={styles.sourceInfo}>
+              <Text style={styles.sourceTitle} numberOfLines={1}>
+                {source.name || formatDate(source.date)}
+              </Text>
+              {source.name && (
+                <Text style={styles.sourceDate}>{formatDate(source.date)}</Text>
+              )}
+            </View>
+            <Text style={styles.sourceArrow}>→</Text>
+          </TouchableOpacity>
+        ))}
+      </View>
+    );
+  };
+
+  const renderEmptyState = () => (
+    <View style={styles.emptyContainer}>
+      <Text style={styles.emptyTitle}>Ask your journal</Text>
+      <Text style={styles.emptyText}>
+        Answers are drawn from your entries, with numbered links back to the entries they came from.
+      </Text>
+      <View style={styles.tipsContainer}>
+        <Text style={styles.tipsTitle}>Try asking:</Text>
+        <Text style={styles.tipText}>• When did I last feel burned out, and what helped?</Text>
+        <Text style={styles.tipText}>• What have I been saying about work lately?</Text>
+        <Text style={styles.tipText}>• How did the trip in the spring go?</Text>
+      </View>
+    </View>
+  );
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+    >
+      <View style={styles.header}>
+        <View style={styles.headerRow}>
+          <TouchableOpacity
+            style={styles.backButton}
+            onPress={() => navigation.goBack()}
+          >
+            <Text style={styles.backButtonText}>← Back</Text>
+          </TouchableOpacity>
+          {turns.length > 0 && !asking && (
+            <TouchableOpacity onPress={handleNewConversation}>
+              <Text style={styles.newButtonText}>New</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+        <Text style={styles.title}>Ask</Text>
+      </View>
+
+      {turns.length === 0 && !asking ? (
+        renderEmptyState()
+      ) : (
+        <ScrollView
+          ref={scrollRef}
+          style={styles.conversation}
+          contentContainerStyle={styles.conversationContent}
+          onContentSizeChange={() => scrollRef.current?.scrollToEnd({ animated: true })}
+        >
+          {turns.map((turn, idx) => (
+            <View key={idx} style={styles.turn}>
+              <Text style={styles.questionText}>{turn.question}</Text>
+              {renderAnswer(turn.answer)}
+              {renderSources(turn.answer)}
+            </View>
+          ))}
+
+          {asking && (
+            <View style={styles.turn}>
+              <Text style={styles.questionText}>{pendingQuestion}</Text>
+              {streamingAnswer ? (
+                renderAnswer(streamingAnswer)
+              ) : (
+                <View style={styles.thinkingRow}>
+                  <ActivityIndicator size="small" color={COLORS.primary} />
+                  <Text style={styles.thinkingText}>Searching your journal...</Text>
+                </View>
+              )}
+            </View>
+          )}
+        </ScrollView>
+      )}
+
+      <View style={styles.inputContainer}>
+        <TextInput
+          style={styles.input}
+          placeholder={turns.length > 0 ? 'Ask a follow-up...' : 'Ask a question...'}
+          placeholderTextColor={COLORS.textSecondary}
+          value={question}
+          onChangeText={setQuestion}
+          onSubmitEditing={handleAsk}
+          returnKeyType="send"
+          editable={!asking}
+          multiline
+          blurOnSubmit
+        />
+        {asking ? (
+          <TouchableOpacity style={styles.askButton} onPress={handleStop}>
+            <Text style={styles.askButtonText}>Stop</Text>
+          </TouchableOpacity>
+        ) : (
+          <TouchableOpacity
+            style={[styles.askButton, !question.trim() && styles.askButtonDisabled]}
+            onPress={handleAsk}
+            disabled={!question.trim()}
+          >
+            <Text style={styles.askButtonText}>Ask</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    paddingTop: 60,
+    paddingHorizontal: 40,
+    paddingBottom: 20,
+    backgroundColor: COLORS.background,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+  },
+  backButtonText: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  newButtonText: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '300',
+    color: COLORS.text,
+    letterSpacing: 2,
+  },
+  conversation: {
+    flex: 1,
+  },
+  conversationContent: {
+    padding: 40,
+    paddingTop: 20,
+  },
+  turn: {
+    marginBottom: 30,
+  },
+  questionText: {
+    fontSize: 15,
+    fontWeight: '400',
+    color: COLORS.text,
+    marginBottom: 12,
+    letterSpacing: 0.5,
+  },
+  answerText: {
+    fontSize: 14,
+    color: COLORS.text,
+    lineHeight: 22,
+    fontWeight: '300',
+  },
+  citation: {
+    fontWeight: '500',
+    textDecorationLine: 'underline',
+  },
+  thinkingRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 10,
+  },
+  thinkingText: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+    letterSpacing: 0.5,
+  },
+  sourcesContainer: {
+    marginTop: 16,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    paddingTop: 12,
+  },
+  sourcesTitle: {
+    fontSize: 10,
+    color: COLORS.textSecondary,
+    fontWeight: '400',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  sourceRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    gap: 10,
+  },
+  sourceRef: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '500',
+  },
+  sourceInfo: {
+    flex: 1,
+  },
+  sourceTitle: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+  },
+  sourceDate: {
+    fontSize: 11,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+    marginTop: 2,
+  },
+  sourceArrow: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
+  inputContainer: {
+    flexDirection: 'row',
+    alignItems: 'flex-end',
+    paddingHorizontal: 40,
+    paddingVertical: 20,
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    gap: 10,
+  },
+  input: {
+    flex: 1,
+    fontSize: 15,
+    color: COLORS.text,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: COLORS.background,
+    fontWeight: '300',
+    maxHeight: 120,
+  },
+  askButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: COLORS.primary,
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  askButtonDisabled: {
+    opacity: 0.4,
+  },
+  askButtonText: {
+    fontSize: 12,
+    color: COLORS.card,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 40,
+  },
+  emptyTitle: {
+    fontSize: 16,
+    fontWeight: '400',
+    color: COLORS.text,
+    marginBottom: 10,
+    letterSpacing: 1,
+  },
+  emptyText: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    fontWeight: '300',
+    letterSpacing: 0.5,
+    marginBottom: 30,
+  },
+  tipsContainer: {
+    width: '100%',
+    alignItems: 'flex-start',
+  },
+  tipsTitle: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    marginBottom: 12,
+    letterSpacing: 1,
+  },
+  tipText: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+    marginBottom: 6,
+    letterSpacing: 0.5,
+  },
+});
@@ -1,33 +1,93 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   ScrollView,
   TouchableOpacity,
+  TextInput,
   Alert,
   ActivityIndicator,
 } from 'react-native';
 import {
   getJournalEntry,
   getConversationMessages,
+  updateJournalEntry,
+  updateConversationMessage,
   deleteJournalEntry,
+  getEntryAudioPaths,
+  getManualFoldersForEntry,
+  getSmartFolders,
 } from '../services/databaseService';
-import { playAudio, stopAudio, deleteAudioFile } from '../services/audioService';
-import { COLORS, JOURNAL_MODES } from '../utils/constants';
+import {
+  playAudio,
+  pauseAudio,
+  resumeAudio,
+  seekAudio,
+  setAudioRate,
+  playSession,
+  stopSession,
+  deleteAudioFile,
+} from '../services/audioService';
+import {
+  runEntryStep,
+  startQueue,
+  reprocessEntry,
+  JOB_STEP_LABELS,
+} from '../services/jobQueueService';
+import {
+  COLORS,
+  JOURNAL_MODES,
+  ENTRY_STATUS,
+  SMART_FOLDER_TYPES,
+  JOB_STEPS,
+} from '../utils/constants';
+import { buildTimedSentences, findSentenceAt } from '../utils/transcriptTiming';
+import { formatConversation } from '../utils/conversation';
+import FolderPickerModal from '../components/FolderPickerModal';
+import NameEntryModal from '../components/NameEntryModal';
+import AudioScrubber from '../components/AudioScrubber';
 
 export default function EntryDetailScreen({ route, navigation }) {
   const { entryId } = route.params;
   const [entry, setEntry] = useState(null);
   const [messages, setMessages] = useState([]);
-  const [isPlaying, setIsPlaying] = useState(false);
+  // What's playing: { kind: 'entry' | 'message' | 'session', id }
+  const [playing, setPlaying] = useState(null);
+  const [sessionTurn, setSessionTurn] = useState(null);
+  // Progress of the loaded recording: { positionMs, durationMs, isPlaying }
+  const [playback, setPlayback] = useState(null);
+  const [rate, setRate] = useState(1);
   const [loading, setLoading] = useState(true);
+  const [folders, setFolders] = useState([]);
+  const [showFolderPicker, setShowFolderPicker] = useState(false);
+  const [showRenameModal, setShowRenameModal] = useState(false);
+  // The text being edited: { field: 'summary' | 'transcript' | 'message', messageId, text }
+  const [editing, setEditing] = useState(null);
+  const [saving, setSaving] = useState(false);
+  const [regenerating, setRegenerating] = useState(false);
+
+  // Transcripts split into timed sentences, where the timestamps still match the text
+  const entrySentences = useMemo(
+    () => buildTimedSentences(entry?.transcript_timing, entry?.transcript),
+    [entry?.transcript_timing, entry?.transcript]
+  );
+  const messageSentences = useMemo(
+    () => new Map(messages.map(msg => [msg.id, buildTimedSentences(msg.transcript_timing, msg.content)])),
+    [messages]
+  );
 
   useEffect(() => {
     loadEntry();
 
+    // Restoring from the history screen changes the entry underneath us
+    const unsubscribe = navigation.addListener('focus', () => {
+      loadEntry();
+    });
+
     return () => {
-      stopAudio();
+      unsubscribe();
+      stopSession();
     };
   }, [entryId]);
 
@@ -41,6 +101,7 @@ export default function EntryDetailScreen({ route, navigation }) {
         setMessages(messagesData);
       }
 
+      await loadFolders(entryData);
       setLoading(false);
     } catch (error) {
       console.error('Error loading entry:', error);
@@ -49,26 +110,275 @@ export default function EntryDetailScreen({ route, navigation }) {
     }
   };
 
-  const handlePlayAudio = async () => {
+  // Topic folder the entry was clustered into, then the manual folders holding it
+  const loadFolders = async (entryData) => {
+    const smartFolders = await getSmartFolders();
+    const topicFolder = entryData.cluster_id !== null
+      ? smartFolders.find(folder =>
+        folder.type === SMART_FOLDER_TYPES.CLUSTER && folder.cluster_id === entryData.cluster_id)
+      : null;
+    const manualFolders = await getManualFoldersForEntry(entryData.id);
+
+    setFolders([
+      ...(topicFolder ? [{ ...topicFolder, folderType: 'smart' }] : []),
+      ...manualFolders.map(folder => ({ ...folder, folderType: 'manual' })),
+    ]);
+  };
+
+  const handleFolderPickerClose = async () => {
+    setShowFolderPicker(false);
     try {
-      if (isPlaying) {
-        await stopAudio();
-        setIsPlaying(false);
+      await loadFolders(entry);
+    } catch (error) {
+      console.error('Error loading folders:', error);
+    }
+  };
+
+  const handleRename = async (name) => {
+    setShowRenameModal(false);
+    try {
+      await updateJournalEntry(entry.id, { name });
+      setEntry({ ...entry, name });
+    } catch (error) {
+      console.error('Error renaming entry:', error);
+      Alert.alert('Error', 'Failed to rename entry');
+    }
+  };
+
+  const startEditing = (field, text, messageId = null) => {
+    setEditing({ field, messageId, text: text || '' });
+  };
+
+  const handleSaveEdit = async () => {
+    const text = editing.text.trim();
+    if (!text) {
+      Alert.alert('Empty Text', 'Delete the entry instead if you no longer want it.');
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (editing.field === 'message') {
+        await updateConversationMessage(editing.messageId, text);
+        const messagesData = await getConversationMessages(entry.id);
+        setMessages(messagesData);
+        await updateJournalEntry(entry.id, { transcript: formatConversation(messagesData) });
       } else {
-        if (entry.audio_path) {
-          await playAudio(entry.audio_path);
-          setIsPlaying(true);
-
-          // Auto-stop when done
-          setTimeout(async () => {
-            setIsPlaying(false);
-          }, 1000); // This is a simple implementation, ideally you'd use proper callbacks
-        }
+        await updateJournalEntry(entry.id, { [editing.field]: text });
+      }
+
+      // Embedding and topics come from the transcript, or the summary when
+      // there is none, so a summary edit alongside a transcript changes nothing there
+      if (editing.field !== 'summary' || !entry.transcript) {
+        await reprocessEntry(entry.id);
+      }
+
+      setEditing(null);
+      await loadEntry();
+    } catch (error) {
+      console.error('Error saving edit:', error);
+      Alert.alert('Error', 'Failed to save changes');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleRegenerateSummary = async () => {
+    setRegenerating(true);
+    try {
+      // The summary step chains into embedding, topics and clustering
+      const { failed } = await runEntryStep(entry.id, JOB_STEPS.SUMMARY);
+      startQueue();
+
+      if (failed.length > 0) {
+        Alert.alert(
+          'Not Yet',
+          `${JOB_STEP_LABELS[failed[0].step]} failed: ${failed[0].error.message}\n\nIt will be retried automatically.`
+        );
       }
+      await loadEntry();
+    } catch (error) {
+      console.error('Error regenerating summary:', error);
+      Alert.alert('Error', 'Failed to regenerate summary');
+    } finally {
+      setRegenerating(false);
+    }
+  };
+
+  const renderEditor = () => (
+    <View>
+      <TextInput
+        style={styles.editInput}
+        value={editing.text}
+        onChangeText={(text) => setEditing({ ...editing, text })}
+        multiline
+        autoFocus
+        textAlignVertical="top"
+      />
+      <View style={styles.editActions}>
+        <TouchableOpacity
+          style={styles.editCancelButton}
+          onPress={() => setEditing(null)}
+          disabled={saving}
+        >
+          <Text style={styles.editCancelButtonText}>Cancel</Text>
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.editSaveButton}
+          onPress={handleSaveEdit}
+          disabled={saving}
+        >
+          {saving ? (
+            <ActivityIndicator size="small" color={COLORS.card} />
+          ) : (
+            <Text style={styles.editSaveButtonText}>Save</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </View>
+  );
+
+  const isEditing = (field, messageId = null) =>
+    editing?.field === field && editing.messageId === messageId;
+
+  // Whether a recording is loaded, playing or paused
+  const isPlaying = (kind, id = null) => playing?.kind === kind && playing.id === id;
+
+  // Only clear the state if nothing else has started playing since
+  const finishPlaying = (started) => {
+    setPlaying(current => (current === started ? null : current));
+  };
+
+  const loadRecording = async (kind, id, uri, positionMs = 0) => {
+    try {
+      await stopSession();
+      const started = { kind, id };
+      setPlaying(started);
+      setPlayback({ positionMs, durationMs: 0, isPlaying: true });
+      await playAudio(uri, () => finishPlaying(started), {
+        onStatus: setPlayback,
+        positionMs,
+        rate,
+      });
     } catch (error) {
       console.error('Error playing audio:', error);
       Alert.alert('Error', 'Failed to play audio');
-      setIsPlaying(false);
+      setPlaying(null);
+    }
+  };
+
+  const handleTogglePlayback = async (kind, id, uri) => {
+    if (!isPlaying(kind, id)) {
+      await loadRecording(kind, id, uri);
+      return;
+    }
+    try {
+      if (playback?.isPlaying) {
+        await pauseAudio();
+      } else {
+        await resumeAudio();
+      }
+    } catch (error) {
+      Alert.alert('Error', 'Failed to play audio');
+    }
+  };
+
+  const handleSeek = async (kind, id, uri, positionMs) => {
+    if (!isPlaying(kind, id)) {
+      await loadRecording(kind, id, uri, positionMs);
+      return;
+    }
+    try {
+      await seekAudio(positionMs);
+      setPlayback(current => current && { ...current, positionMs });
+    } catch (error) {
+      Alert.alert('Error', 'Failed to seek');
+    }
+  };
+
+  const handleStopPlayback = async () => {
+    try {
+      await stopSession();
+    } catch (error) {
+      console.error('Error stopping audio:', error);
+    }
+    setPlaying(null);
+  };
+
+  const handleChangeRate = async (newRate) => {
+    setRate(newRate);
+    if (playing && playing.kind !== 'session') {
+      try {
+        await setAudioRate(newRate);
+      } catch (error) {
+        Alert.alert('Error', 'Failed to change speed');
+      }
+    }
+  };
+
+  const renderScrubber = (kind, id, uri, durationMs) => {
+    const status = isPlaying(kind, id) && playback
+      ? playback
+      : { positionMs: 0, durationMs: durationMs || 0, isPlaying: false };
+
+    return (
+      <AudioScrubber
+        positionMs={status.positionMs}
+        durationMs={status.durationMs || durationMs || 0}
+        isPlaying={status.isPlaying}
+        rate={rate}
+        onTogglePlay={() => handleTogglePlayback(kind, id, uri)}
+        onSeek={(positionMs) => handleSeek(kind, id, uri, positionMs)}
+        onChangeRate={handleChangeRate}
+      />
+    );
+  };
+
+  // Tap a sentence to play from there; the one being spoken is highlighted
+  const renderTimedText = (sentences, kind, id, uri, style) => {
+    const current = isPlaying(kind, id) && playback
+      ? findSentenceAt(sentences, playback.positionMs)
+      : -1;
+
+    return (
+      <Text style={style}>
+        {sentences.map((sentence, index) => (
+          <Text
+            key={index}
+            style={index === current && styles.currentSentence}
+            onPress={uri ? () => handleSeek(kind, id, uri, sentence.start * 1000) : undefined}
+          >
+            {sentence.text}
+            {index < sentences.length - 1 ? ' ' : ''}
+          </Text>
+        ))}
+      </Text>
+    );
+  };
+
+  // Recorded user turns interleaved with the assistant's replies read aloud
+  const handlePlaySession = async () => {
+    try {
+      await stopSession();
+      if (isPlaying('session')) {
+        setPlaying(null);
+        return;
+      }
+
+      const started = { kind: 'session', id: null };
+      setPlaying(started);
+      const turns = messages.map(msg => ({
+        audioPath: msg.role === 'user' ? msg.audio_path : null,
+        text: msg.content,
+      }));
+      await playSession(turns, setSessionTurn);
+      setSessionTurn(null);
+      finishPlaying(started);
+    } catch (error) {
+      console.error('Error playing session:', error);
+      Alert.alert('Error', 'Failed to play conversation');
+      setSessionTurn(null);
+      setPlaying(null);
     }
   };
 
@@ -83,8 +393,8 @@ export default function EntryDetailScreen({ route, navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              if (entry.audio_path) {
-                await deleteAudioFile(entry.audio_path);
+              for (const audioPath of await getEntryAudioPaths(entry.id)) {
+                await deleteAudioFile(audioPath);
               }
               await deleteJournalEntry(entry.id);
               navigation.navigate('JournalList');
@@ -98,6 +408,11 @@ export default function EntryDetailScreen({ route, navigation }) {
     );
   };
 
+  const formatDuration = (durationMs) => {
+    const seconds = Math.round(durationMs / 1000);
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+  };
+
   const formatDate = (dateString) => {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
@@ -126,6 +441,10 @@ export default function EntryDetailScreen({ route, navigation }) {
     );
   }
 
+  const isConversation = entry.mode === JOURNAL_MODES.CONVERSATIONAL && messages.length > 0;
+  const awaitingTranscription = entry.processing_status === ENTRY_STATUS.PENDING_TRANSCRIPTION;
+  const hasText = !!entry.transcript || isConversation;
+
   return (
     <View style={styles.container}>
       <View style={styles.header}>
@@ -135,15 +454,25 @@ export default function EntryDetailScreen({ route, navigation }) {
         >
           <Text style={styles.backButtonText}>← Back</Text>
         </TouchableOpacity>
+        <TouchableOpacity
+          onPress={() => navigation.navigate('EntryHistory', { entryId: entry.id })}
+        >
+          <Text style={styles.backButtonText}>History</Text>
+        </TouchableOpacity>
       </View>
 
       <ScrollView style={styles.scrollView} contentContainerStyle={styles.content}>
         {/* Entry Name */}
-        {entry.name && (
-          <View style={styles.nameContainer}>
+        <TouchableOpacity
+          style={styles.nameContainer}
+          onPress={() => setShowRenameModal(true)}
+        >
+          {entry.name ? (
             <Text style={styles.entryName}>{entry.name}</Text>
-          </View>
-        )}
+          ) : (
+            <Text style={styles.addNameText}>+ Add a name</Text>
+          )}
+        </TouchableOpacity>
 
         {/* Date and Mode */}
         <View style={styles.metaContainer}>
@@ -162,60 +491,185 @@ export default function EntryDetailScreen({ route, navigation }) {
         </View>
 
         {/* Audio Player */}
-        {entry.audio_path && (
+        {isConversation ? (
           <TouchableOpacity
             style={styles.audioButton}
-            onPress={handlePlayAudio}
+            onPress={handlePlaySession}
           >
             <Text style={styles.audioButtonText}>
-              {isPlaying ? '⏸ Pause Audio' : '▶ Play Audio'}
+              {isPlaying('session') ? '■ Stop Session' : '▶ Play Whole Session'}
             </Text>
           </TouchableOpacity>
+        ) : entry.audio_path && (
+          <View style={styles.audioPlayer}>
+            {renderScrubber('entry', entry.id, entry.audio_path, entry.duration_ms)}
+          </View>
         )}
 
         {/* Summary */}
-        {entry.summary && (
+        {(entry.summary || hasText) && (
           <View style={styles.section}>
-            <Text style={styles.sectionTitle}>Summary</Text>
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Summary</Text>
+              {!editing && (
+                <View style={styles.sectionActions}>
+                  {regenerating ? (
+                    <ActivityIndicator size="small" color={COLORS.primary} />
+                  ) : (
+                    <TouchableOpacity onPress={handleRegenerateSummary}>
+                      <Text style={styles.sectionAction}>Regenerate</Text>
+                    </TouchableOpacity>
+                  )}
+                  <TouchableOpacity
+                    onPress={() => startEditing('summary', entry.summary)}
+                    disabled={regenerating}
+                  >
+                    <Text style={styles.sectionAction}>Edit</Text>
+                  </TouchableOpacity>
+                </View>
+              )}
+            </View>
             <View style={styles.summaryCard}>
-              <Text style={styles.summaryText}>{entry.summary}</Text>
+              {isEditing('summary') ? (
+                renderEditor()
+              ) : (
+                <Text style={styles.summaryText}>{entry.summary || 'No summary yet'}</Text>
+              )}
             </View>
           </View>
         )}
 
         {/* Full Transcript */}
         <View style={styles.section}>
-          <Text style={styles.sectionTitle}>
-            {entry.mode === JOURNAL_MODES.CONVERSATIONAL
-              ? 'Conversation'
-              : 'Transcript'}
-          </Text>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>
+              {isConversation ? 'Conversation' : 'Transcript'}
+            </Text>
+            {!editing && !isConversation && !awaitingTranscription && (
+              <TouchableOpacity onPress={() => startEditing('transcript', entry.transcript)}>
+                <Text style={styles.sectionAction}>Edit</Text>
+              </TouchableOpacity>
+            )}
+          </View>
           <View style={styles.transcriptCard}>
-            {entry.mode === JOURNAL_MODES.CONVERSATIONAL && messages.length > 0 ? (
+            {isConversation ? (
               messages.map((msg, index) => (
                 <View
-                  key={index}
+                  key={msg.id}
                   style={[
                     styles.messageContainer,
                     msg.role === 'user'
                       ? styles.userMessage
                       : styles.assistantMessage,
+                    isPlaying('session') && sessionTurn === index && styles.messagePlaying,
                   ]}
                 >
-                  <Text style={styles.messageRole}>
-                    {msg.role === 'user' ? 'You' : 'Assistant'}
-                  </Text>
-                  <Text style={styles.messageContent}>{msg.content}</Text>
+                  <View style={styles.messageHeader}>
+                    <Text style={styles.messageRole}>
+                      {msg.role === 'user' ? 'You' : 'Assistant'}
+                      {msg.duration_ms ? ` · ${formatDuration(msg.duration_ms)}` : ''}
+                    </Text>
+                    <View style={styles.sectionActions}>
+                      {msg.audio_path && (
+                        <TouchableOpacity
+                          onPress={() => (isPlaying('message', msg.id)
+                            ? handleStopPlayback()
+                            : loadRecording('message', msg.id, msg.audio_path))}
+                        >
+                          <Text style={styles.sectionAction}>
+                            {isPlaying('message', msg.id) ? 'Stop' : 'Play'}
+                          </Text>
+                        </TouchableOpacity>
+                      )}
+                      {!editing && msg.processing_status !== ENTRY_STATUS.PENDING_TRANSCRIPTION && (
+                        <TouchableOpacity onPress={() => startEditing('message', msg.content, msg.id)}>
+                          <Text style={styles.sectionAction}>Edit</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  </View>
+                  {isPlaying('message', msg.id) && (
+                    <View style={styles.messagePlayer}>
+                      {renderScrubber('message', msg.id, msg.audio_path, msg.duration_ms)}
+                    </View>
+                  )}
+                  {isEditing('message', msg.id) ? (
+                    renderEditor()
+                  ) : messageSentences.get(msg.id) ? (
+                    renderTimedText(
+                      messageSentences.get(msg.id),
+                      'message',
+                      msg.id,
+                      msg.audio_path,
+                      styles.messageContent
+                    )
+                  ) : msg.processing_status === ENTRY_STATUS.PENDING_TRANSCRIPTION ? (
+                    <Text style={styles.messageContent}>
+                      Waiting to be transcribed. This turn will be processed automatically once the service is reachable.
+                    </Text>
+                  ) : (
+                    <Text style={styles.messageContent}>{msg.content}</Text>
+                  )}
                 </View>
               ))
+            ) : isEditing('transcript') ? (
+              renderEditor()
+            ) : entrySentences ? (
+              renderTimedText(entrySentences, 'entry', entry.id, entry.audio_path, styles.transcriptText)
             ) : (
               <Text style={styles.transcriptText}>
-                {entry.transcript || 'No transcript available'}
+                {entry.transcript ||
+                  (entry.processing_status === ENTRY_STATUS.PENDING_TRANSCRIPTION
+                    ? 'Waiting to be transcribed. This recording will be processed automatically once the service is reachable.'
+                    : 'No transcript available')}
               </Text>
             )}
           </View>
         </View>
 
+        {/* Folders */}
+        <View style={styles.section}>
+          <View style={styles.sectionHeader}>
+            <Text style={styles.sectionTitle}>Folders</Text>
+          </View>
+          <View style={styles.folderChips}>
+            {folders.map((folder) => (
+              <TouchableOpacity
+                key={`${folder.folderType}-${folder.id}`}
+                style={styles.folderChip}
+                onPress={() => navigation.navigate('FolderDetail', {
+                  folderId: folder.id,
+                  folderType: folder.folderType,
+                  folderName: folder.name,
+                })}
+              >
+                <Text style={styles.folderChipText}>{folder.name}</Text>
+              </TouchableOpacity>
+            ))}
+            <TouchableOpacity
+              style={styles.folderChip}
+              onPress={() => setShowFolderPicker(true)}
+            >
+              <Text style={styles.folderChipText}>+ Add to Folder</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Rule folder of entries like this one */}
+        {entry.embedding_vector && (
+          <TouchableOpacity
+            style={styles.similarButton}
+            onPress={() => navigation.navigate('FolderBuilder', {
+              similarTo: {
+                entryId: entry.id,
+                label: entry.name || new Date(entry.date).toLocaleDateString(),
+              },
+            })}
+          >
+            <Text style={styles.similarButtonText}>Make a Folder of Similar Entries</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Delete Button */}
         <TouchableOpacity
           style={styles.deleteButton}
@@ -224,6 +678,21 @@ export default function EntryDetailScreen({ route, navigation }) {
           <Text style={styles.deleteButtonText}>Delete Entry</Text>
         </TouchableOpacity>
       </ScrollView>
+
+      <NameEntryModal
+        visible={showRenameModal}
+        title="Rename entry"
+        initialValue={entry.name || ''}
+        skipLabel="Cancel"
+        onSave={handleRename}
+        onSkip={() => setShowRenameModal(false)}
+      />
+
+      <FolderPickerModal
+        visible={showFolderPicker}
+        entryIds={[entry.id]}
+        onClose={handleFolderPickerClose}
+      />
     </View>
   );
 }
@@ -246,6 +715,9 @@ const styles = StyleSheet.create({
     backgroundColor: COLORS.background,
     borderBottomWidth: 1,
     borderBottomColor: COLORS.border,
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
   },
   backButton: {
     alignSelf: 'flex-start',
@@ -273,6 +745,12 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     letterSpacing: 0.5,
   },
+  addNameText: {
+    fontSize: 13,
+    fontWeight: '400',
+    color: COLORS.textSecondary,
+    letterSpacing: 1,
+  },
   metaContainer: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -302,6 +780,16 @@ const styles = StyleSheet.create({
     color: COLORS.card,
     letterSpacing: 1,
   },
+  audioPlayer: {
+    marginBottom: 40,
+  },
+  messagePlayer: {
+    marginBottom: 12,
+  },
+  currentSentence: {
+    backgroundColor: COLORS.primary,
+    color: COLORS.card,
+  },
   audioButton: {
     backgroundColor: COLORS.primary,
     paddingVertical: 14,
@@ -324,10 +812,87 @@ const styles = StyleSheet.create({
     fontSize: 12,
     fontWeight: '400',
     color: COLORS.textSecondary,
-    marginBottom: 15,
     letterSpacing: 2,
     textTransform: 'uppercase',
   },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 15,
+  },
+  sectionActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 20,
+  },
+  sectionAction: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 1,
+    textDecorationLine: 'underline',
+  },
+  editInput: {
+    minHeight: 120,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: 12,
+    fontSize: 14,
+    lineHeight: 24,
+    color: COLORS.text,
+    fontWeight: '300',
+  },
+  editActions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    gap: 10,
+    marginTop: 10,
+  },
+  editCancelButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  editCancelButtonText: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 1,
+  },
+  editSaveButton: {
+    paddingVertical: 10,
+    paddingHorizontal: 16,
+    minWidth: 70,
+    alignItems: 'center',
+    backgroundColor: COLORS.primary,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  editSaveButtonText: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.card,
+    letterSpacing: 1,
+  },
+  folderChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  folderChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  folderChipText: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
   summaryCard: {
     backgroundColor: COLORS.background,
     padding: 0,
@@ -354,10 +919,18 @@ const styles = StyleSheet.create({
     borderBottomWidth: 1,
     borderBottomColor: COLORS.border,
   },
+  messagePlaying: {
+    borderLeftWidth: 4,
+  },
+  messageHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
   messageRole: {
     fontSize: 11,
     fontWeight: '400',
-    marginBottom: 8,
     color: COLORS.textSecondary,
     letterSpacing: 1,
     textTransform: 'uppercase',
@@ -385,6 +958,21 @@ const styles = StyleSheet.create({
     marginTop: 100,
     fontWeight: '300',
   },
+  similarButton: {
+    backgroundColor: COLORS.background,
+    paddingVertical: 14,
+    paddingHorizontal: 20,
+    alignItems: 'center',
+    marginTop: 40,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  similarButtonText: {
+    fontSize: 13,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 1,
+  },
   deleteButton: {
     backgroundColor: COLORS.background,
     paddingVertical: 14,
@@ -0,0 +1,335 @@
+import React, { useState, useEffect } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  ActivityIndicator,
+} from 'react-native';
+import {
+  getJournalEntry,
+  getEntryRevisions,
+  updateJournalEntry,
+} from '../services/databaseService';
+import { reprocessEntry } from '../services/jobQueueService';
+import { diffWords } from '../utils/textDiff';
+import { COLORS, REVISION_SOURCES, JOURNAL_MODES } from '../utils/constants';
+
+const FIELD_LABELS = {
+  transcript: 'Transcript',
+  summary: 'Summary',
+  name: 'Name',
+  topics: 'Topics',
+};
+
+const SOURCE_LABELS = {
+  [REVISION_SOURCES.USER]: 'Edited by you',
+  [REVISION_SOURCES.LLM]: 'Generated',
+  [REVISION_SOURCES.TRANSCRIPTION]: 'Transcribed',
+  [REVISION_SOURCES.BACKFILL]: 'Backfilled',
+};
+
+// Unchanged stretches longer than this are cut down to their ends
+const CONTEXT_WORDS = 8;
+
+// Topics are stored as a JSON array; show them the way the entry does
+const displayValue = (field, value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (field === 'topics') {
+    try {
+      return JSON.parse(value).join(', ');
+    } catch (error) {
+      return value;
+    }
+  }
+  return value;
+};
+
+// Keep a few words of context either side of each change
+const condenseEqual = (text, isFirst, isLast) => {
+  const words = text.match(/\S+\s*|\s+/g) || [];
+  if (words.length <= CONTEXT_WORDS * 2 || (isFirst && isLast)) {
+    return text;
+  }
+  const head = isFirst ? '' : words.slice(0, CONTEXT_WORDS).join('');
+  const tail = isLast ? '' : words.slice(-CONTEXT_WORDS).join('');
+  return `${head}… ${tail}`;
+};
+
+export default function EntryHistoryScreen({ route, navigation }) {
+  const { entryId } = route.params;
+  const [entry, setEntry] = useState(null);
+  const [revisions, setRevisions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [restoringId, setRestoringId] = useState(null);
+
+  useEffect(() => {
+    loadHistory();
+  }, [entryId]);
+
+  const loadHistory = async () => {
+    try {
+      setEntry(await getJournalEntry(entryId));
+      setRevisions(await getEntryRevisions(entryId));
+    } catch (error) {
+      console.error('Error loading history:', error);
+      Alert.alert('Error', 'Failed to load history');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  const restoreRevision = async (revision) => {
+    setRestoringId(revision.id);
+    try {
+      await updateJournalEntry(entryId, { [revision.field]: revision.old_value });
+
+      // Only the text that gets embedded affects search, topics and folders
+      if (revision.field === 'transcript' || (revision.field === 'summary' && !entry.transcript)) {
+        await reprocessEntry(entryId);
+      }
+      await loadHistory();
+    } catch (error) {
+      console.error('Error restoring revision:', error);
+      Alert.alert('Error', 'Failed to restore');
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  const handleRestore = (revision) => {
+    Alert.alert(
+      `Restore ${FIELD_LABELS[revision.field]}`,
+      'Put back the version from before this change? The current version stays in the history.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Restore', onPress: () => restoreRevision(revision) },
+      ]
+    );
+  };
+
+  const formatDate = (dateString) => {
+    // SQLite CURRENT_TIMESTAMP is UTC without a zone marker
+    const date = new Date(`${dateString.replace(' ', 'T')}Z`);
+    return date.toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: 'numeric',
+      minute: '2-digit',
+    });
+  };
+
+  const renderDiff = (revision) => {
+    const parts = diffWords(
+      displayValue(revision.field, revision.old_value),
+      displayValue(revision.field, revision.new_value)
+    );
+    if (parts.length === 0) {
+      return <Text style={styles.emptyValue}>Cleared</Text>;
+    }
+
+    return (
+      <Text style={styles.diffText}>
+        {parts.map((part, index) => {
+          if (part.type === 'added') {
+            return <Text key={index} style={styles.added}>{part.text}</Text>;
+          }
+          if (part.type === 'removed') {
+            return <Text key={index} style={styles.removed}>{part.text}</Text>;
+          }
+          return condenseEqual(part.text, index === 0, index === parts.length - 1);
+        })}
+      </Text>
+    );
+  };
+
+  const renderRevision = ({ item }) => {
+    // A conversation's transcript is rebuilt from its messages, so an older
+    // one can't be put back on its own
+    const fromMessages = item.field === 'transcript' && entry?.mode === JOURNAL_MODES.CONVERSATIONAL;
+    const canRestore = item.old_value !== null && item.old_value !== entry?.[item.field] && !fromMessages;
+
+    return (
+      <View style={styles.revision}>
+        <View style={styles.revisionHeader}>
+          <Text style={styles.fieldLabel}>{FIELD_LABELS[item.field] || item.field}</Text>
+          <Text style={styles.revisionMeta}>
+            {SOURCE_LABELS[item.source] || item.source} · {formatDate(item.created_at)}
+          </Text>
+        </View>
+
+        {renderDiff(item)}
+
+        {canRestore && (
+          <TouchableOpacity
+            style={styles.restoreButton}
+            onPress={() => handleRestore(item)}
+            disabled={restoringId !== null}
+          >
+            {restoringId === item.id ? (
+              <ActivityIndicator size="small" color={COLORS.primary} />
+            ) : (
+              <Text style={styles.restoreButtonText}>Restore Previous</Text>
+            )}
+          </TouchableOpacity>
+        )}
+        {fromMessages && item.old_value !== null && (
+          <Text style={styles.restoreNote}>Edit the conversation's messages to change its transcript</Text>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.title}>History</Text>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+      </View>
+
+      {loading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={COLORS.primary} />
+        </View>
+      ) : (
+        <FlatList
+          data={revisions}
+          renderItem={renderRevision}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.listContent}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              No changes recorded yet. Edits, regenerated summaries and new topics will appear here.
+            </Text>
+          }
+        />
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  header: {
+    paddingTop: 60,
+    paddingHorizontal: 40,
+    paddingBottom: 30,
+    backgroundColor: COLORS.background,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '300',
+    color: COLORS.text,
+    letterSpacing: 2,
+    marginBottom: 20,
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+  },
+  backButtonText: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  listContent: {
+    padding: 40,
+    paddingTop: 20,
+    paddingBottom: 60,
+  },
+  revision: {
+    paddingVertical: 20,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  revisionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+    marginBottom: 12,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 2,
+    textTransform: 'uppercase',
+  },
+  revisionMeta: {
+    fontSize: 11,
+    fontWeight: '400',
+    color: COLORS.textSecondary,
+    letterSpacing: 0.5,
+  },
+  diffText: {
+    fontSize: 14,
+    lineHeight: 24,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+  },
+  added: {
+    color: COLORS.card,
+    backgroundColor: COLORS.primary,
+    fontWeight: '400',
+  },
+  removed: {
+    color: COLORS.textSecondary,
+    textDecorationLine: 'line-through',
+  },
+  emptyValue: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+    fontStyle: 'italic',
+    fontWeight: '300',
+  },
+  restoreButton: {
+    alignSelf: 'flex-start',
+    marginTop: 15,
+    paddingVertical: 8,
+    paddingHorizontal: 14,
+    minWidth: 120,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  restoreButtonText: {
+    fontSize: 12,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 1,
+  },
+  restoreNote: {
+    marginTop: 15,
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: COLORS.textSecondary,
+    textAlign: 'center',
+    marginTop: 60,
+    fontWeight: '300',
+    lineHeight: 22,
+  },
+});
@@ -0,0 +1,878 @@
+import React, { useState, useEffect, useRef } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  TextInput,
+  ScrollView,
+  TouchableOpacity,
+  Alert,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import {
+  createSmartFolder,
+  updateSmartFolder,
+  deleteSmartFolder,
+  getSmartFolder,
+  getSmartFolders,
+  getManualFolders,
+  countEntriesMatchingRules,
+  deleteUnusedQueryEmbeddings,
+} from '../services/databaseService';
+import { embedRuleQueries, saveRuleQueries } from '../services/searchService';
+import { normalizeRules, isRuleGroup } from '../utils/ruleQuery';
+import { COLORS, JOURNAL_MODES, SMART_FOLDER_TYPES, RULE_FIELDS } from '../utils/constants';
+
+const FIELD_OPTIONS = [
+  { key: RULE_FIELDS.DATE, label: 'Date' },
+  { key: RULE_FIELDS.MODE, label: 'Mode' },
+  { key: RULE_FIELDS.TEXT, label: 'Text' },
+  { key: RULE_FIELDS.NAME, label: 'Name' },
+  { key: RULE_FIELDS.TOPIC, label: 'Topic' },
+  { key: RULE_FIELDS.HAS_AUDIO, label: 'Audio' },
+  { key: RULE_FIELDS.WORD_COUNT, label: 'Word count' },
+  { key: RULE_FIELDS.DURATION, label: 'Duration' },
+  { key: RULE_FIELDS.CLUSTER, label: 'Smart folder' },
+  { key: RULE_FIELDS.FOLDER, label: 'Manual folder' },
+  { key: RULE_FIELDS.WEEKDAY, label: 'Weekday' },
+  { key: RULE_FIELDS.TIME_OF_DAY, label: 'Time of day' },
+  { key: RULE_FIELDS.SIMILAR_TO, label: 'Similar to' },
+];
+
+const FIELD_LABELS = Object.fromEntries(FIELD_OPTIONS.map(option => [option.key, option.label]));
+
+const DATE_OPTIONS = [
+  { key: 7, label: 'Last 7 days' },
+  { key: 30, label: 'Last 30 days' },
+  { key: 90, label: 'Last 90 days' },
+  { key: 'between', label: 'Date range' },
+];
+
+const MODE_OPTIONS = [
+  { key: JOURNAL_MODES.SOLO, label: 'Solo' },
+  { key: JOURNAL_MODES.CONVERSATIONAL, label: 'Chat' },
+];
+
+const AUDIO_OPTIONS = [
+  { key: true, label: 'Has audio' },
+  { key: false, label: 'No audio' },
+];
+
+const COMPARE_OPTIONS = [
+  { key: 'atLeast', label: 'At least' },
+  { key: 'atMost', label: 'At most' },
+];
+
+const WEEKDAY_OPTIONS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat']
+  .map((label, day) => ({ key: day, label }));
+
+const TIME_OPTIONS = [
+  { key: 'morning', label: 'Morning', from: 5, to: 12 },
+  { key: 'afternoon', label: 'Afternoon', from: 12, to: 17 },
+  { key: 'evening', label: 'Evening', from: 17, to: 22 },
+  { key: 'night', label: 'Night', from: 22, to: 5 },
+];
+
+const MATCH_OPTIONS = [
+  { key: 'all', label: 'All of' },
+  { key: 'any', label: 'Any of' },
+];
+
+/**
+ * Parse a YYYY-MM-DD date typed by the user as local time
+ * @param {string} text - Date text
+ * @param {boolean} endOfDay - Use the last moment of the day instead of midnight
+ * @returns {Date|null} - Null if the text isn't a valid date
+ */
+const parseDateInput = (text, endOfDay = false) => {
+  const match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec((text || '').trim());
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = [match[1], match[2], match[3]].map(Number);
+  const date = endOfDay
+    ? new Date(year, month - 1, day, 23, 59, 59, 999)
+    : new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+/**
+ * Format a stored ISO date as YYYY-MM-DD in local time
+ * @param {string} iso - ISO date string
+ * @returns {string}
+ */
+const formatDateInput = (iso) => {
+  const date = new Date(iso);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+/**
+ * A new condition on a field with a sensible starting value
+ * @param {string} field - Field from RULE_FIELDS
+ * @returns {object} - Form condition
+ */
+const createCondition = (field) => {
+  switch (field) {
+    case RULE_FIELDS.DATE:
+      return { field, op: 'lastDays', value: 30 };
+    case RULE_FIELDS.MODE:
+      return { field, value: JOURNAL_MODES.SOLO };
+    case RULE_FIELDS.HAS_AUDIO:
+      return { field, value: true };
+    case RULE_FIELDS.WORD_COUNT:
+    case RULE_FIELDS.DURATION:
+      return { field, op: 'atLeast', value: '' };
+    case RULE_FIELDS.CLUSTER:
+    case RULE_FIELDS.FOLDER:
+      return { field, value: null };
+    case RULE_FIELDS.WEEKDAY:
+      return { field, value: [] };
+    case RULE_FIELDS.TIME_OF_DAY:
+      return { field, value: { from: 5, to: 12 } };
+    case RULE_FIELDS.SIMILAR_TO:
+      return { field, value: { text: '' } };
+    default:
+      return { field, value: '' };
+  }
+};
+
+/**
+ * Convert stored rules to the form: typed values (dates, numbers) become the
+ * text shown in their inputs
+ * @param {object} node - Rule node
+ * @returns {object} - Form node
+ */
+const toFormNode = (node) => {
+  if (isRuleGroup(node)) {
+    return { ...node, conditions: node.conditions.map(toFormNode) };
+  }
+  if (node.field === RULE_FIELDS.DATE && node.op === 'between') {
+    return { ...node, value: { start: formatDateInput(node.value.start), end: formatDateInput(node.value.end) } };
+  }
+  if (node.field === RULE_FIELDS.WORD_COUNT) {
+    return { ...node, value: String(node.value) };
+  }
+  if (node.field === RULE_FIELDS.DURATION) {
+    // Stored in seconds, edited in minutes
+    return { ...node, value: String(node.value / 60) };
+  }
+  return node;
+};
+
+/**
+ * Convert a form node back to stored rules, checking what the user typed
+ * @param {object} node - Form node
+ * @returns {{node: object|null, error: string|null}}
+ */
+const toRuleNode = (node) => {
+  const negate = node.negate ? { negate: true } : {};
+
+  if (isRuleGroup(node)) {
+    const conditions = [];
+    for (const child of node.conditions) {
+      const result = toRuleNode(child);
+      if (result.error) {
+        return result;
+      }
+      conditions.push(result.node);
+    }
+    if (conditions.length === 0) {
+      return { node: null, error: 'Groups need at least one condition' };
+    }
+    return { node: { match: node.match, ...negate, conditions }, error: null };
+  }
+
+  const { field, op, value } = node;
+  const label = FIELD_LABELS[field];
+
+  switch (field) {
+    case RULE_FIELDS.DATE: {
+      if (op !== 'between') {
+        return { node: { field, op, value, ...negate }, error: null };
+      }
+      const start = parseDateInput(value.start);
+      const end = parseDateInput(value.end, true);
+      if (!start || !end) {
+        return { node: null, error: 'Enter the date range as YYYY-MM-DD' };
+      }
+      if (start > end) {
+        return { node: null, error: 'The start date must be before the end date' };
+      }
+      return {
+        node: { field, op, value: { start: start.toISOString(), end: end.toISOString() }, ...negate },
+        error: null,
+      };
+    }
+    case RULE_FIELDS.TEXT:
+    case RULE_FIELDS.NAME:
+    case RULE_FIELDS.TOPIC:
+      if (!value.trim()) {
+        return { node: null, error: `Enter a value for ${label}` };
+      }
+      return { node: { field, value: value.trim(), ...negate }, error: null };
+    case RULE_FIELDS.WORD_COUNT:
+    case RULE_FIELDS.DURATION: {
+      const number = Number(value);
+      if (!value.trim() || !Number.isFinite(number) || number < 0) {
+        return { node: null, error: `Enter a number for ${label}` };
+      }
+      const stored = field === RULE_FIELDS.DURATION ? Math.round(number * 60) : Math.round(number);
+      return { node: { field, op, value: stored, ...negate }, error: null };
+    }
+    case RULE_FIELDS.CLUSTER:
+    case RULE_FIELDS.FOLDER:
+      if (value === null) {
+        return { node: null, error: `Choose a folder for ${label}` };
+      }
+      return { node: { field, value, ...negate }, error: null };
+    case RULE_FIELDS.WEEKDAY:
+      if (value.length === 0) {
+        return { node: null, error: 'Choose at least one weekday' };
+      }
+      return { node: { field, value, ...negate }, error: null };
+    case RULE_FIELDS.SIMILAR_TO:
+      if (value.entryId) {
+        return { node: { field, value, ...negate }, error: null };
+      }
+      if (!value.text?.trim()) {
+        return { node: null, error: 'Describe what entries should be similar to' };
+      }
+      return { node: { field, value: { text: value.text.trim() }, ...negate }, error: null };
+    default:
+      return { node: { field, value, ...negate }, error: null };
+  }
+};
+
+/**
+ * Copy of a form tree with the node at path replaced
+ * @param {object} node - Root form node
+ * @param {number[]} path - Child indexes from the root
+ * @param {(node: object) => object|null} update - Returns the new node, or null to remove it
+ * @returns {object}
+ */
+const updateAtPath = (node, path, update) => {
+  if (path.length === 0) {
+    return update(node);
+  }
+  const [index, ...rest] = path;
+  const conditions = node.conditions
+    .map((child, i) => (i === index ? updateAtPath(child, rest, update) : child))
+    .filter(child => child !== null);
+  return { ...node, conditions };
+};
+
+export default function FolderBuilderScreen({ route, navigation }) {
+  const folderId = route.params?.folderId ?? null;
+  const similarEntry = route.params?.similarTo ?? null;
+  const [name, setName] = useState(similarEntry ? `Like ${similarEntry.label}` : '');
+  const [root, setRoot] = useState(() => ({
+    match: 'all',
+    conditions: similarEntry
+      ? [{ field: RULE_FIELDS.SIMILAR_TO, value: { entryId: similarEntry.entryId, label: similarEntry.label } }]
+      : [],
+  }));
+  const [addingTo, setAddingTo] = useState(null);
+  const [clusterFolders, setClusterFolders] = useState([]);
+  const [manualFolders, setManualFolders] = useState([]);
+  const [matchCount, setMatchCount] = useState(null);
+  // "Similar to" text embedded for the preview, so each text is sent once
+  const queryCacheRef = useRef(new Map());
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    loadFolders();
+    if (folderId) {
+      loadFolder();
+    }
+  }, [folderId]);
+
+  const loadFolders = async () => {
+    try {
+      const smartFolders = await getSmartFolders();
+      setClusterFolders(smartFolders.filter(folder => folder.type === SMART_FOLDER_TYPES.CLUSTER));
+      setManualFolders(await getManualFolders());
+    } catch (error) {
+      console.error('Error loading folders:', error);
+    }
+  };
+
+  const loadFolder = async () => {
+    try {
+      const folder = await getSmartFolder(folderId);
+      if (!folder) {
+        return;
+      }
+      setName(folder.name);
+      const rules = normalizeRules(folder.rules);
+      if (rules) {
+        setRoot(toFormNode(rules));
+      }
+    } catch (error) {
+      console.error('Error loading folder:', error);
+      Alert.alert('Error', 'Failed to load folder');
+    }
+  };
+
+  useEffect(() => {
+    // Debounce the preview count while typing
+    const timer = setTimeout(async () => {
+      const { node: rules } = toRuleNode(root);
+      if (!rules) {
+        setMatchCount(null);
+        return;
+      }
+      try {
+        // Offline, "similar to" text conditions just don't match yet
+        const queries = await embedRuleQueries(rules, queryCacheRef.current).catch((error) => {
+          console.error('Error embedding rule queries:', error);
+          return null;
+        });
+        setMatchCount(await countEntriesMatchingRules(rules, queries));
+      } catch (error) {
+        console.error('Error counting matches:', error);
+        setMatchCount(null);
+      }
+    }, 300);
+
+    return () => clearTimeout(timer);
+  }, [root]);
+
+  const updateNode = (path, update) => {
+    setRoot(current => updateAtPath(current, path, update));
+  };
+
+  const handleAddCondition = (path, field) => {
+    updateNode(path, group => ({ ...group, conditions: [...group.conditions, createCondition(field)] }));
+    setAddingTo(null);
+  };
+
+  const handleAddGroup = (path) => {
+    updateNode(path, group => ({
+      ...group,
+      conditions: [...group.conditions, { match: 'any', conditions: [] }],
+    }));
+  };
+
+  const handleSave = async () => {
+    if (!name.trim()) {
+      Alert.alert('Error', 'Please enter a folder name');
+      return;
+    }
+    const { node: rules, error } = toRuleNode(root);
+    if (error) {
+      Alert.alert('Error', root.conditions.length === 0 ? 'Add at least one condition' : error);
+      return;
+    }
+
+    setSaving(true);
+    try {
+      await saveRuleQueries(await embedRuleQueries(rules, queryCacheRef.current));
+      if (folderId) {
+        await updateSmartFolder(folderId, { name: name.trim(), rules });
+      } else {
+        await createSmartFolder(name.trim(), SMART_FOLDER_TYPES.RULE, rules);
+      }
+      await deleteUnusedQueryEmbeddings();
+      navigation.goBack();
+    } catch (saveError) {
+      console.error('Error saving folder:', saveError);
+      Alert.alert('Error', `Failed to save folder: ${saveError.message}`);
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Delete Folder',
+      'Delete this folder? Your entries are not affected.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteSmartFolder(folderId);
+              await deleteUnusedQueryEmbeddings();
+              navigation.pop(2);
+            } catch (error) {
+              console.error('Error deleting folder:', error);
+              Alert.alert('Error', 'Failed to delete folder');
+            }
+          },
+        },
+      ]
+    );
+  };
+
+  const renderOptions = (options, isSelected, onSelect, style = null) => (
+    <View style={[styles.optionRow, style]}>
+      {options.map((option) => {
+        const selected = isSelected(option.key);
+        return (
+          <TouchableOpacity
+            key={String(option.key)}
+            style={[styles.optionChip, selected && styles.optionChipActive]}
+            onPress={() => onSelect(option.key)}
+          >
+            <Text style={[styles.optionChipText, selected && styles.optionChipTextActive]}>
+              {option.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+
+  const renderValueEditor = (condition, path) => {
+    const { field, op, value } = condition;
+    const setValue = (newValue) => updateNode(path, node => ({ ...node, value: newValue }));
+    const setOp = (newOp) => updateNode(path, node => ({ ...node, op: newOp }));
+
+    switch (field) {
+      case RULE_FIELDS.DATE:
+        return (
+          <>
+            {renderOptions(
+              DATE_OPTIONS,
+              key => (key === 'between' ? op === 'between' : op === 'lastDays' && value === key),
+              key => updateNode(path, node => (key === 'between'
+                ? { ...node, op: 'between', value: { start: '', end: '' } }
+                : { ...node, op: 'lastDays', value: key }))
+            )}
+            {op === 'between' && (
+              <View style={styles.rangeRow}>
+                <TextInput
+                  style={[styles.input, styles.rangeInput]}
+                  placeholder="From YYYY-MM-DD"
+                  placeholderTextColor={COLORS.textSecondary}
+                  value={value.start}
+                  onChangeText={text => setValue({ ...value, start: text })}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+                <TextInput
+                  style={[styles.input, styles.rangeInput]}
+                  placeholder="To YYYY-MM-DD"
+                  placeholderTextColor={COLORS.textSecondary}
+                  value={value.end}
+                  onChangeText={text => setValue({ ...value, end: text })}
+                  autoCapitalize="none"
+                  autoCorrect={false}
+                />
+              </View>
+            )}
+          </>
+        );
+      case RULE_FIELDS.MODE:
+        return renderOptions(MODE_OPTIONS, key => value === key, setValue);
+      case RULE_FIELDS.HAS_AUDIO:
+        return renderOptions(AUDIO_OPTIONS, key => value === key, setValue);
+      case RULE_FIELDS.TEXT:
+      case RULE_FIELDS.NAME:
+      case RULE_FIELDS.TOPIC:
+        return (
+          <TextInput
+            style={styles.input}
+            placeholder={field === RULE_FIELDS.TEXT ? 'Words in the transcript or summary' : 'Contains'}
+            placeholderTextColor={COLORS.textSecondary}
+            value={value}
+            onChangeText={setValue}
+            autoCapitalize="none"
+          />
+        );
+      case RULE_FIELDS.WORD_COUNT:
+      case RULE_FIELDS.DURATION:
+        return (
+          <>
+            {renderOptions(COMPARE_OPTIONS, key => op === key, setOp)}
+            <TextInput
+              style={styles.input}
+              placeholder={field === RULE_FIELDS.DURATION ? 'Minutes' : 'Words'}
+              placeholderTextColor={COLORS.textSecondary}
+              value={value}
+              onChangeText={setValue}
+              keyboardType="numeric"
+            />
+          </>
+        );
+      case RULE_FIELDS.CLUSTER:
+      case RULE_FIELDS.FOLDER: {
+        const folders = field === RULE_FIELDS.CLUSTER ? clusterFolders : manualFolders;
+        if (folders.length === 0) {
+          return <Text style={styles.hintText}>No folders yet</Text>;
+        }
+        return renderOptions(
+          folders.map(folder => ({ key: folder.id, label: folder.name })),
+          key => value === key,
+          setValue
+        );
+      }
+      case RULE_FIELDS.WEEKDAY:
+        return renderOptions(
+          WEEKDAY_OPTIONS,
+          key => value.includes(key),
+          key => setValue(value.includes(key) ? value.filter(day => day !== key) : [...value, key].sort())
+        );
+      case RULE_FIELDS.TIME_OF_DAY:
+        return renderOptions(
+          TIME_OPTIONS,
+          key => TIME_OPTIONS.some(option => option.key === key && option.from === value.from && option.to === value.to),
+          key => {
+            const option = TIME_OPTIONS.find(time => time.key === key);
+            setValue({ from: option.from, to: option.to });
+          }
+        );
+      case RULE_FIELDS.SIMILAR_TO:
+        if (value.entryId) {
+          return <Text style={styles.hintText}>Entries like “{value.label}”</Text>;
+        }
+        return (
+          <TextInput
+            style={styles.input}
+            placeholder="Describe the kind of entry"
+            placeholderTextColor={COLORS.textSecondary}
+            value={value.text}
+            onChangeText={text => setValue({ text })}
+          />
+        );
+      default:
+        return null;
+    }
+  };
+
+  const renderCondition = (condition, path) => (
+    <View key={path.join('.')} style={styles.conditionCard}>
+      <View style={styles.conditionHeader}>
+        <Text style={styles.conditionField}>{FIELD_LABELS[condition.field]}</Text>
+        <View style={styles.conditionActions}>
+          <TouchableOpacity
+            style={[styles.notChip, condition.negate && styles.optionChipActive]}
+            onPress={() => updateNode(path, node => ({ ...node, negate: !node.negate }))}
+          >
+            <Text style={[styles.notChipText, condition.negate && styles.optionChipTextActive]}>NOT</Text>
+          </TouchableOpacity>
+          <TouchableOpacity onPress={() => updateNode(path, () => null)}>
+            <Text style={styles.removeText}>Remove</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+      {renderValueEditor(condition, path)}
+    </View>
+  );
+
+  const renderGroup = (group, path) => {
+    const pathKey = path.join('.');
+    const isRoot = path.length === 0;
+
+    return (
+      <View key={pathKey} style={[styles.groupContainer, !isRoot && styles.nestedGroup]}>
+        <View style={styles.conditionHeader}>
+          {renderOptions(
+            MATCH_OPTIONS,
+            key => group.match === key,
+            key => updateNode(path, node => ({ ...node, match: key })),
+            styles.headerOptionRow
+          )}
+          <View style={styles.conditionActions}>
+            <TouchableOpacity
+              style={[styles.notChip, group.negate && styles.optionChipActive]}
+              onPress={() => updateNode(path, node => ({ ...node, negate: !node.negate }))}
+            >
+              <Text style={[styles.notChipText, group.negate && styles.optionChipTextActive]}>NOT</Text>
+            </TouchableOpacity>
+            {!isRoot && (
+              <TouchableOpacity onPress={() => updateNode(path, () => null)}>
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        {group.conditions.map((child, index) => (isRuleGroup(child)
+          ? renderGroup(child, [...path, index])
+          : renderCondition(child, [...path, index])))}
+
+        {addingTo === pathKey ? (
+          renderOptions(FIELD_OPTIONS, () => false, field => handleAddCondition(path, field))
+        ) : (
+          <View style={styles.addRow}>
+            <TouchableOpacity style={styles.addButton} onPress={() => setAddingTo(pathKey)}>
+              <Text style={styles.addButtonText}>+ Condition</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={styles.addButton} onPress={() => handleAddGroup(path)}>
+              <Text style={styles.addButtonText}>+ Group</Text>
+            </TouchableOpacity>
+          </View>
+        )}
+      </View>
+    );
+  };
+
+  return (
+    <KeyboardAvoidingView
+      style={styles.container}
+      behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+    >
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => navigation.goBack()}
+        >
+          <Text style={styles.backButtonText}>← Back</Text>
+        </TouchableOpacity>
+        <Text style={styles.title}>{folderId ? 'Edit Rule Folder' : 'New Rule Folder'}</Text>
+      </View>
+
+      <ScrollView
+        style={styles.scrollView}
+        contentContainerStyle={styles.content}
+        keyboardShouldPersistTaps="handled"
+      >
+        <Text style={styles.fieldLabel}>NAME</Text>
+        <TextInput
+          style={styles.input}
+          placeholder="e.g. Recent work reflections"
+          placeholderTextColor={COLORS.textSecondary}
+          value={name}
+          onChangeText={setName}
+        />
+
+        <Text style={styles.fieldLabel}>MATCH ENTRIES WITH</Text>
+        {renderGroup(root, [])}
+
+        <View style={styles.previewContainer}>
+          <Text style={styles.previewText}>
+            {matchCount === null
+              ? 'Complete the conditions to see matching entries'
+              : `${matchCount} matching ${matchCount === 1 ? 'entry' : 'entries'}`}
+          </Text>
+        </View>
+
+        <TouchableOpacity
+          style={[styles.saveButton, saving && styles.saveButtonDisabled]}
+          onPress={handleSave}
+          disabled={saving}
+        >
+          <Text style={styles.saveButtonText}>
+            {saving ? 'Saving...' : folderId ? 'Save Changes' : 'Create Folder'}
+          </Text>
+        </TouchableOpacity>
+
+        {folderId && (
+          <TouchableOpacity style={styles.deleteButton} onPress={handleDelete}>
+            <Text style={styles.deleteButtonText}>Delete Folder</Text>
+          </TouchableOpacity>
+        )}
+      </ScrollView>
+    </KeyboardAvoidingView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: COLORS.background,
+  },
+  header: {
+    paddingTop: 60,
+    paddingHorizontal: 40,
+    paddingBottom: 20,
+    backgroundColor: COLORS.background,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  backButton: {
+    alignSelf: 'flex-start',
+    marginBottom: 15,
+  },
+  backButtonText: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  title: {
+    fontSize: 20,
+    fontWeight: '300',
+    color: COLORS.text,
+    letterSpacing: 2,
+  },
+  scrollView: {
+    flex: 1,
+  },
+  content: {
+    padding: 40,
+    paddingTop: 30,
+  },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '400',
+    color: COLORS.textSecondary,
+    marginBottom: 10,
+    letterSpacing: 1,
+  },
+  input: {
+    fontSize: 15,
+    color: COLORS.text,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    backgroundColor: COLORS.background,
+    fontWeight: '300',
+    marginBottom: 24,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 24,
+  },
+  optionChip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  optionChipActive: {
+    backgroundColor: COLORS.primary,
+    borderColor: COLORS.primary,
+  },
+  optionChipText: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
+  optionChipTextActive: {
+    color: COLORS.card,
+  },
+  headerOptionRow: {
+    marginBottom: 0,
+  },
+  groupContainer: {
+    marginBottom: 24,
+  },
+  nestedGroup: {
+    borderLeftWidth: 2,
+    borderLeftColor: COLORS.border,
+    paddingLeft: 12,
+    marginBottom: 16,
+  },
+  conditionCard: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    padding: 12,
+    paddingBottom: 0,
+    marginTop: 12,
+  },
+  conditionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  conditionField: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
+  conditionActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  notChip: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  notChipText: {
+    fontSize: 10,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  removeText: {
+    fontSize: 12,
+    color: COLORS.danger,
+    fontWeight: '400',
+  },
+  hintText: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+    marginBottom: 12,
+  },
+  addRow: {
+    flexDirection: 'row',
+    gap: 8,
+    marginTop: 12,
+  },
+  addButton: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  addButtonText: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
+  rangeRow: {
+    flexDirection: 'row',
+    gap: 10,
+    marginTop: -8,
+  },
+  rangeInput: {
+    flex: 1,
+  },
+  previewContainer: {
+    borderTopWidth: 1,
+    borderTopColor: COLORS.border,
+    paddingVertical: 16,
+    marginBottom: 16,
+  },
+  previewText: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
+  saveButton: {
+    backgroundColor: COLORS.primary,
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.primary,
+  },
+  saveButtonDisabled: {
+    opacity: 0.5,
+  },
+  saveButtonText: {
+    fontSize: 12,
+    color: COLORS.card,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  deleteButton: {
+    marginTop: 12,
+    paddingVertical: 14,
+    alignItems: 'center',
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  deleteButtonText: {
+    fontSize: 12,
+    color: COLORS.danger,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+});
@@ -12,10 +12,18 @@ import {
   getEntriesInFolder,
   getEntriesMatchingRules,
   getSmartFolder,
+  getChildFolders,
+  getFolderEntryCount,
   deleteJournalEntry,
+  getEntryAudioPaths,
   updateSmartFolder,
+  getManualFolder,
+  updateManualFolder,
+  deleteManualFolder,
+  removeEntryFromFolder,
 } from '../services/databaseService';
 import { deleteAudioFile } from '../services/audioService';
+import NameEntryModal from '../components/NameEntryModal';
 import { COLORS, JOURNAL_MODES } from '../utils/constants';
 
 export default function FolderDetailScreen({ route, navigation }) {
@@ -24,6 +32,9 @@ export default function FolderDetailScreen({ route, navigation }) {
   const [refreshing, setRefreshing] = useState(false);
   const [menuVisible, setMenuVisible] = useState(null);
   const [folder, setFolder] = useState(null);
+  const [subfolders, setSubfolders] = useState([]);
+  const [showRenameModal, setShowRenameModal] = useState(false);
+  const isManual = folderType === 'manual';
 
   useEffect(() => {
     loadData();
@@ -50,9 +61,19 @@ export default function FolderDetailScreen({ route, navigation }) {
           // For cluster folders, get entries with matching cluster_id
           const allEntries = await getEntriesInFolder(folderId, folderType);
           setEntries(allEntries);
+
+          const children = await getChildFolders(folderId);
+          const childrenWithCounts = await Promise.all(
+            children.map(async (child) => {
+              const count = await getFolderEntryCount(child.id, 'smart');
+              return { ...child, entryCount: count };
+            })
+          );
+          setSubfolders(childrenWithCounts);
         }
       } else {
         // Manual folders use junction table
+        setFolder(await getManualFolder(folderId));
         const folderEntries = await getEntriesInFolder(folderId, folderType);
         setEntries(folderEntries);
       }
@@ -84,8 +105,8 @@ export default function FolderDetailScreen({ route, navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              if (entry.audio_path) {
-                await deleteAudioFile(entry.audio_path);
+              for (const audioPath of await getEntryAudioPaths(entry.id)) {
+                await deleteAudioFile(audioPath);
               }
               await deleteJournalEntry(entry.id);
               loadData();
@@ -99,6 +120,52 @@ export default function FolderDetailScreen({ route, navigation }) {
     );
   };
 
+  const handleRemoveFromFolder = async (entry) => {
+    setMenuVisible(null);
+    try {
+      await removeEntryFromFolder(folderId, entry.id, 'manual');
+      loadData();
+    } catch (error) {
+      console.error('Error removing entry from folder:', error);
+      Alert.alert('Error', 'Failed to remove entry from folder');
+    }
+  };
+
+  const handleRenameManualFolder = async (newName) => {
+    setShowRenameModal(false);
+    try {
+      await updateManualFolder(folderId, newName);
+      setFolder({ ...folder, name: newName });
+      navigation.setParams({ folderName: newName });
+    } catch (error) {
+      console.error('Error renaming folder:', error);
+      Alert.alert('Error', 'Failed to rename folder');
+    }
+  };
+
+  const handleDeleteManualFolder = () => {
+    Alert.alert(
+      'Delete Folder',
+      'Delete this folder? The entries in it are not deleted.',
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Delete',
+          style: 'destructive',
+          onPress: async () => {
+            try {
+              await deleteManualFolder(folderId);
+              navigation.goBack();
+            } catch (error) {
+              console.error('Error deleting folder:', error);
+              Alert.alert('Error', 'Failed to delete folder');
+            }
+          },
+        },
+      ]
+    );
+  };
+
   const handleEditFolderName = () => {
     if (folder && folder.type === 'cluster') {
       Alert.prompt(
@@ -214,6 +281,14 @@ export default function FolderDetailScreen({ route, navigation }) {
               activeOpacity={1}
             />
             <View style={styles.menuDropdown}>
+              {isManual && (
+                <TouchableOpacity
+                  style={styles.menuItem}
+                  onPress={() => handleRemoveFromFolder(item)}
+                >
+                  <Text style={styles.menuItemText}>Remove from Folder</Text>
+                </TouchableOpacity>
+              )}
               <TouchableOpacity
                 style={styles.menuItem}
                 onPress={() => handleDeleteEntry(item)}
@@ -231,7 +306,7 @@ export default function FolderDetailScreen({ route, navigation }) {
     <View style={styles.container}>
       <View style={styles.header}>
         <View style={styles.headerTop}>
-          <Text style={styles.title}>{folderName}</Text>
+          <Text style={styles.title}>{folder?.name || folderName}</Text>
           {folder && folder.type === 'cluster' && (
             <TouchableOpacity
               style={styles.editButton}
@@ -240,6 +315,30 @@ export default function FolderDetailScreen({ route, navigation }) {
               <Text style={styles.editButtonText}>Rename</Text>
             </TouchableOpacity>
           )}
+          {folder && folder.type === 'rule' && (
+            <TouchableOpacity
+              style={styles.editButton}
+              onPress={() => navigation.navigate('FolderBuilder', { folderId })}
+            >
+              <Text style={styles.editButtonText}>Edit Rules</Text>
+            </TouchableOpacity>
+          )}
+          {isManual && folder && (
+            <View style={styles.headerButtons}>
+              <TouchableOpacity
+                style={styles.editButton}
+                onPress={() => setShowRenameModal(true)}
+              >
+                <Text style={styles.editButtonText}>Rename</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.editButton}
+                onPress={handleDeleteManualFolder}
+              >
+                <Text style={styles.editButtonText}>Delete</Text>
+              </TouchableOpacity>
+            </View>
+          )}
         </View>
         <TouchableOpacity
           style={styles.backButton}
@@ -249,11 +348,38 @@ export default function FolderDetailScreen({ route, navigation }) {
         </TouchableOpacity>
       </View>
 
+      {subfolders.length > 0 && (
+        <View style={styles.subfoldersContainer}>
+          <Text style={styles.subfoldersTitle}>SUB-TOPICS</Text>
+          <View style={styles.subfoldersGroup}>
+            {subfolders.map((subfolder, index) => (
+              <View key={subfolder.id}>
+                <TouchableOpacity
+                  style={styles.subfolderRow}
+                  onPress={() => navigation.push('FolderDetail', {
+                    folderId: subfolder.id,
+                    folderType: 'smart',
+                    folderName: subfolder.name,
+                  })}
+                >
+                  <Text style={styles.subfolderName} numberOfLines={1}>{subfolder.name}</Text>
+                  <Text style={styles.subfolderCount}>{subfolder.entryCount}</Text>
+                  <Text style={styles.subfolderArrow}>→</Text>
+                </TouchableOpacity>
+                {index < subfolders.length - 1 && <View style={styles.entrySeparator} />}
+              </View>
+            ))}
+          </View>
+        </View>
+      )}
+
       {entries.length === 0 ? (
         <View style={styles.emptyContainer}>
           <Text style={styles.emptyText}>No entries in this folder</Text>
           <Text style={styles.emptySubtext}>
-            Entries will appear here automatically
+            {isManual
+              ? 'Add entries from the library or from an entry\'s page'
+              : 'Entries will appear here automatically'}
           </Text>
         </View>
       ) : (
@@ -271,6 +397,15 @@ export default function FolderDetailScreen({ route, navigation }) {
           </View>
         </View>
       )}
+
+      <NameEntryModal
+        visible={showRenameModal}
+        title="Rename Folder"
+        initialValue={folder?.name || ''}
+        skipLabel="Cancel"
+        onSave={handleRenameManualFolder}
+        onSkip={() => setShowRenameModal(false)}
+      />
     </View>
   );
 }
@@ -301,6 +436,10 @@ const styles = StyleSheet.create({
     letterSpacing: 2,
     flex: 1,
   },
+  headerButtons: {
+    flexDirection: 'row',
+    gap: 8,
+  },
   editButton: {
     paddingHorizontal: 12,
     paddingVertical: 6,
@@ -322,6 +461,46 @@ const styles = StyleSheet.create({
     fontWeight: '400',
     letterSpacing: 1,
   },
+  subfoldersContainer: {
+    paddingHorizontal: 40,
+    paddingTop: 20,
+  },
+  subfoldersTitle: {
+    fontSize: 10,
+    color: COLORS.textSecondary,
+    fontWeight: '400',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  subfoldersGroup: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderRadius: 8,
+    overflow: 'hidden',
+  },
+  subfolderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+    gap: 10,
+  },
+  subfolderName: {
+    flex: 1,
+    fontSize: 14,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
+  subfolderCount: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+  },
+  subfolderArrow: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+  },
   listContent: {
     padding: 40,
     paddingTop: 20,
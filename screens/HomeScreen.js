@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -13,17 +13,36 @@ import { Ionicons } from '@expo/vector-icons';
 import {
   startRecording,
   stopRecording,
+  getAudioDuration,
 } from '../services/audioService';
-import { transcribeAudio, generateSummary } from '../services/transcriptionService';
+import { transcribeRecording } from '../services/transcriptionService';
 import { sendMessageToLLM } from '../services/llmService';
 import {
   createJournalEntry,
+  addEntryDuration,
   updateJournalEntry,
   addConversationMessage,
+  getConversationMessages,
+  saveTranscriptionWindow,
+  getSetting,
 } from '../services/databaseService';
-import { generateEmbedding, extractTopics } from '../services/embeddingsService';
-import { shouldTriggerClustering, regenerateClusters } from '../services/clusteringService';
-import { JOURNAL_MODES, RECORDING_STATES, COLORS } from '../utils/constants';
+import {
+  enqueueJob,
+  processQueue,
+  startQueue,
+  JOB_STEP_LABELS,
+} from '../services/jobQueueService';
+import { isConnectivityError } from '../services/providerService';
+import {
+  JOURNAL_MODES,
+  RECORDING_STATES,
+  COLORS,
+  JOB_STEPS,
+  ENTRY_STATUS,
+  SETTINGS_KEYS,
+  REVISION_SOURCES,
+} from '../utils/constants';
+import { formatConversation } from '../utils/conversation';
 import NameEntryModal from '../components/NameEntryModal';
 
 export default function HomeScreen({ navigation }) {
@@ -41,6 +60,10 @@ export default function HomeScreen({ navigation }) {
   const [processingPulseAnim] = useState(new Animated.Value(1)); // opacity pulse during processing
   const [showNameModal, setShowNameModal] = useState(false);
   const [pendingEntryId, setPendingEntryId] = useState(null);
+  const [memoryEnabled, setMemoryEnabled] = useState(false);
+  const [memoryEntries, setMemoryEntries] = useState([]);
+  const [recordingInterrupted, setRecordingInterrupted] = useState(false);
+  const responseAbortRef = useRef(null);
 
   // Swipe gesture handler
   const panResponder = PanResponder.create({
@@ -62,6 +85,43 @@ export default function HomeScreen({ navigation }) {
     },
   });
 
+  useEffect(() => {
+    // Pick up the memory setting whenever we come back from Settings
+    const loadMemorySetting = async () => {
+      try {
+        const value = await getSetting(SETTINGS_KEYS.CONVERSATION_MEMORY);
+        setMemoryEnabled(value === 'true');
+      } catch (error) {
+        console.error('Error loading memory setting:', error);
+      }
+    };
+
+    loadMemorySetting();
+    return navigation.addListener('focus', loadMemorySetting);
+  }, [navigation]);
+
+  useEffect(() => {
+    // Don't leave a reply streaming after leaving the screen
+    return () => {
+      if (responseAbortRef.current) {
+        responseAbortRef.current.abort();
+      }
+    };
+  }, []);
+
+  useEffect(() => {
+    // The system ended the recording (a call, another app taking the
+    // microphone): save what was recorded instead of showing it as still going
+    if (!recordingInterrupted) {
+      return;
+    }
+    setRecordingInterrupted(false);
+    if (recordingState === RECORDING_STATES.RECORDING) {
+      Alert.alert('Recording Interrupted', 'Recording stopped unexpectedly. What was recorded up to then has been kept.');
+      handleStopRecording();
+    }
+  }, [recordingInterrupted]);
+
   useEffect(() => {
     const isProcessing = recordingState === RECORDING_STATES.PROCESSING ||
                         recordingState === RECORDING_STATES.WAITING_FOR_RESPONSE;
@@ -165,7 +225,7 @@ export default function HomeScreen({ navigation }) {
     try {
       setRecordingState(RECORDING_STATES.RECORDING);
       setStatusMessage('Recording...');
-      await startRecording();
+      await startRecording(() => setRecordingInterrupted(true));
     } catch (error) {
       Alert.alert('Error', 'Failed to start recording');
       setRecordingState(RECORDING_STATES.IDLE);
@@ -173,6 +233,15 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
+  // Add a recording's length to its entry so rule folders can filter by duration
+  const recordDuration = async (entryId, uri) => {
+    const durationMs = await getAudioDuration(uri);
+    if (durationMs) {
+      await addEntryDuration(entryId, durationMs);
+    }
+    return durationMs || null;
+  };
+
   const handleStopRecording = async () => {
     try {
       setRecordingState(RECORDING_STATES.PROCESSING);
@@ -181,56 +250,102 @@ export default function HomeScreen({ navigation }) {
       const uri = await stopRecording();
       setAudioUri(uri);
 
-      // Create entry if this is the first recording
-      let entryId = currentEntryId;
-      if (!entryId) {
-        entryId = await createJournalEntry(mode, uri);
-        setCurrentEntryId(entryId);
-      }
-
-      // Transcribe audio
-      setStatusMessage('Transcribing...');
-      const transcript = await transcribeAudio(uri);
-
       if (mode === JOURNAL_MODES.SOLO) {
-        // Solo mode: save transcript, generate summary, embedding, and topics
-        await updateJournalEntry(entryId, {
-          transcript,
-        });
-
-        setStatusMessage('Generating summary...');
-        const summary = await generateSummary(transcript);
-        await updateJournalEntry(entryId, { summary });
-
-        // Generate embedding and topics in background (don't block UI)
-        generateEmbeddingAndTopics(entryId, transcript).catch(err => {
-          console.error('Background processing error:', err);
-        });
+        // Solo mode: the entry starts out pending; transcription and summary run
+        // through the queue so a failure is retried instead of losing the entry
+        const entryId = await createJournalEntry(mode, uri, ENTRY_STATUS.PENDING_TRANSCRIPTION);
+        await recordDuration(entryId, uri);
+        await enqueueJob(entryId, JOB_STEPS.TRANSCRIBE);
+        const { failed } = await runEntryJobsUntilSummary(entryId);
+
+        if (failed.length > 0) {
+          const [failure] = failed;
+          Alert.alert(
+            'Saved',
+            failure.offline
+              ? `${failure.error.message || 'No connection'}.\n\nYour recording is saved and will be transcribed automatically once the service is reachable.`
+              : `${JOB_STEP_LABELS[failure.step]} failed: ${failure.error.message}\n\nYour recording is saved and will be processed automatically.`
+          );
+        }
 
         setRecordingState(RECORDING_STATES.IDLE);
         setStatusMessage('');
-        setCurrentEntryId(null);
         setAudioUri(null);
 
         // Show name entry modal
         setPendingEntryId(entryId);
         setShowNameModal(true);
       } else {
-        // Conversational mode: send to LLM
-        await addConversationMessage(entryId, 'user', transcript);
+        // Conversational mode: transcribe right away since the reply depends on it
+        setStatusMessage('Transcribing...');
+        let transcript;
+        let timing;
+        const windows = [];
+        try {
+          ({ text: transcript, timing } = await transcribeRecording(uri, {
+            onProgress: (part, total) => setStatusMessage(`Transcribing part ${part} of ${total}...`),
+            onTranscribed: (window) => {
+              windows.push(window);
+            },
+          }));
+        } catch (error) {
+          // A reply to half a turn would miss what was said, so a turn that
+          // didn't fully come through waits for the queue like an offline one
+          if (isConnectivityError(error) || error.partialTranscript) {
+            const offline = isConnectivityError(error);
+            await (currentEntryId
+              ? saveTurnForLater(uri, windows, offline)
+              : saveRecordingForLater(uri, windows, offline));
+            return;
+          }
+          throw error;
+        }
+
+        // Create entry once the first recording is transcribed
+        let entryId = currentEntryId;
+        if (!entryId) {
+          entryId = await createJournalEntry(mode, uri);
+          setCurrentEntryId(entryId);
+        }
+        const durationMs = await recordDuration(entryId, uri);
+
+        // Every turn keeps its own recording; the entry's audio is the first one
+        await addConversationMessage(entryId, 'user', transcript, { audioPath: uri, durationMs, timing });
         const updatedHistory = [...conversationHistory, { role: 'user', content: transcript }];
         setConversationHistory(updatedHistory);
 
         setRecordingState(RECORDING_STATES.WAITING_FOR_RESPONSE);
         setStatusMessage('Getting response...');
         setCurrentResponse('');
+        setMemoryEntries([]);
+
+        const abortController = new AbortController();
+        responseAbortRef.current = abortController;
+
+        let response;
+        try {
+          response = await sendMessageToLLM(
+            transcript,
+            conversationHistory,
+            (_chunk, fullText) => {
+              setCurrentResponse(fullText);
+            },
+            {
+              signal: abortController.signal,
+              memory: memoryEnabled,
+              entryId,
+              onMemory: setMemoryEntries,
+            }
+          );
+        } finally {
+          responseAbortRef.current = null;
+        }
 
-        const response = await sendMessageToLLM(transcript, conversationHistory, (_chunk, fullText) => {
-          setCurrentResponse(fullText);
-        });
-
-        await addConversationMessage(entryId, 'assistant', response);
-        setConversationHistory([...updatedHistory, { role: 'assistant', content: response }]);
+        // A cancelled reply keeps whatever arrived before the stop
+        if (response.trim()) {
+          await addConversationMessage(entryId, 'assistant', response);
+          setConversationHistory([...updatedHistory, { role: 'assistant', content: response }]);
+        }
 
         // Display the response (no TTS)
         setRecordingState(RECORDING_STATES.IDLE);
@@ -244,57 +359,101 @@ export default function HomeScreen({ navigation }) {
     }
   };
 
-  const generateEmbeddingAndTopics = async (entryId, text) => {
-    try {
-      console.log('Generating embedding and topics for entry', entryId);
-
-      // Generate embedding
-      const embedding = await generateEmbedding(text);
-      await updateJournalEntry(entryId, {
-        embedding: JSON.stringify(embedding),
-      });
-
-      // Extract topics
-      const topics = await extractTopics(text);
-      await updateJournalEntry(entryId, {
-        topics: JSON.stringify(topics),
-      });
-
-      console.log('Embedding and topics generated successfully');
-
-      // Check if we should trigger clustering
-      const shouldCluster = await shouldTriggerClustering();
-      if (shouldCluster) {
-        console.log('Triggering cluster regeneration...');
-        await regenerateClusters();
-      }
-    } catch (error) {
-      console.error('Error generating embedding/topics:', error);
-      // Don't throw - this is background processing
+  // Keep the windows of a long recording that did come through, so the queue
+  // only sends the ones that failed
+  const saveTranscribedWindows = async (entryId, uri, windows) => {
+    for (const window of windows) {
+      await saveTranscriptionWindow(entryId, uri, window);
     }
   };
 
+  // Without a transcript a conversation can't start, so keep the opening
+  // recording as its own entry and transcribe it once the service is back
+  const saveRecordingForLater = async (uri, windows, offline) => {
+    const entryId = await createJournalEntry(mode, uri, ENTRY_STATUS.PENDING_TRANSCRIPTION);
+    await recordDuration(entryId, uri);
+    await saveTranscribedWindows(entryId, uri, windows);
+    await enqueueJob(entryId, JOB_STEPS.TRANSCRIBE);
+    startQueue();
+
+    setRecordingState(RECORDING_STATES.IDLE);
+    setStatusMessage('');
+    setAudioUri(null);
+
+    Alert.alert(
+      offline ? 'Saved Offline' : 'Saved',
+      offline
+        ? 'The service is unreachable, so the conversation can\'t continue. Your recording is saved and will be transcribed automatically once you\'re back online.'
+        : 'Part of your recording couldn\'t be transcribed, so the conversation can\'t continue. Your recording is saved and the rest will be transcribed automatically.'
+    );
+  };
+
+  // A later turn is kept with the conversation, without text until it's
+  // transcribed; the companion carries on from the turns it has heard
+  const saveTurnForLater = async (uri, windows, offline) => {
+    const durationMs = await recordDuration(currentEntryId, uri);
+    await addConversationMessage(currentEntryId, 'user', '', {
+      audioPath: uri,
+      durationMs,
+      processingStatus: ENTRY_STATUS.PENDING_TRANSCRIPTION,
+    });
+    await saveTranscribedWindows(currentEntryId, uri, windows);
+    await updateJournalEntry(currentEntryId, { processing_status: ENTRY_STATUS.PENDING_TRANSCRIPTION });
+    await enqueueJob(currentEntryId, JOB_STEPS.TRANSCRIBE);
+    startQueue();
+
+    setRecordingState(RECORDING_STATES.IDLE);
+    setStatusMessage('');
+
+    Alert.alert(
+      offline ? 'Saved Offline' : 'Saved',
+      offline
+        ? 'The service is unreachable, so there\'s no reply to this turn. Your recording is saved with the conversation and will be transcribed automatically once you\'re back online.'
+        : 'Part of this turn couldn\'t be transcribed, so there\'s no reply to it. Your recording is saved with the conversation and the rest will be transcribed automatically.'
+    );
+  };
+
+  const handleStopResponse = () => {
+    if (responseAbortRef.current) {
+      responseAbortRef.current.abort();
+    }
+  };
+
+  // Run an entry's queued steps up to its summary while showing progress,
+  // then leave embedding, topics and clustering to the background queue
+  const runEntryJobsUntilSummary = async (entryId) => {
+    const result = await processQueue({
+      entryId,
+      stopAfter: JOB_STEPS.SUMMARY,
+      onProgress: (step, detail) =>
+        setStatusMessage(`${JOB_STEP_LABELS[step]}${detail ? ` ${detail}` : ''}...`),
+    });
+    startQueue();
+    return result;
+  };
+
   const handleFinishConversation = async () => {
     try {
       if (!currentEntryId) {
         return;
       }
 
-      setStatusMessage('Generating summary...');
-      const { generateConversationSummary } = require('../services/llmService');
-      const summary = await generateConversationSummary(conversationHistory);
+      // Combine all messages into a transcript; turns saved offline join it
+      // once they're transcribed
+      const messages = await getConversationMessages(currentEntryId);
+      const transcript = formatConversation(messages);
 
-      // Combine all messages into a transcript
-      const transcript = conversationHistory
-        .map((msg) => `${msg.role === 'user' ? 'You' : 'Assistant'}: ${msg.content}`)
-        .join('\n\n');
+      await updateJournalEntry(currentEntryId, { transcript }, REVISION_SOURCES.TRANSCRIPTION);
 
-      await updateJournalEntry(currentEntryId, { transcript, summary });
+      await enqueueJob(currentEntryId, JOB_STEPS.SUMMARY);
+      const { failed } = await runEntryJobsUntilSummary(currentEntryId);
 
-      // Generate embedding and topics in background
-      generateEmbeddingAndTopics(currentEntryId, transcript).catch(err => {
-        console.error('Background processing error:', err);
-      });
+      if (failed.length > 0) {
+        Alert.alert(
+          'Saved',
+          `${JOB_STEP_LABELS[failed[0].step]} failed: ${failed[0].error.message}\n\nYour conversation is saved and will be summarized automatically.`
+        );
+      }
 
       const savedEntryId = currentEntryId;
       setRecordingState(RECORDING_STATES.IDLE);
@@ -303,6 +462,7 @@ export default function HomeScreen({ navigation }) {
       setConversationHistory([]);
       setAudioUri(null);
       setCurrentResponse('');
+      setMemoryEntries([]);
 
       // Show name entry modal
       setPendingEntryId(savedEntryId);
@@ -380,6 +540,29 @@ export default function HomeScreen({ navigation }) {
           </View>
         )}
 
+        {/* Past entries the reply drew on (memory mode) */}
+        {mode === JOURNAL_MODES.CONVERSATIONAL && currentResponse && memoryEntries.length > 0 && (
+          <View style={styles.memoryContainer}>
+            <Text style={styles.memoryLabel}>DRAWING ON</Text>
+            <View style={styles.memoryChips}>
+              {memoryEntries.map(entry => (
+                <TouchableOpacity
+                  key={entry.id}
+                  style={styles.memoryChip}
+                  onPress={() => navigation.navigate('EntryDetail', { entryId: entry.id })}
+                >
+                  <Text style={styles.memoryChipText} numberOfLines={1}>
+                    {entry.name || new Date(entry.date).toLocaleDateString('en-US', {
+                      month: 'short',
+                      day: 'numeric',
+                    })}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          </View>
+        )}
+
         {/* Recording Button */}
         <View style={styles.recordingContainer}>
           <TouchableOpacity
@@ -410,6 +593,16 @@ export default function HomeScreen({ navigation }) {
           </TouchableOpacity>
         </View>
 
+        {/* Stop a streaming reply */}
+        {recordingState === RECORDING_STATES.WAITING_FOR_RESPONSE && (
+          <TouchableOpacity
+            style={[styles.finishButton, styles.finishButtonDark]}
+            onPress={handleStopResponse}
+          >
+            <Text style={[styles.finishButtonText, styles.finishButtonTextDark]}>Stop</Text>
+          </TouchableOpacity>
+        )}
+
         {/* Conversational Mode Controls */}
         {mode === JOURNAL_MODES.CONVERSATIONAL && currentEntryId && !isProcessing && (
           <TouchableOpacity
@@ -523,6 +716,35 @@ const styles = StyleSheet.create({
   responseTextDark: {
     color: '#FFFFFF',
   },
+  memoryContainer: {
+    marginHorizontal: 20,
+    marginBottom: 20,
+  },
+  memoryLabel: {
+    fontSize: 10,
+    color: '#999999',
+    fontWeight: '400',
+    letterSpacing: 1,
+    marginBottom: 8,
+  },
+  memoryChips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  memoryChip: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderWidth: 1,
+    borderColor: '#FFFFFF',
+    maxWidth: 180,
+  },
+  memoryChipText: {
+    fontSize: 12,
+    color: '#FFFFFF',
+    fontWeight: '300',
+    letterSpacing: 0.5,
+  },
   recordingContainer: {
     alignItems: 'center',
     flex: 1,
@@ -11,15 +11,19 @@ import {
 import {
   getJournalEntriesSorted,
   deleteJournalEntry,
+  getEntryAudioPaths,
   getSetting,
   setSetting,
   getSmartFolders,
   getManualFolders,
   getFolderEntryCount,
+  createManualFolder,
 } from '../services/databaseService';
 import { deleteAudioFile } from '../services/audioService';
-import { COLORS, JOURNAL_MODES, SORT_OPTIONS, LIBRARY_TABS } from '../utils/constants';
+import { COLORS, JOURNAL_MODES, SORT_OPTIONS, LIBRARY_TABS, ENTRY_STATUS } from '../utils/constants';
 import { groupEntriesByTimePeriod } from '../utils/dateHelpers';
+import FolderPickerModal from '../components/FolderPickerModal';
+import NameEntryModal from '../components/NameEntryModal';
 
 export default function JournalListScreen({ navigation }) {
   const [activeTab, setActiveTab] = useState(LIBRARY_TABS.ALL);
@@ -31,6 +35,9 @@ export default function JournalListScreen({ navigation }) {
   const [menuVisible, setMenuVisible] = useState(null);
   const [sortBy, setSortBy] = useState(SORT_OPTIONS.DATE_DESC);
   const [showSortMenu, setShowSortMenu] = useState(false);
+  const [selectedIds, setSelectedIds] = useState(null);
+  const [pickerEntryIds, setPickerEntryIds] = useState(null);
+  const [showNewFolderModal, setShowNewFolderModal] = useState(false);
 
   useEffect(() => {
     loadSortPreference();
@@ -69,11 +76,14 @@ export default function JournalListScreen({ navigation }) {
         setGroupedEntries(grouped);
       } else if (activeTab === LIBRARY_TABS.SMART_FOLDERS) {
         const folders = await getSmartFolders();
+        // Sub-topics are reached by drilling into their theme
+        const topLevel = folders.filter(folder => !folder.parent_id);
         // Load entry counts for each folder
         const foldersWithCounts = await Promise.all(
-          folders.map(async (folder) => {
+          topLevel.map(async (folder) => {
             const count = await getFolderEntryCount(folder.id, 'smart');
-            return { ...folder, entryCount: count };
+            const subfolderCount = folders.filter(f => f.parent_id === folder.id).length;
+            return { ...folder, entryCount: count, subfolderCount };
           })
         );
         setSmartFolders(foldersWithCounts);
@@ -113,6 +123,47 @@ export default function JournalListScreen({ navigation }) {
   const handleTabChange = (tab) => {
     setActiveTab(tab);
     setShowSortMenu(false);
+    setSelectedIds(null);
+  };
+
+  // Selection mode is on while selectedIds is a Set
+  const handleStartSelection = (entryId) => {
+    setMenuVisible(null);
+    setSelectedIds(new Set([entryId]));
+  };
+
+  const handleToggleSelected = (entryId) => {
+    setSelectedIds(current => {
+      const next = new Set(current);
+      if (next.has(entryId)) {
+        next.delete(entryId);
+      } else {
+        next.add(entryId);
+      }
+      return next;
+    });
+  };
+
+  const handleAddToFolder = (entryIds) => {
+    setMenuVisible(null);
+    setPickerEntryIds(entryIds);
+  };
+
+  const handlePickerClose = () => {
+    setPickerEntryIds(null);
+    setSelectedIds(null);
+    loadData();
+  };
+
+  const handleCreateFolder = async (name) => {
+    setShowNewFolderModal(false);
+    try {
+      await createManualFolder(name);
+      loadData();
+    } catch (error) {
+      console.error('Error creating folder:', error);
+      Alert.alert('Error', 'Failed to create folder');
+    }
   };
 
   const handleMenuPress = (entryId) => {
@@ -131,8 +182,8 @@ export default function JournalListScreen({ navigation }) {
           style: 'destructive',
           onPress: async () => {
             try {
-              if (entry.audio_path) {
-                await deleteAudioFile(entry.audio_path);
+              for (const audioPath of await getEntryAudioPaths(entry.id)) {
+                await deleteAudioFile(audioPath);
               }
               await deleteJournalEntry(entry.id);
               loadData();
@@ -179,13 +230,17 @@ export default function JournalListScreen({ navigation }) {
 
   const renderEntry = ({ item, index, section }) => {
     const isLastItem = index === section.data.length - 1;
+    const selecting = selectedIds !== null;
 
     return (
       <View style={styles.entryWrapper}>
         <View style={styles.entryCard}>
           <TouchableOpacity
             style={styles.entryContent}
-            onPress={() => navigation.navigate('EntryDetail', { entryId: item.id })}
+            onPress={() => (selecting
+              ? handleToggleSelected(item.id)
+              : navigation.navigate('EntryDetail', { entryId: item.id }))}
+            onLongPress={() => !selecting && handleStartSelection(item.id)}
           >
             <View style={styles.entryHeader}>
               <View style={styles.entryHeaderLeft}>
@@ -203,6 +258,11 @@ export default function JournalListScreen({ navigation }) {
                     {item.mode === JOURNAL_MODES.SOLO ? 'Solo' : 'Chat'}
                   </Text>
                 </View>
+                {item.processing_status === ENTRY_STATUS.PENDING_TRANSCRIPTION && (
+                  <View style={styles.pendingBadge}>
+                    <Text style={styles.pendingBadgeText}>Pending</Text>
+                  </View>
+                )}
               </View>
             </View>
             {item.name && (
@@ -213,15 +273,28 @@ export default function JournalListScreen({ navigation }) {
                 {item.summary}
               </Text>
             ) : (
-              <Text style={styles.entryNoSummary}>Processing...</Text>
+              <Text style={styles.entryNoSummary}>
+                {item.processing_status === ENTRY_STATUS.PENDING_TRANSCRIPTION
+                  ? 'Waiting to be transcribed'
+                  : 'Processing...'}
+              </Text>
             )}
           </TouchableOpacity>
-          <TouchableOpacity
-            style={styles.menuButton}
-            onPress={() => handleMenuPress(item.id)}
-          >
-            <Text style={styles.menuButtonText}>⋯</Text>
-          </TouchableOpacity>
+          {selecting ? (
+            <TouchableOpacity
+              style={styles.menuButton}
+              onPress={() => handleToggleSelected(item.id)}
+            >
+              <View style={[styles.selectBox, selectedIds.has(item.id) && styles.selectBoxChecked]} />
+            </TouchableOpacity>
+          ) : (
+            <TouchableOpacity
+              style={styles.menuButton}
+              onPress={() => handleMenuPress(item.id)}
+            >
+              <Text style={styles.menuButtonText}>⋯</Text>
+            </TouchableOpacity>
+          )}
         </View>
         {!isLastItem && <View style={styles.entrySeparator} />}
         {menuVisible === item.id && (
@@ -232,6 +305,18 @@ export default function JournalListScreen({ navigation }) {
               activeOpacity={1}
             />
             <View style={styles.menuDropdown}>
+              <TouchableOpacity
+                style={styles.menuItem}
+                onPress={() => handleAddToFolder([item.id])}
+              >
+                <Text style={styles.menuItemText}>Add to Folder</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={styles.menuItem}
+                onPress={() => handleStartSelection(item.id)}
+              >
+                <Text style={styles.menuItemText}>Select</Text>
+              </TouchableOpacity>
               <TouchableOpacity
                 style={styles.menuItem}
                 onPress={() => handleDeleteEntry(item)}
@@ -270,9 +355,16 @@ export default function JournalListScreen({ navigation }) {
                 <Text style={styles.clusterBadgeText}>Auto</Text>
               </View>
             )}
+            {item.type === 'rule' && (
+              <View style={styles.ruleBadge}>
+                <Text style={styles.ruleBadgeText}>Rules</Text>
+              </View>
+            )}
           </View>
           <Text style={styles.folderCount}>
             {item.entryCount} {item.entryCount === 1 ? 'entry' : 'entries'}
+            {item.subfolderCount > 0 &&
+              ` · ${item.subfolderCount} ${item.subfolderCount === 1 ? 'sub-topic' : 'sub-topics'}`}
           </Text>
         </TouchableOpacity>
         {!isLastItem && <View style={styles.folderSeparator} />}
@@ -329,12 +421,24 @@ export default function JournalListScreen({ navigation }) {
             <Text style={styles.emptySubtext}>
               Folders will be created automatically as you add more entries
             </Text>
+            <TouchableOpacity
+              style={[styles.newFolderButton, styles.newFolderButtonEmpty]}
+              onPress={() => navigation.navigate('FolderBuilder')}
+            >
+              <Text style={styles.newFolderButtonText}>+ New Rule Folder</Text>
+            </TouchableOpacity>
           </View>
         );
       }
 
       return (
         <View style={styles.listContent}>
+          <TouchableOpacity
+            style={styles.newFolderButton}
+            onPress={() => navigation.navigate('FolderBuilder')}
+          >
+            <Text style={styles.newFolderButtonText}>+ New Rule Folder</Text>
+          </TouchableOpacity>
           <View style={styles.foldersGroupContainer}>
             <FlatList
               data={smartFolders}
@@ -358,12 +462,24 @@ export default function JournalListScreen({ navigation }) {
             <Text style={styles.emptySubtext}>
               Create folders to organize your entries
             </Text>
+            <TouchableOpacity
+              style={[styles.newFolderButton, styles.newFolderButtonEmpty]}
+              onPress={() => setShowNewFolderModal(true)}
+            >
+              <Text style={styles.newFolderButtonText}>+ New Folder</Text>
+            </TouchableOpacity>
           </View>
         );
       }
 
       return (
         <View style={styles.listContent}>
+          <TouchableOpacity
+            style={styles.newFolderButton}
+            onPress={() => setShowNewFolderModal(true)}
+          >
+            <Text style={styles.newFolderButtonText}>+ New Folder</Text>
+          </TouchableOpacity>
           <View style={styles.foldersGroupContainer}>
             <FlatList
               data={manualFolders}
@@ -390,21 +506,46 @@ export default function JournalListScreen({ navigation }) {
           <Text style={styles.backButtonText}>← Back</Text>
         </TouchableOpacity>
         <Text style={styles.title}>Journal Entries</Text>
-        <View style={styles.headerControls}>
-          <TouchableOpacity
-            style={styles.searchButton}
-            onPress={() => navigation.navigate('Search')}
-          >
-            <Text style={styles.searchButtonText}>Search</Text>
-          </TouchableOpacity>
-          <TouchableOpacity
-            style={styles.sortButton}
-            onPress={() => setShowSortMenu(!showSortMenu)}
-          >
-            <Text style={styles.sortButtonText}>{getSortLabel(sortBy)}</Text>
-            <Text style={styles.sortButtonIcon}>{showSortMenu ? '▲' : '▼'}</Text>
-          </TouchableOpacity>
-        </View>
+        {selectedIds !== null ? (
+          <View style={styles.headerControls}>
+            <Text style={styles.selectionCount}>{selectedIds.size} selected</Text>
+            <TouchableOpacity
+              style={[styles.searchButton, selectedIds.size === 0 && styles.buttonDisabled]}
+              onPress={() => handleAddToFolder([...selectedIds])}
+              disabled={selectedIds.size === 0}
+            >
+              <Text style={styles.searchButtonText}>Add to Folder</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.searchButton}
+              onPress={() => setSelectedIds(null)}
+            >
+              <Text style={styles.searchButtonText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        ) : (
+          <View style={styles.headerControls}>
+            <TouchableOpacity
+              style={styles.searchButton}
+              onPress={() => navigation.navigate('Search')}
+            >
+              <Text style={styles.searchButtonText}>Search</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.searchButton}
+              onPress={() => navigation.navigate('Ask')}
+            >
+              <Text style={styles.searchButtonText}>Ask</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.sortButton}
+              onPress={() => setShowSortMenu(!showSortMenu)}
+            >
+              <Text style={styles.sortButtonText}>{getSortLabel(sortBy)}</Text>
+              <Text style={styles.sortButtonIcon}>{showSortMenu ? '▲' : '▼'}</Text>
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
 
       {showSortMenu && (
@@ -457,6 +598,21 @@ export default function JournalListScreen({ navigation }) {
 
       {/* Tab Content */}
       {renderTabContent()}
+
+      <FolderPickerModal
+        visible={pickerEntryIds !== null}
+        entryIds={pickerEntryIds || []}
+        onClose={handlePickerClose}
+      />
+
+      <NameEntryModal
+        visible={showNewFolderModal}
+        title="New Folder"
+        skipLabel="Cancel"
+        saveLabel="Create"
+        onSave={handleCreateFolder}
+        onSkip={() => setShowNewFolderModal(false)}
+      />
     </View>
   );
 }
@@ -634,6 +790,39 @@ const styles = StyleSheet.create({
     color: COLORS.card,
     letterSpacing: 1,
   },
+  ruleBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    backgroundColor: COLORS.background,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  ruleBadgeText: {
+    fontSize: 9,
+    fontWeight: '400',
+    color: COLORS.text,
+    letterSpacing: 1,
+  },
+  newFolderButton: {
+    alignSelf: 'flex-start',
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginBottom: 12,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  newFolderButtonEmpty: {
+    alignSelf: 'center',
+    marginTop: 20,
+    marginBottom: 0,
+  },
+  newFolderButtonText: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 0.5,
+  },
   folderCount: {
     fontSize: 12,
     color: COLORS.textSecondary,
@@ -726,6 +915,20 @@ const styles = StyleSheet.create({
   modeBadgeTextSolo: {
     color: COLORS.primary,
   },
+  pendingBadge: {
+    paddingHorizontal: 8,
+    paddingVertical: 3,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    borderStyle: 'dashed',
+    backgroundColor: COLORS.background,
+  },
+  pendingBadgeText: {
+    fontSize: 10,
+    fontWeight: '400',
+    color: COLORS.textSecondary,
+    letterSpacing: 1,
+  },
   entryName: {
     fontSize: 15,
     fontWeight: '400',
@@ -793,6 +996,23 @@ const styles = StyleSheet.create({
     minWidth: 120,
     zIndex: 1000,
   },
+  selectBox: {
+    width: 16,
+    height: 16,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+  },
+  selectBoxChecked: {
+    backgroundColor: COLORS.primary,
+  },
+  selectionCount: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    letterSpacing: 0.5,
+  },
+  buttonDisabled: {
+    opacity: 0.4,
+  },
   menuItem: {
     paddingVertical: 12,
     paddingHorizontal: 20,
@@ -10,6 +10,7 @@ import {
   Alert,
 } from 'react-native';
 import { searchEntries, SEARCH_MODES, getSearchSuggestions } from '../services/searchService';
+import { SNIPPET_MATCH_START, SNIPPET_MATCH_END } from '../services/databaseService';
 import { COLORS, JOURNAL_MODES } from '../utils/constants';
 
 export default function SearchScreen({ navigation }) {
@@ -109,10 +110,15 @@ export default function SearchScreen({ navigation }) {
     }
   };
 
-  const highlightText = (text, query) => {
-    if (!text || !query) return text;
-    // Simple highlighting - in production, might want to use more sophisticated approach
-    return text;
+  const renderSnippet = (snippet) => {
+    // Split on the match markers: odd segments are the matched terms
+    const pattern = new RegExp(`${SNIPPET_MATCH_START}([^${SNIPPET_MATCH_END}]*)${SNIPPET_MATCH_END}`);
+    const segments = snippet.split(pattern);
+    return segments.map((segment, idx) => (
+      idx % 2 === 1
+        ? <Text key={idx} style={styles.snippetMatch}>{segment}</Text>
+        : segment
+    ));
   };
 
   const renderResult = ({ item }) => (
@@ -145,9 +151,20 @@ export default function SearchScreen({ navigation }) {
       )}
 
       <Text style={styles.resultSummary} numberOfLines={3}>
-        {item.summary || item.transcript?.substring(0, 150)}
+        {item.snippet
+          ? renderSnippet(item.snippet)
+          : item.summary || item.transcript?.substring(0, 150)}
       </Text>
 
+      {!item.snippet && item.matchedPassage && (
+        <View style={styles.passageContainer}>
+          <Text style={styles.passageLabel}>MATCHED PASSAGE</Text>
+          <Text style={styles.passageText} numberOfLines={4}>
+            {item.matchedPassage}
+          </Text>
+        </View>
+      )}
+
       {item.matchTypes && (
         <View style={styles.matchTypesContainer}>
           {item.matchTypes.map((type, idx) => (
@@ -198,6 +215,9 @@ export default function SearchScreen({ navigation }) {
             <Text style={styles.tipText}>• Hybrid mode combines semantic and keyword search</Text>
             <Text style={styles.tipText}>• Semantic finds similar concepts</Text>
             <Text style={styles.tipText}>• Keyword matches exact words</Text>
+            <Text style={styles.tipText}>• "quoted words" match a phrase</Text>
+            <Text style={styles.tipText}>• walk* matches walk, walking, walked</Text>
+            <Text style={styles.tipText}>• -work leaves out entries mentioning work</Text>
           </View>
         </View>
       );
@@ -455,6 +475,30 @@ const styles = StyleSheet.create({
     fontWeight: '300',
     marginBottom: 8,
   },
+  snippetMatch: {
+    fontWeight: '500',
+    textDecorationLine: 'underline',
+  },
+  passageContainer: {
+    borderLeftWidth: 2,
+    borderLeftColor: COLORS.border,
+    paddingLeft: 12,
+    marginBottom: 8,
+  },
+  passageLabel: {
+    fontSize: 9,
+    color: COLORS.textSecondary,
+    fontWeight: '400',
+    letterSpacing: 1,
+    marginBottom: 4,
+  },
+  passageText: {
+    fontSize: 13,
+    color: COLORS.text,
+    lineHeight: 20,
+    fontWeight: '300',
+    fontStyle: 'italic',
+  },
   matchTypesContainer: {
     flexDirection: 'row',
     gap: 8,
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import {
   View,
   Text,
@@ -9,11 +9,46 @@ import {
   Alert,
   KeyboardAvoidingView,
   Platform,
+  Switch,
 } from 'react-native';
 import { getSetting, setSetting } from '../services/databaseService';
-import { COLORS, SETTINGS_KEYS } from '../utils/constants';
+import { COLORS, SETTINGS_KEYS, LLM_PROVIDERS, LLM_TASKS, CLUSTERING_ALGORITHMS } from '../utils/constants';
 import { backfillEmbeddings, checkEmbeddingStatus } from '../scripts/backfillEmbeddings';
+import { repairIntegrity } from '../scripts/repairIntegrity';
 import { regenerateClusters } from '../services/clusteringService';
+import { isCancelledError } from '../utils/scheduler';
+import { DEFAULT_MODELS, getModelSettingKey } from '../services/providerService';
+import {
+  startQueue,
+  getOutstandingJobs,
+  retryJob,
+  retryFailedJobs,
+  removeJob,
+  JOB_STEP_LABELS,
+} from '../services/jobQueueService';
+
+const PROVIDER_LABELS = {
+  [LLM_PROVIDERS.OPENAI]: 'OpenAI',
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: 'Compatible',
+  [LLM_PROVIDERS.ANTHROPIC]: 'Anthropic',
+};
+
+const TASK_LABELS = {
+  [LLM_TASKS.CHAT]: 'Conversation',
+  [LLM_TASKS.SUMMARY]: 'Summaries',
+  [LLM_TASKS.TOPICS]: 'Topics',
+  [LLM_TASKS.LABELS]: 'Folder Labels',
+  [LLM_TASKS.EMBEDDING]: 'Embeddings',
+  [LLM_TASKS.TRANSCRIPTION]: 'Transcription',
+};
+
+const ALGORITHM_LABELS = {
+  [CLUSTERING_ALGORITHMS.KMEANS]: 'K-means',
+  [CLUSTERING_ALGORITHMS.DENSITY]: 'Density',
+};
+
+// Anthropic has no embeddings or transcription endpoints
+const AUDIO_AND_EMBEDDING_PROVIDERS = [LLM_PROVIDERS.OPENAI, LLM_PROVIDERS.OPENAI_COMPATIBLE];
 
 export default function SettingsScreen({ navigation }) {
   const [apiKey, setApiKey] = useState('');
@@ -21,18 +56,112 @@ export default function SettingsScreen({ navigation }) {
   const [backfilling, setBackfilling] = useState(false);
   const [backfillProgress, setBackfillProgress] = useState('');
   const [embeddingStatus, setEmbeddingStatus] = useState(null);
+  const [llmProvider, setLlmProvider] = useState(LLM_PROVIDERS.OPENAI);
+  const [embeddingProvider, setEmbeddingProvider] = useState(LLM_PROVIDERS.OPENAI);
+  const [transcriptionProvider, setTranscriptionProvider] = useState(LLM_PROVIDERS.OPENAI);
+  const [compatibleBaseUrl, setCompatibleBaseUrl] = useState('');
+  const [compatibleApiKey, setCompatibleApiKey] = useState('');
+  const [anthropicApiKey, setAnthropicApiKey] = useState('');
+  const [models, setModels] = useState({});
+  const [savingProviders, setSavingProviders] = useState(false);
+  const [jobs, setJobs] = useState([]);
+  const [memoryEnabled, setMemoryEnabled] = useState(false);
+  const [clusteringAlgorithm, setClusteringAlgorithm] = useState(CLUSTERING_ALGORITHMS.KMEANS);
+  const [clusterSilhouette, setClusterSilhouette] = useState(null);
+  const [regenerating, setRegenerating] = useState(false);
+  const [repairing, setRepairing] = useState(false);
+  const regenerateAbortRef = useRef(null);
 
   useEffect(() => {
     loadSettings();
     loadEmbeddingStatus();
+    loadJobs();
   }, []);
 
+  const loadJobs = async () => {
+    try {
+      const outstanding = await getOutstandingJobs();
+      setJobs(outstanding);
+    } catch (error) {
+      console.error('Error loading processing jobs:', error);
+    }
+  };
+
+  const handleRetryJob = async (jobId) => {
+    try {
+      await retryJob(jobId);
+      await loadJobs();
+    } catch (error) {
+      console.error('Error retrying job:', error);
+      Alert.alert('Error', 'Failed to retry job');
+    }
+  };
+
+  const handleRetryFailedJobs = async () => {
+    try {
+      await retryFailedJobs();
+      await loadJobs();
+    } catch (error) {
+      console.error('Error retrying jobs:', error);
+      Alert.alert('Error', 'Failed to retry jobs');
+    }
+  };
+
+  const handleRemoveJob = (jobId) => {
+    Alert.alert('Remove Job', 'This step will not be retried. Remove it from the queue?', [
+      { text: 'Cancel', style: 'cancel' },
+      {
+        text: 'Remove',
+        style: 'destructive',
+        onPress: async () => {
+          try {
+            await removeJob(jobId);
+            await loadJobs();
+          } catch (error) {
+            console.error('Error removing job:', error);
+            Alert.alert('Error', 'Failed to remove job');
+          }
+        },
+      },
+    ]);
+  };
+
+  const formatJobEntry = (job) => {
+    if (job.entry_name) {
+      return job.entry_name;
+    }
+    if (job.entry_date) {
+      return new Date(job.entry_date).toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: '2-digit',
+      });
+    }
+    return `Entry ${job.entry_id}`;
+  };
+
   const loadSettings = async () => {
     try {
       const key = await getSetting(SETTINGS_KEYS.OPENAI_API_KEY);
       if (key) {
         setApiKey(key);
       }
+
+      setMemoryEnabled(await getSetting(SETTINGS_KEYS.CONVERSATION_MEMORY) === 'true');
+      setClusteringAlgorithm(await getSetting(SETTINGS_KEYS.CLUSTERING_ALGORITHM) || CLUSTERING_ALGORITHMS.KMEANS);
+      setLlmProvider(await getSetting(SETTINGS_KEYS.LLM_PROVIDER) || LLM_PROVIDERS.OPENAI);
+      setEmbeddingProvider(await getSetting(SETTINGS_KEYS.EMBEDDING_PROVIDER) || LLM_PROVIDERS.OPENAI);
+      setTranscriptionProvider(await getSetting(SETTINGS_KEYS.TRANSCRIPTION_PROVIDER) || LLM_PROVIDERS.OPENAI);
+      setCompatibleBaseUrl(await getSetting(SETTINGS_KEYS.OPENAI_COMPATIBLE_BASE_URL) || '');
+      setCompatibleApiKey(await getSetting(SETTINGS_KEYS.OPENAI_COMPATIBLE_API_KEY) || '');
+      setAnthropicApiKey(await getSetting(SETTINGS_KEYS.ANTHROPIC_API_KEY) || '');
+
+      const savedModels = {};
+      for (const task of Object.values(LLM_TASKS)) {
+        savedModels[task] = await getSetting(getModelSettingKey(task)) || '';
+      }
+      setModels(savedModels);
     } catch (error) {
       console.error('Error loading settings:', error);
     }
@@ -42,6 +171,9 @@ export default function SettingsScreen({ navigation }) {
     try {
       const status = await checkEmbeddingStatus();
       setEmbeddingStatus(status);
+
+      const silhouette = parseFloat(await getSetting(SETTINGS_KEYS.CLUSTER_SILHOUETTE));
+      setClusterSilhouette(isNaN(silhouette) ? null : silhouette);
     } catch (error) {
       console.error('Error loading embedding status:', error);
     }
@@ -72,6 +204,8 @@ export default function SettingsScreen({ navigation }) {
     try {
       setSaving(true);
       await setSetting(SETTINGS_KEYS.OPENAI_API_KEY, apiKey.trim());
+      // Entries waiting on a key can be processed now
+      startQueue();
       Alert.alert('Success', 'Settings saved successfully');
     } catch (error) {
       console.error('Error saving settings:', error);
@@ -95,6 +229,127 @@ export default function SettingsScreen({ navigation }) {
     ]);
   };
 
+  const getProviderForTask = (task) => {
+    if (task === LLM_TASKS.EMBEDDING) return embeddingProvider;
+    if (task === LLM_TASKS.TRANSCRIPTION) return transcriptionProvider;
+    return llmProvider;
+  };
+
+  const usesProvider = (provider) =>
+    llmProvider === provider || embeddingProvider === provider || transcriptionProvider === provider;
+
+  const handleToggleMemory = async (enabled) => {
+    setMemoryEnabled(enabled);
+    try {
+      await setSetting(SETTINGS_KEYS.CONVERSATION_MEMORY, enabled ? 'true' : 'false');
+    } catch (error) {
+      console.error('Error saving memory setting:', error);
+      setMemoryEnabled(!enabled);
+      Alert.alert('Error', 'Failed to save setting');
+    }
+  };
+
+  const handleCancelRegenerate = () => {
+    if (regenerateAbortRef.current) {
+      regenerateAbortRef.current.abort();
+      setBackfillProgress('Cancelling...');
+    }
+  };
+
+  const handleSelectAlgorithm = async (algorithm) => {
+    const previous = clusteringAlgorithm;
+    setClusteringAlgorithm(algorithm);
+    try {
+      await setSetting(SETTINGS_KEYS.CLUSTERING_ALGORITHM, algorithm);
+    } catch (error) {
+      console.error('Error saving clustering algorithm:', error);
+      setClusteringAlgorithm(previous);
+      Alert.alert('Error', 'Failed to save setting');
+    }
+  };
+
+  const handleSaveProviders = async () => {
+    if (usesProvider(LLM_PROVIDERS.OPENAI_COMPATIBLE) && !compatibleBaseUrl.trim()) {
+      Alert.alert('Error', 'Please enter a base URL for the OpenAI-compatible server');
+      return;
+    }
+
+    if (usesProvider(LLM_PROVIDERS.ANTHROPIC) && !anthropicApiKey.trim()) {
+      Alert.alert('Error', 'Please enter an Anthropic API key');
+      return;
+    }
+
+    try {
+      setSavingProviders(true);
+      await setSetting(SETTINGS_KEYS.LLM_PROVIDER, llmProvider);
+      await setSetting(SETTINGS_KEYS.EMBEDDING_PROVIDER, embeddingProvider);
+      await setSetting(SETTINGS_KEYS.TRANSCRIPTION_PROVIDER, transcriptionProvider);
+      await setSetting(SETTINGS_KEYS.OPENAI_COMPATIBLE_BASE_URL, compatibleBaseUrl.trim());
+      await setSetting(SETTINGS_KEYS.OPENAI_COMPATIBLE_API_KEY, compatibleApiKey.trim());
+      await setSetting(SETTINGS_KEYS.ANTHROPIC_API_KEY, anthropicApiKey.trim());
+
+      for (const task of Object.values(LLM_TASKS)) {
+        await setSetting(getModelSettingKey(task), (models[task] || '').trim());
+      }
+
+      startQueue();
+      Alert.alert('Success', 'Provider settings saved');
+    } catch (error) {
+      console.error('Error saving provider settings:', error);
+      Alert.alert('Error', 'Failed to save provider settings');
+    } finally {
+      setSavingProviders(false);
+    }
+  };
+
+  const renderProviderOptions = (options, selected, onSelect) => (
+    <View style={styles.optionRow}>
+      {options.map((provider) => (
+        <TouchableOpacity
+          key={provider}
+          style={[styles.optionChip, selected === provider && styles.optionChipActive]}
+          onPress={() => onSelect(provider)}
+        >
+          <Text style={[styles.optionChipText, selected === provider && styles.optionChipTextActive]}>
+            {PROVIDER_LABELS[provider]}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const handleRepairIntegrity = async () => {
+    setRepairing(true);
+    try {
+      const report = await repairIntegrity();
+      const lines = [
+        [report.messages, 'orphaned conversation messages'],
+        [report.jobs, 'orphaned processing jobs'],
+        [report.chunks, 'orphaned search passages'],
+        [report.revisions, 'orphaned revisions'],
+        [report.windows, 'orphaned partial transcripts'],
+        [report.folderEntries, 'stale folder memberships'],
+        [report.subfolders, 'orphaned sub-topic folders'],
+        [report.searchRows, 'stale search index rows'],
+        [report.audioFiles, 'unused recordings'],
+      ]
+        .filter(([count]) => count > 0)
+        .map(([count, label]) => `• Removed ${count} ${label}`);
+      if (report.missingAudio > 0) {
+        lines.push(`• ${report.missingAudio} entries point at recordings that no longer exist`);
+      }
+
+      Alert.alert(
+        'Repair Complete',
+        lines.length > 0 ? lines.join('\n') : 'No problems found.'
+      );
+    } catch (error) {
+      Alert.alert('Error', 'Failed to repair data: ' + error.message);
+    } finally {
+      setRepairing(false);
+    }
+  };
+
   const handleGenerateEmbeddings = async () => {
     try {
       // Check current status
@@ -104,27 +359,39 @@ export default function SettingsScreen({ navigation }) {
         // All entries have embeddings - offer to regenerate clusters
         Alert.alert(
           'Regenerate Smart Folders',
-          'This will re-analyze all entries and update your smart folders. Existing folders will be replaced.\n\nUse this after deleting entries or when you want fresh organization.',
+          'This will re-analyze all entries and update your smart folders. Folders that still match a topic keep their names.\n\nUse this after deleting entries, after changing the clustering method, or when you want fresh organization.',
           [
             { text: 'Cancel', style: 'cancel' },
             {
               text: 'Regenerate',
               onPress: async () => {
                 setBackfilling(true);
+                setRegenerating(true);
                 setBackfillProgress('Regenerating clusters...');
 
+                const abortController = new AbortController();
+                regenerateAbortRef.current = abortController;
+
                 try {
-                  await regenerateClusters();
+                  await regenerateClusters(null, {
+                    signal: abortController.signal,
+                    onProgress: (message, progress) => {
+                      setBackfillProgress(`${message} (${progress}%)`);
+                    },
+                  });
 
-                  setBackfillProgress('');
-                  setBackfilling(false);
                   await loadEmbeddingStatus(); // Refresh status
                   Alert.alert('Success', 'Smart folders regenerated! Check the Smart tab in your journal list.');
                 } catch (error) {
-                  console.error('Regeneration error:', error);
+                  if (!isCancelledError(error)) {
+                    console.error('Regeneration error:', error);
+                    Alert.alert('Error', 'Failed to regenerate folders: ' + error.message);
+                  }
+                } finally {
+                  regenerateAbortRef.current = null;
                   setBackfillProgress('');
                   setBackfilling(false);
-                  Alert.alert('Error', 'Failed to regenerate folders: ' + error.message);
+                  setRegenerating(false);
                 }
               },
             },
@@ -229,6 +496,107 @@ export default function SettingsScreen({ navigation }) {
           </View>
         </View>
 
+        {/* Provider Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>AI Provider</Text>
+          <Text style={styles.sectionDescription}>
+            Choose where requests are sent. Use Compatible for a self-hosted
+            server such as llama.cpp or Ollama.
+          </Text>
+
+          <Text style={styles.fieldLabel}>Chat, summaries and labels</Text>
+          {renderProviderOptions(Object.values(LLM_PROVIDERS), llmProvider, setLlmProvider)}
+
+          <Text style={styles.fieldLabel}>Embeddings</Text>
+          {renderProviderOptions(AUDIO_AND_EMBEDDING_PROVIDERS, embeddingProvider, setEmbeddingProvider)}
+
+          <Text style={styles.fieldLabel}>Transcription</Text>
+          {renderProviderOptions(AUDIO_AND_EMBEDDING_PROVIDERS, transcriptionProvider, setTranscriptionProvider)}
+
+          {usesProvider(LLM_PROVIDERS.OPENAI_COMPATIBLE) && (
+            <>
+              <Text style={styles.fieldLabel}>Compatible server base URL</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="http://192.168.1.10:11434/v1"
+                value={compatibleBaseUrl}
+                onChangeText={setCompatibleBaseUrl}
+                autoCapitalize="none"
+                autoCorrect={false}
+                keyboardType="url"
+              />
+              <TextInput
+                style={styles.input}
+                placeholder="API key (optional)"
+                value={compatibleApiKey}
+                onChangeText={setCompatibleApiKey}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+            </>
+          )}
+
+          {usesProvider(LLM_PROVIDERS.ANTHROPIC) && (
+            <>
+              <Text style={styles.fieldLabel}>Anthropic API key</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="sk-ant-..."
+                value={anthropicApiKey}
+                onChangeText={setAnthropicApiKey}
+                autoCapitalize="none"
+                autoCorrect={false}
+                secureTextEntry
+              />
+            </>
+          )}
+
+          <Text style={styles.fieldLabel}>Models</Text>
+          {Object.values(LLM_TASKS).map((task) => (
+            <View key={task} style={styles.modelRow}>
+              <Text style={styles.modelLabel}>{TASK_LABELS[task]}</Text>
+              <TextInput
+                style={[styles.input, styles.modelInput]}
+                placeholder={DEFAULT_MODELS[getProviderForTask(task)]?.[task] || 'model name'}
+                value={models[task] || ''}
+                onChangeText={(value) => setModels({ ...models, [task]: value })}
+                autoCapitalize="none"
+                autoCorrect={false}
+              />
+            </View>
+          ))}
+
+          <TouchableOpacity
+            style={[styles.saveButton, savingProviders && styles.saveButtonDisabled]}
+            onPress={handleSaveProviders}
+            disabled={savingProviders}
+          >
+            <Text style={styles.saveButtonText}>
+              {savingProviders ? 'Saving...' : 'Save Provider Settings'}
+            </Text>
+          </TouchableOpacity>
+        </View>
+
+        {/* Conversation Memory Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Conversation Memory</Text>
+          <Text style={styles.sectionDescription}>
+            Let the conversational companion see related past entries and your
+            latest summaries, so it can pick up threads from earlier days. The
+            entries it draws on are shown under each reply.
+          </Text>
+
+          <View style={styles.switchRow}>
+            <Text style={styles.switchLabel}>Remember past entries</Text>
+            <Switch
+              value={memoryEnabled}
+              onValueChange={handleToggleMemory}
+              trackColor={{ false: '#CCCCCC', true: COLORS.primary }}
+            />
+          </View>
+        </View>
+
         {/* Smart Folders Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Smart Folders</Text>
@@ -236,23 +604,124 @@ export default function SettingsScreen({ navigation }) {
             Generate AI-powered topic folders for your entries. This analyzes all your journal entries and automatically organizes them by theme.
           </Text>
 
+          <Text style={styles.fieldLabel}>Clustering method</Text>
+          <View style={styles.optionRow}>
+            {Object.values(CLUSTERING_ALGORITHMS).map((algorithm) => (
+              <TouchableOpacity
+                key={algorithm}
+                style={[styles.optionChip, clusteringAlgorithm === algorithm && styles.optionChipActive]}
+                onPress={() => handleSelectAlgorithm(algorithm)}
+              >
+                <Text style={[styles.optionChipText, clusteringAlgorithm === algorithm && styles.optionChipTextActive]}>
+                  {ALGORITHM_LABELS[algorithm]}
+                </Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+          <Text style={styles.sectionDescription}>
+            {clusteringAlgorithm === CLUSTERING_ALGORITHMS.DENSITY
+              ? 'Finds the number of topics itself and leaves one-off entries in Unsorted.'
+              : 'Places every entry in one of 3–10 topics.'}
+            {clusterSilhouette !== null &&
+              ` Last run scored ${clusterSilhouette.toFixed(2)} on cluster separation (silhouette, -1 to 1; higher is better). Regenerate to compare methods.`}
+          </Text>
+
           {backfilling && backfillProgress ? (
             <View style={styles.progressContainer}>
               <Text style={styles.progressText}>{backfillProgress}</Text>
             </View>
           ) : null}
 
+          <View style={styles.buttonContainer}>
+            <TouchableOpacity
+              style={[styles.saveButton, backfilling && styles.saveButtonDisabled]}
+              onPress={handleGenerateEmbeddings}
+              disabled={backfilling}
+            >
+              <Text style={styles.saveButtonText}>
+                {backfilling
+                  ? 'Processing...'
+                  : embeddingStatus?.withoutEmbeddings === 0
+                    ? 'Regenerate Smart Folders'
+                    : 'Generate Smart Folders'}
+              </Text>
+            </TouchableOpacity>
+
+            {regenerating && (
+              <TouchableOpacity style={styles.clearButton} onPress={handleCancelRegenerate}>
+                <Text style={styles.clearButtonText}>Cancel</Text>
+              </TouchableOpacity>
+            )}
+          </View>
+        </View>
+
+        {/* Processing Queue Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Processing Queue</Text>
+          <Text style={styles.sectionDescription}>
+            Transcription, summaries, embeddings and topics run in the background
+            and are retried automatically if they fail.
+          </Text>
+
+          {jobs.length === 0 ? (
+            <Text style={styles.queueEmptyText}>Nothing waiting to be processed</Text>
+          ) : (
+            <View style={styles.queueList}>
+              {jobs.map((job) => (
+                <View key={job.id} style={styles.queueItem}>
+                  <View style={styles.queueItemHeader}>
+                    <Text style={styles.queueItemTitle}>{formatJobEntry(job)}</Text>
+                    <Text style={styles.queueItemStatus}>{job.status}</Text>
+                  </View>
+                  <Text style={styles.queueItemStep}>
+                    {JOB_STEP_LABELS[job.step] || job.step}
+                    {job.attempts > 0 ? ` · ${job.attempts} ${job.attempts === 1 ? 'attempt' : 'attempts'}` : ''}
+                  </Text>
+                  {job.last_error ? (
+                    <Text style={styles.queueItemError} numberOfLines={2}>{job.last_error}</Text>
+                  ) : null}
+                  {job.status !== 'running' && (
+                    <View style={styles.queueItemActions}>
+                      <TouchableOpacity onPress={() => handleRetryJob(job.id)}>
+                        <Text style={styles.queueActionText}>Retry now</Text>
+                      </TouchableOpacity>
+                      <TouchableOpacity onPress={() => handleRemoveJob(job.id)}>
+                        <Text style={styles.queueActionText}>Remove</Text>
+                      </TouchableOpacity>
+                    </View>
+                  )}
+                </View>
+              ))}
+            </View>
+          )}
+
+          <View style={styles.buttonContainer}>
+            {jobs.some(job => job.status === 'failed') && (
+              <TouchableOpacity style={styles.saveButton} onPress={handleRetryFailedJobs}>
+                <Text style={styles.saveButtonText}>Retry Failed</Text>
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity style={styles.clearButton} onPress={loadJobs}>
+              <Text style={styles.clearButtonText}>Refresh</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+
+        {/* Data Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Data</Text>
+          <Text style={styles.sectionDescription}>
+            Clean up messages, jobs and folder memberships left behind by deleted
+            entries, and recordings that no entry uses.
+          </Text>
+
           <TouchableOpacity
-            style={[styles.saveButton, backfilling && styles.saveButtonDisabled]}
-            onPress={handleGenerateEmbeddings}
-            disabled={backfilling}
+            style={[styles.clearButton, repairing && styles.saveButtonDisabled]}
+            onPress={handleRepairIntegrity}
+            disabled={repairing}
           >
-            <Text style={styles.saveButtonText}>
-              {backfilling
-                ? 'Processing...'
-                : embeddingStatus?.withoutEmbeddings === 0
-                  ? 'Regenerate Smart Folders'
-                  : 'Generate Smart Folders'}
+            <Text style={styles.clearButtonText}>
+              {repairing ? 'Repairing...' : 'Repair Data'}
             </Text>
           </TouchableOpacity>
         </View>
@@ -345,6 +814,16 @@ const styles = StyleSheet.create({
     marginBottom: 20,
     fontWeight: '300',
   },
+  switchRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  switchLabel: {
+    fontSize: 14,
+    color: COLORS.text,
+    fontWeight: '400',
+  },
   input: {
     backgroundColor: COLORS.background,
     borderWidth: 1,
@@ -359,6 +838,53 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     gap: 2,
   },
+  fieldLabel: {
+    fontSize: 11,
+    fontWeight: '400',
+    color: COLORS.textSecondary,
+    marginBottom: 10,
+    letterSpacing: 1,
+  },
+  optionRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 20,
+  },
+  optionChip: {
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    backgroundColor: COLORS.background,
+  },
+  optionChipActive: {
+    backgroundColor: COLORS.primary,
+  },
+  optionChipText: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+  },
+  optionChipTextActive: {
+    color: COLORS.card,
+  },
+  modelRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 12,
+  },
+  modelLabel: {
+    width: 100,
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '300',
+    marginBottom: 15,
+  },
+  modelInput: {
+    flex: 1,
+  },
   saveButton: {
     flex: 1,
     backgroundColor: COLORS.primary,
@@ -390,6 +916,62 @@ const styles = StyleSheet.create({
     color: COLORS.text,
     letterSpacing: 1,
   },
+  queueEmptyText: {
+    fontSize: 13,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+    marginBottom: 15,
+  },
+  queueList: {
+    borderWidth: 1,
+    borderColor: COLORS.border,
+    marginBottom: 15,
+  },
+  queueItem: {
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: COLORS.border,
+  },
+  queueItemHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 6,
+  },
+  queueItemTitle: {
+    fontSize: 13,
+    color: COLORS.text,
+    fontWeight: '400',
+    flex: 1,
+  },
+  queueItemStatus: {
+    fontSize: 10,
+    color: COLORS.textSecondary,
+    letterSpacing: 1,
+    textTransform: 'uppercase',
+  },
+  queueItemStep: {
+    fontSize: 12,
+    color: COLORS.textSecondary,
+    fontWeight: '300',
+  },
+  queueItemError: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '300',
+    marginTop: 6,
+  },
+  queueItemActions: {
+    flexDirection: 'row',
+    gap: 20,
+    marginTop: 10,
+  },
+  queueActionText: {
+    fontSize: 12,
+    color: COLORS.text,
+    fontWeight: '400',
+    letterSpacing: 1,
+    textDecorationLine: 'underline',
+  },
   infoSection: {
     backgroundColor: COLORS.background,
     borderWidth: 1,
@@ -3,9 +3,18 @@
  * Run this from console or add to Settings screen as a button
  */
 
-import { getJournalEntries, updateJournalEntry } from '../services/databaseService';
-import { generateEmbedding, extractTopics } from '../services/embeddingsService';
+import {
+  getJournalEntries,
+  updateJournalEntry,
+  setEntryEmbedding,
+  replaceEntryChunks,
+  getEmbeddingCounts,
+} from '../services/databaseService';
+import { generateChunkEmbeddings, extractTopics } from '../services/embeddingsService';
 import { regenerateClusters } from '../services/clusteringService';
+import { embedSavedRuleQueries } from '../services/searchService';
+import { getEmbeddingModel } from '../services/providerService';
+import { REVISION_SOURCES } from '../utils/constants';
 
 export const backfillEmbeddings = async (onProgress) => {
   try {
@@ -13,12 +22,21 @@ export const backfillEmbeddings = async (onProgress) => {
 
     // Get all entries
     const entries = await getJournalEntries();
+    const model = await getEmbeddingModel();
 
-    // Filter entries without embeddings
-    const entriesNeedingEmbeddings = entries.filter(entry => !entry.embedding);
+    // Filter entries without embeddings, or with embeddings from a different model
+    const entriesNeedingEmbeddings = entries.filter(
+      entry => !entry.embedding_vector || entry.embedding_model !== model
+    );
 
     console.log(`Found ${entriesNeedingEmbeddings.length} entries without embeddings`);
 
+    // "Similar to" rule folders need their text embedded with the same model
+    const queries = await embedSavedRuleQueries();
+    if (queries > 0) {
+      console.log(`Embedded ${queries} rule folder queries with ${model}`);
+    }
+
     if (entriesNeedingEmbeddings.length === 0) {
       console.log('All entries already have embeddings!');
       if (onProgress) onProgress('All entries already have embeddings', 100);
@@ -37,17 +55,16 @@ export const backfillEmbeddings = async (onProgress) => {
 
         console.log(`Processing entry ${entry.id}...`);
 
-        // Generate embedding
-        const embedding = await generateEmbedding(text);
-        await updateJournalEntry(entry.id, {
-          embedding: JSON.stringify(embedding),
-        });
+        // Generate chunk embeddings and the whole-entry vector
+        const { chunks, vector } = await generateChunkEmbeddings(text);
+        await replaceEntryChunks(entry.id, chunks, model);
+        await setEntryEmbedding(entry.id, vector, model);
 
         // Extract topics
         const topics = await extractTopics(text);
         await updateJournalEntry(entry.id, {
           topics: JSON.stringify(topics),
-        });
+        }, REVISION_SOURCES.BACKFILL);
 
         processed++;
         const progress = Math.round((processed / entriesNeedingEmbeddings.length) * 100);
@@ -84,15 +101,15 @@ export const backfillEmbeddings = async (onProgress) => {
 };
 
 // Quick test function - logs which entries need embeddings
+// Entries embedded with another model count as without embeddings
 export const checkEmbeddingStatus = async () => {
-  const entries = await getJournalEntries();
-  const withEmbeddings = entries.filter(e => e.embedding).length;
-  const withoutEmbeddings = entries.filter(e => !e.embedding).length;
+  const model = await getEmbeddingModel();
+  const { withEmbeddings, withoutEmbeddings, total } = await getEmbeddingCounts(model);
 
-  console.log(`\nEmbedding Status:`);
+  console.log(`\nEmbedding Status (${model}):`);
   console.log(`  With embeddings: ${withEmbeddings}`);
   console.log(`  Without embeddings: ${withoutEmbeddings}`);
-  console.log(`  Total entries: ${entries.length}\n`);
+  console.log(`  Total entries: ${total}\n`);
 
-  return { withEmbeddings, withoutEmbeddings, total: entries.length };
+  return { withEmbeddings, withoutEmbeddings, total };
 };
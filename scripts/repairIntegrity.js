@@ -0,0 +1,44 @@
+/**
+ * One-shot cleanup of data left inconsistent by older versions of the app:
+ * rows whose entry or folder is gone, and recordings no entry refers to.
+ * Run from the Settings screen.
+ */
+
+import { removeOrphanedRows, getReferencedAudioPaths } from '../services/databaseService';
+import { listRecordingFiles, deleteAudioFile, audioFileExists } from '../services/audioService';
+
+export const repairIntegrity = async () => {
+  try {
+    console.log('Starting integrity repair...');
+
+    const removed = await removeOrphanedRows();
+
+    // Recordings on disk that no entry points at
+    const referenced = await getReferencedAudioPaths();
+    const referencedSet = new Set(referenced);
+    const recordings = await listRecordingFiles();
+    let audioFiles = 0;
+    for (const uri of recordings) {
+      if (!referencedSet.has(uri)) {
+        await deleteAudioFile(uri);
+        audioFiles++;
+      }
+    }
+
+    // Entries whose recording is gone can't be played or re-transcribed;
+    // reported only, since the entry itself may still have its text
+    let missingAudio = 0;
+    for (const uri of referenced) {
+      if (!(await audioFileExists(uri))) {
+        missingAudio++;
+      }
+    }
+
+    const report = { ...removed, audioFiles, missingAudio };
+    console.log('Integrity repair complete:', report);
+    return report;
+  } catch (error) {
+    console.error('Error in integrity repair:', error);
+    throw error;
+  }
+};
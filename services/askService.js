@@ -0,0 +1,169 @@
+import { searchEntries, SEARCH_MODES } from './searchService';
+import { streamChatCompletion } from './providerService';
+import { LLM_TASKS } from '../utils/constants';
+
+// Retrieval limits per question and for the conversation as a whole
+const RESULTS_PER_QUESTION = 6;
+const MAX_SOURCES = 12;
+const MAX_PASSAGE_CHARS = 1200;
+
+const SYSTEM_PROMPT = 'You answer questions about the user\'s own journal. Use only the numbered journal excerpts provided. Cite the excerpts you rely on with their number in square brackets, like [2] or [1][3], right after the statement they support. Mention dates when they help answer the question. If the excerpts don\'t contain the answer, say so plainly rather than guessing. Address the user as "you". Keep answers concise.';
+
+/**
+ * Pick the text to show the model for a search result
+ * @param {object} result - Search result
+ * @returns {string}
+ */
+const getPassage = (result) => {
+  const text = result.matchedPassage || result.summary || result.transcript || '';
+  return text.length > MAX_PASSAGE_CHARS ? `${text.substring(0, MAX_PASSAGE_CHARS)}…` : text;
+};
+
+/**
+ * Retrieve journal passages for a question and merge them into the existing
+ * sources. Sources already cited keep their numbers so earlier answers stay valid.
+ * @param {string} question - User question
+ * @param {Array} existingSources - Sources from earlier turns
+ * @returns {Promise<Array<{ref: number, entryId: number, date: string, name: string|null, passage: string}>>}
+ */
+export const retrieveSources = async (question, existingSources = []) => {
+  const results = await searchEntries(question, {
+    mode: SEARCH_MODES.HYBRID,
+    maxResults: RESULTS_PER_QUESTION,
+    minScore: 0.15,
+  });
+
+  const sources = [...existingSources];
+  const knownEntries = new Set(sources.map(source => source.entryId));
+  let nextRef = sources.reduce((max, source) => Math.max(max, source.ref), 0) + 1;
+
+  for (const result of results) {
+    if (sources.length >= MAX_SOURCES) {
+      break;
+    }
+    if (knownEntries.has(result.id)) {
+      continue;
+    }
+
+    const passage = getPassage(result);
+    if (!passage) {
+      continue;
+    }
+
+    sources.push({
+      ref: nextRef++,
+      entryId: result.id,
+      date: result.date,
+      name: result.name,
+      passage,
+    });
+    knownEntries.add(result.id);
+  }
+
+  return sources;
+};
+
+/**
+ * Format sources as the numbered context block sent to the model
+ * @param {Array} sources - Retrieved sources
+ * @returns {string}
+ */
+const formatSources = (sources) => {
+  return sources
+    .map(source => {
+      const date = new Date(source.date).toLocaleDateString('en-US', {
+        weekday: 'short',
+        month: 'short',
+        day: 'numeric',
+        year: 'numeric',
+      });
+      const title = source.name ? ` "${source.name}"` : '';
+      return `[${source.ref}] ${date}${title}\n${source.passage}`;
+    })
+    .join('\n\n');
+};
+
+/**
+ * Answer a question from the journal, streaming the reply.
+ * Earlier turns and their sources carry over so follow-ups like
+ * "what helped that time?" resolve against the same entries.
+ * @param {string} question - User question
+ * @param {Object} options - { history, sources, onSources, onChunk, signal }
+ *   history: earlier turns as [{question, answer}]
+ *   sources: sources returned by the previous call
+ *   onSources: called with the merged sources once retrieval finishes, before the answer streams
+ *   onChunk: called with (token, accumulated) as the answer streams
+ *   signal: AbortSignal to stop generation; the partial answer is returned
+ * @returns {Promise<{answer: string, sources: Array}>}
+ */
+export const askJournal = async (question, options = {}) => {
+  const { history = [], sources: previousSources = [], onSources, onChunk, signal } = options;
+
+  try {
+    // Fold earlier questions into retrieval so follow-ups find related entries
+    const retrievalQuery = history.length > 0
+      ? `${history[history.length - 1].question} ${question}`
+      : question;
+    const sources = await retrieveSources(retrievalQuery, previousSources);
+    if (onSources) {
+      onSources(sources);
+    }
+
+    if (sources.length === 0) {
+      const answer = 'I couldn\'t find any journal entries related to that.';
+      if (onChunk) {
+        onChunk(answer, answer);
+      }
+      return { answer, sources };
+    }
+
+    const messages = [
+      { role: 'system', content: SYSTEM_PROMPT },
+      { role: 'user', content: `Journal excerpts:\n\n${formatSources(sources)}` },
+      { role: 'assistant', content: 'Got it. What would you like to know?' },
+    ];
+    for (const turn of history) {
+      messages.push({ role: 'user', content: turn.question });
+      messages.push({ role: 'assistant', content: turn.answer });
+    }
+    messages.push({ role: 'user', content: question });
+
+    const answer = await streamChatCompletion(LLM_TASKS.CHAT, messages, {
+      temperature: 0.3,
+      maxTokens: 600,
+      onToken: onChunk,
+      signal,
+    });
+
+    return { answer, sources };
+  } catch (error) {
+    console.error('Ask journal error:', error);
+    throw error;
+  }
+};
+
+/**
+ * Split an answer into text and citation segments for rendering
+ * @param {string} answer - Answer text containing [n] citations
+ * @returns {Array<{type: 'text'|'citation', value: string|number}>}
+ */
+export const parseCitations = (answer) => {
+  const segments = [];
+  const pattern = /\[(\d+)\]/g;
+  let lastIndex = 0;
+  let match;
+
+  while ((match = pattern.exec(answer)) !== null) {
+    if (match.index > lastIndex) {
+      segments.push({ type: 'text', value: answer.slice(lastIndex, match.index) });
+    }
+    segments.push({ type: 'citation', value: parseInt(match[1], 10) });
+    lastIndex = pattern.lastIndex;
+  }
+
+  if (lastIndex < answer.length) {
+    segments.push({ type: 'text', value: answer.slice(lastIndex) });
+  }
+
+  return segments;
+};
@@ -1,8 +1,24 @@
 import { Audio } from 'expo-av';
 import * as FileSystem from 'expo-file-system/legacy';
+import * as Speech from 'expo-speech';
+import { readBoxHeader, parseAudioTrack, buildAudioWindow } from '../utils/mp4Audio';
 
 let recording = null;
+// Set while stopRecording runs, so its own stop isn't taken for an interruption
+let stopping = false;
 let sound = null;
+// Called once when the current sound finishes, is stopped or is replaced
+let onPlaybackEnd = null;
+// Bumped to cancel a session that's playing
+let sessionToken = 0;
+
+const endPlayback = () => {
+  const callback = onPlaybackEnd;
+  onPlaybackEnd = null;
+  if (callback) {
+    callback();
+  }
+};
 
 export const requestAudioPermissions = async () => {
   try {
@@ -14,7 +30,15 @@ export const requestAudioPermissions = async () => {
   }
 };
 
-export const startRecording = async () => {
+/**
+ * Start recording
+ * @param {() => void} onInterrupted - Called once if the system ends the
+ *   recording before it's stopped, e.g. for a phone call or when the audio
+ *   services reset. What was recorded up to then can still be saved with
+ *   stopRecording.
+ * @returns {Promise<object>} - The recording
+ */
+export const startRecording = async (onInterrupted = null) => {
   try {
     const hasPermission = await requestAudioPermissions();
     if (!hasPermission) {
@@ -26,11 +50,28 @@ export const startRecording = async () => {
       playsInSilentModeIOS: true,
     });
 
-    recording = new Audio.Recording();
-    await recording.prepareToRecordAsync(
+    const newRecording = new Audio.Recording();
+    recording = newRecording;
+    let started = false;
+    let reported = false;
+    newRecording.setOnRecordingStatusUpdate((status) => {
+      // Recordings are never paused here, so one that stops on its own was
+      // interrupted by the system
+      const ended = status.isDoneRecording || status.mediaServicesDidReset ||
+        (started && !status.isRecording);
+      if (ended && !reported && !stopping && recording === newRecording) {
+        reported = true;
+        console.warn('Recording was interrupted');
+        if (onInterrupted) {
+          onInterrupted();
+        }
+      }
+    });
+    await newRecording.prepareToRecordAsync(
       Audio.RecordingOptionsPresets.HIGH_QUALITY
     );
-    await recording.startAsync();
+    await newRecording.startAsync();
+    started = true;
 
     console.log('Recording started');
     return recording;
@@ -46,7 +87,12 @@ export const stopRecording = async () => {
       throw new Error('No recording in progress');
     }
 
-    await recording.stopAndUnloadAsync();
+    stopping = true;
+    // An interrupted recording has already been stopped and unloaded
+    const status = await recording.getStatusAsync();
+    if (!status.isDoneRecording) {
+      await recording.stopAndUnloadAsync();
+    }
     const uri = recording.getURI();
 
     // Save to permanent location
@@ -64,26 +110,56 @@ export const stopRecording = async () => {
   } catch (error) {
     console.error('Failed to stop recording:', error);
     throw error;
+  } finally {
+    stopping = false;
   }
 };
 
-export const playAudio = async (uri) => {
+/**
+ * Play a recording, replacing whatever is playing
+ * @param {string} uri - File URI
+ * @param {() => void} onFinish - Called once when it ends, is stopped or is replaced
+ * @param {Object} options - { onStatus, positionMs, rate }
+ *   onStatus: called with { positionMs, durationMs, isPlaying } as playback progresses
+ *   positionMs: where to start
+ *   rate: playback speed, with pitch kept natural
+ * @returns {Promise<object>} - The sound
+ */
+export const playAudio = async (uri, onFinish = null, options = {}) => {
+  const { onStatus = null, positionMs = 0, rate = 1 } = options;
   try {
     if (sound) {
       await sound.unloadAsync();
+      sound = null;
     }
+    endPlayback();
 
     const { sound: newSound } = await Audio.Sound.createAsync(
       { uri },
-      { shouldPlay: true }
+      {
+        shouldPlay: true,
+        positionMillis: positionMs,
+        rate,
+        shouldCorrectPitch: true,
+        progressUpdateIntervalMillis: 250,
+      }
     );
 
     sound = newSound;
+    onPlaybackEnd = onFinish;
 
-    sound.setOnPlaybackStatusUpdate((status) => {
-      if (status.didJustFinish) {
-        sound.unloadAsync();
+    newSound.setOnPlaybackStatusUpdate((status) => {
+      if (onStatus && status.isLoaded && sound === newSound) {
+        onStatus({
+          positionMs: status.positionMillis,
+          durationMs: status.durationMillis || 0,
+          isPlaying: status.isPlaying,
+        });
+      }
+      if (status.didJustFinish && sound === newSound) {
+        newSound.unloadAsync();
         sound = null;
+        endPlayback();
       }
     });
 
@@ -117,19 +193,96 @@ export const resumeAudio = async () => {
   }
 };
 
+export const seekAudio = async (positionMs) => {
+  try {
+    if (sound) {
+      await sound.setPositionAsync(Math.max(0, Math.round(positionMs)));
+    }
+  } catch (error) {
+    console.error('Failed to seek audio:', error);
+    throw error;
+  }
+};
+
+export const setAudioRate = async (rate) => {
+  try {
+    if (sound) {
+      await sound.setRateAsync(rate, true);
+    }
+  } catch (error) {
+    console.error('Failed to set playback rate:', error);
+    throw error;
+  }
+};
+
 export const stopAudio = async () => {
   try {
     if (sound) {
-      await sound.stopAsync();
-      await sound.unloadAsync();
+      const current = sound;
       sound = null;
+      await current.stopAsync();
+      await current.unloadAsync();
     }
+    endPlayback();
   } catch (error) {
     console.error('Failed to stop audio:', error);
     throw error;
   }
 };
 
+// Resolves when the recording ends or playback is stopped
+const playToEnd = (uri) =>
+  new Promise((resolve, reject) => {
+    playAudio(uri, resolve).catch(reject);
+  });
+
+const speakToEnd = (text) =>
+  new Promise((resolve) => {
+    Speech.speak(text, { onDone: resolve, onStopped: resolve, onError: resolve });
+  });
+
+/**
+ * Play a conversation from start to finish: each turn's recording where
+ * there is one, and the text read aloud otherwise (assistant turns, and
+ * user turns from before every turn was recorded)
+ * @param {Array<{audioPath: string|null, text: string}>} turns - Turns in order
+ * @param {(index: number) => void} onTurn - Called as each turn starts
+ * @returns {Promise<boolean>} - False if stopped before the end
+ */
+export const playSession = async (turns, onTurn) => {
+  await stopSession();
+  const token = sessionToken;
+
+  for (let i = 0; i < turns.length; i++) {
+    if (token !== sessionToken) {
+      return false;
+    }
+    if (onTurn) {
+      onTurn(i);
+    }
+
+    const turn = turns[i];
+    if (turn.audioPath) {
+      try {
+        await playToEnd(turn.audioPath);
+        continue;
+      } catch (error) {
+        // The recording is gone; read the turn out instead
+      }
+    }
+    if (turn.text && token === sessionToken) {
+      await speakToEnd(turn.text);
+    }
+  }
+  return token === sessionToken;
+};
+
+export const stopSession = async () => {
+  sessionToken++;
+  Speech.stop();
+  await stopAudio();
+};
+
 export const deleteAudioFile = async (uri) => {
   try {
     const fileInfo = await FileSystem.getInfoAsync(uri);
@@ -154,3 +307,80 @@ export const getAudioDuration = async (uri) => {
     return 0;
   }
 };
+
+// Saved recordings in the documents directory, as file URIs
+export const listRecordingFiles = async () => {
+  const names = await FileSystem.readDirectoryAsync(FileSystem.documentDirectory);
+  return names
+    .filter(name => /^recording_.*\.m4a$/.test(name))
+    .map(name => `${FileSystem.documentDirectory}${name}`);
+};
+
+export const getAudioFileSize = async (uri) => {
+  const fileInfo = await FileSystem.getInfoAsync(uri);
+  return fileInfo.exists ? fileInfo.size : 0;
+};
+
+const readBase64 = (uri, position, length) =>
+  FileSystem.readAsStringAsync(uri, {
+    encoding: FileSystem.EncodingType.Base64,
+    position,
+    length,
+  });
+
+const decodeBase64 = (base64) => Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+
+const encodeBase64 = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x2000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x2000));
+  }
+  return btoa(binary);
+};
+
+/**
+ * Read the index of an .m4a recording's audio track, without loading the audio
+ * @param {string} uri - File URI
+ * @returns {Promise<object>} - Track, as from parseAudioTrack
+ */
+export const readAudioTrack = async (uri) => {
+  const fileSize = await getAudioFileSize(uri);
+  let position = 0;
+  while (position + 8 <= fileSize) {
+    const header = decodeBase64(await readBase64(uri, position, 16));
+    const { type, size } = readBoxHeader(header, 0, fileSize - position);
+    if (type === 'moov') {
+      return parseAudioTrack(decodeBase64(await readBase64(uri, position, size)));
+    }
+    if (size < 8) {
+      break;
+    }
+    position += size;
+  }
+  throw new Error('Recording has no moov box');
+};
+
+/**
+ * Copy a stretch of an .m4a recording into a file of its own in the cache.
+ * The audio bytes are copied as base64 without being decoded.
+ * @param {string} uri - File URI of the recording
+ * @param {object} track - From readAudioTrack
+ * @param {number} startMs - Start of the stretch
+ * @param {number} endMs - End of the stretch
+ * @returns {Promise<string>} - URI of the new file; delete it once used
+ */
+export const createAudioWindow = async (uri, track, startMs, endMs) => {
+  const { header, dataOffset, dataLength } = buildAudioWindow(track, startMs, endMs);
+  const data = await readBase64(uri, dataOffset, dataLength);
+
+  const windowUri = `${FileSystem.cacheDirectory}window_${Date.now()}_${Math.round(startMs)}.m4a`;
+  await FileSystem.writeAsStringAsync(windowUri, encodeBase64(header) + data, {
+    encoding: FileSystem.EncodingType.Base64,
+  });
+  return windowUri;
+};
+
+export const audioFileExists = async (uri) => {
+  const fileInfo = await FileSystem.getInfoAsync(uri);
+  return fileInfo.exists;
+};
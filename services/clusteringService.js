@@ -5,127 +5,668 @@ import {
   getSmartFolders,
   updateSmartFolder,
   deleteSmartFolder,
+  setSmartFolderCentroid,
+  clearClusterCentroid,
+  getMaxClusterId,
+  getClusterSizes,
   getJournalEntry,
+  updateJournalEntry,
   getSetting,
   setSetting,
 } from './databaseService';
-import { clusterEmbeddings, labelCluster, findOptimalK } from './embeddingsService';
+import {
+  clusterEmbeddings,
+  labelCluster,
+  findOptimalK,
+  cosineSimilarity,
+  calculateSilhouetteScore,
+  densityClusterEmbeddings,
+} from './embeddingsService';
+import { getEmbeddingModel } from './providerService';
+import { solveAssignment } from '../utils/hungarian';
+import { cancelledError, isCancelledError } from '../utils/scheduler';
+import { UNSORTED_CLUSTER_ID, CLUSTERING_ALGORITHMS, SETTINGS_KEYS } from '../utils/constants';
+
+// A new cluster inherits an old folder only if they are at least this similar
+// (average of centroid cosine similarity and member overlap)
+const MATCH_THRESHOLD = 0.45;
+
+// A new entry joins its nearest cluster only if it is at least this similar
+// to the centroid; otherwise it waits in the unsorted bucket
+const ASSIGNMENT_MIN_SIMILARITY = 0.35;
+
+// Rebuild when the silhouette score has fallen this far below its value at
+// the last regeneration
+const SILHOUETTE_DROP_THRESHOLD = 0.1;
+
+// Entries scored when measuring silhouette drift, to keep the check cheap
+const SILHOUETTE_SAMPLE_SIZE = 150;
+
+// Themes with at least this many entries are split into sub-topics
+const MIN_ENTRIES_FOR_SUBTOPICS = 12;
+const MAX_SUBTOPICS = 5;
+
+/**
+ * Mean of a set of vectors
+ * @param {Array<number[]|Float32Array>} vectors - Vectors of equal length
+ * @returns {number[]}
+ */
+const meanVector = (vectors) => {
+  const mean = new Array(vectors[0].length).fill(0);
+  for (const vector of vectors) {
+    for (let d = 0; d < mean.length; d++) {
+      mean[d] += vector[d];
+    }
+  }
+  return mean.map(value => value / vectors.length);
+};
+
+/**
+ * Jaccard overlap of two sets of entry IDs
+ * @param {Set<number>} a
+ * @param {Set<number>} b
+ * @returns {number} - 0 to 1
+ */
+const jaccard = (a, b) => {
+  if (a.size === 0 && b.size === 0) {
+    return 0;
+  }
+  let intersection = 0;
+  for (const id of a) {
+    if (b.has(id)) {
+      intersection++;
+    }
+  }
+  return intersection / (a.size + b.size - intersection);
+};
+
+/**
+ * Cluster IDs whose entries belong to a folder: its own and its sub-topics'
+ * @param {object} folder - Cluster folder
+ * @param {Array<object>} allFolders - Every cluster folder
+ * @returns {Set<number>}
+ */
+const getFolderClusterIds = (folder, allFolders) => {
+  const ids = new Set([folder.cluster_id]);
+  for (const child of allFolders) {
+    if (child.parent_id === folder.id) {
+      for (const id of getFolderClusterIds(child, allFolders)) {
+        ids.add(id);
+      }
+    }
+  }
+  return ids;
+};
+
+/**
+ * Pair new clusters with existing cluster folders so folders keep their
+ * identity (id, name, color) across regenerations
+ * @param {Array<{entryIds: number[], centroid: number[]}>} newClusters - Clusters from this run
+ * @param {Array<object>} oldFolders - Existing cluster folders at the same level
+ * @param {Array<object>} entries - Clustered entries, with their previous cluster_id
+ * @param {string} model - Embedding model the entries were embedded with
+ * @param {Array<object>} allFolders - Every existing cluster folder, to resolve sub-topics
+ * @returns {Array<object|null>} - Matched folder for each new cluster, or null
+ */
+const matchClustersToFolders = (newClusters, oldFolders, entries, model, allFolders) => {
+  if (newClusters.length === 0 || oldFolders.length === 0) {
+    return newClusters.map(() => null);
+  }
+
+  // Describe each old folder by its current members and their centroid,
+  // falling back to the stored centroid if its members have gone
+  const embeddingById = new Map(entries.map(entry => [entry.id, entry.embedding]));
+  const oldClusters = oldFolders.map(folder => {
+    const clusterIds = getFolderClusterIds(folder, allFolders);
+    const memberIds = entries
+      .filter(entry => clusterIds.has(entry.cluster_id))
+      .map(entry => entry.id);
+    let centroid = null;
+    if (memberIds.length > 0) {
+      centroid = meanVector(memberIds.map(id => embeddingById.get(id)));
+    } else if (folder.centroid && folder.centroid_model === model) {
+      centroid = folder.centroid;
+    }
+    return { members: new Set(memberIds), centroid };
+  });
+
+  const similarity = newClusters.map(cluster => {
+    const members = new Set(cluster.entryIds);
+    return oldClusters.map(old => {
+      const centroidScore = old.centroid && old.centroid.length === cluster.centroid.length
+        ? Math.max(0, cosineSimilarity(cluster.centroid, old.centroid))
+        : 0;
+      return 0.5 * centroidScore + 0.5 * jaccard(members, old.members);
+    });
+  });
+
+  const assignment = solveAssignment(similarity.map(row => row.map(score => 1 - score)));
+
+  return assignment.map((oldIndex, newIndex) => (
+    oldIndex !== -1 && similarity[newIndex][oldIndex] >= MATCH_THRESHOLD
+      ? oldFolders[oldIndex]
+      : null
+  ));
+};
+
+/**
+ * Create or keep the folders for one level of clusters. Each cluster takes
+ * over the old folder it matches, or gets a new LLM-labeled folder.
+ * @param {Array<{entryIds: number[], centroid: number[]}>} clusters - Clusters at this level
+ * @param {Array<object>} oldFolders - Existing folders at this level
+ * @param {number|null} parentId - Parent folder ID for sub-topics, null for themes
+ * @param {object} context - Shared regeneration state (entries, model, ID counter, assignments)
+ * @returns {Promise<Array<{folderId: number, clusterId: number, entryIds: number[]}>>}
+ */
+const syncClusterFolders = async (clusters, oldFolders, parentId, context) => {
+  const { entries, model, clusterFolders, finalAssignments, keptFolderIds } = context;
+  const matches = matchClustersToFolders(clusters, oldFolders, entries, model, clusterFolders);
+  const synced = [];
+
+  for (let i = 0; i < clusters.length; i++) {
+    const { entryIds, centroid } = clusters[i];
+    const folder = matches[i];
+    let folderId;
+    let clusterId;
+
+    if (folder) {
+      folderId = folder.id;
+      clusterId = folder.cluster_id;
+      keptFolderIds.add(folder.id);
+      await setSmartFolderCentroid(folder.id, centroid, model);
+      console.log(`Kept cluster folder: "${folder.name}" with ${entryIds.length} entries`);
+    } else {
+      clusterId = context.nextClusterId++;
+
+      // Get sample entries for labeling
+      const sampleEntries = await Promise.all(
+        entryIds.slice(0, 3).map(id => getJournalEntry(id))
+      );
+
+      // Generate label using LLM
+      const label = await labelCluster(sampleEntries);
+
+      folderId = await createSmartFolder(label, 'cluster', null, clusterId, null, parentId);
+      await setSmartFolderCentroid(folderId, centroid, model);
+      console.log(`Created cluster folder: "${label}" with ${entryIds.length} entries`);
+    }
+
+    for (const entryId of entryIds) {
+      finalAssignments.set(entryId, clusterId);
+    }
+    synced.push({ folderId, clusterId, entryIds });
+  }
+
+  return synced;
+};
+
+/**
+ * Cluster the entries of one theme into sub-topics
+ * @param {number[]} entryIds - Entries in the theme
+ * @param {Array<object>} entries - All clustered entries
+ * @param {string} algorithm - One of CLUSTERING_ALGORITHMS
+ * @param {AbortSignal} signal - Cancels the computation (optional)
+ * @returns {Promise<Array<{entryIds: number[], centroid: number[]}>>} - Sub-topics with at least 2 entries
+ */
+const findSubClusters = async (entryIds, entries, algorithm, signal) => {
+  const members = new Set(entryIds);
+  const themeEntries = entries.filter(entry => members.has(entry.id));
+
+  if (algorithm === CLUSTERING_ALGORITHMS.DENSITY) {
+    return groupClusters(themeEntries, await densityClusterEmbeddings(themeEntries, { signal }));
+  }
+
+  const { k } = await findOptimalK(themeEntries, 2, MAX_SUBTOPICS, { signal });
+  return groupClusters(themeEntries, await clusterEmbeddings(themeEntries, k, { signal }));
+};
 
 /**
- * Regenerate all cluster folders from scratch
- * @param {number} numClusters - Number of clusters to create (default: auto-detect with silhouette)
+ * Group k-means assignments into clusters with their centroids, dropping
+ * clusters too small to deserve a folder
+ * @param {Array<object>} entries - Entries that were clustered
+ * @param {Array<{entryId: number, clusterId: number|null}>} clusterAssignments - Clustering
+ *   output; a null clusterId marks an outlier
+ * @returns {Array<{entryIds: number[], centroid: number[]}>}
+ */
+const groupClusters = (entries, clusterAssignments) => {
+  const clusterGroups = {};
+  for (const assignment of clusterAssignments) {
+    if (assignment.clusterId === null) {
+      continue;
+    }
+    if (!clusterGroups[assignment.clusterId]) {
+      clusterGroups[assignment.clusterId] = [];
+    }
+    clusterGroups[assignment.clusterId].push(assignment.entryId);
+  }
+
+  const embeddingById = new Map(entries.map(entry => [entry.id, entry.embedding]));
+  return Object.values(clusterGroups)
+    .filter(entryIds => entryIds.length >= 2)
+    .map(entryIds => ({
+      entryIds,
+      centroid: meanVector(entryIds.map(id => embeddingById.get(id))),
+    }));
+};
+
+/**
+ * Cluster entries with k-means
+ * @param {Array<object>} entries - Entries with embeddings
+ * @param {number|null} numClusters - Requested number of clusters, or null to pick one
+ * @param {Object} options - { signal, onProgress } passed to findOptimalK
+ * @returns {Promise<Array<{entryId: number, clusterId: number}>>}
+ */
+const runKMeansClustering = async (entries, numClusters, options = {}) => {
+  let k;
+
+  // Determine k: use silhouette scoring if numClusters not specified and enough entries
+  if (!numClusters && entries.length >= 10) {
+    console.log('Using silhouette scoring to find optimal k...');
+    const result = await findOptimalK(entries, 3, 10, options);
+    k = result.k;
+    console.log(`Silhouette scoring selected k=${k} (score: ${result.score.toFixed(4)})`);
+  } else if (!numClusters) {
+    // Fallback for small datasets
+    k = Math.min(5, Math.floor(entries.length / 2));
+    console.log(`Using fallback k=${k} (dataset too small for silhouette)`);
+  } else {
+    // User-specified k
+    k = Math.min(numClusters, Math.floor(entries.length / 2));
+    console.log(`Using user-specified k=${k}`);
+  }
+
+  console.log(`Clustering ${entries.length} entries into ${k} clusters...`);
+
+  // Run k-means clustering
+  return clusterEmbeddings(entries, k, { signal: options.signal });
+};
+
+/**
+ * Cluster entries by density, leaving outliers unclustered
+ * @param {Array<object>} entries - Entries with embeddings
+ * @param {AbortSignal} signal - Cancels the computation (optional)
+ * @returns {Promise<Array<{entryId: number, clusterId: number|null}>>}
+ */
+const runDensityClustering = async (entries, signal) => {
+  console.log(`Density clustering ${entries.length} entries...`);
+  const clusterAssignments = await densityClusterEmbeddings(entries, { signal });
+
+  const clusterCount = new Set(
+    clusterAssignments.filter(a => a.clusterId !== null).map(a => a.clusterId)
+  ).size;
+  const outliers = clusterAssignments.filter(a => a.clusterId === null).length;
+  console.log(`Found ${clusterCount} clusters and ${outliers} outliers`);
+
+  return clusterAssignments;
+};
+
+// The regeneration in progress, if any
+let regeneration = null;
+
+/**
+ * Regenerate cluster folders. New clusters are matched to the existing
+ * folders they most resemble, which keep their ID, name and color; only
+ * genuinely new topics are labeled by the LLM, and folders whose topic
+ * disappeared are removed. Large themes are split into sub-topic folders.
+ *
+ * The clustering itself runs in time slices so the app stays responsive, and
+ * can be cancelled until folders start being updated; from then on the run
+ * completes so folders are never left half-updated.
+ *
+ * Only one run updates folders at a time. A caller without a signal waits
+ * for the run in progress instead of starting another, and starts its own if
+ * that run is cancelled; a caller with a signal wants a run it can cancel, so
+ * it is turned away while another is in progress.
+ * @param {number} numClusters - Number of k-means clusters to create (default: auto-detect with
+ *   silhouette); density clustering always finds its own number
+ * @param {Object} options - { signal, onProgress }
+ *   signal: AbortSignal to cancel; the promise rejects with a cancellation error
+ *   onProgress: called with (message, percent)
  * @returns {Promise<void>}
  */
-export const regenerateClusters = async (numClusters = null) => {
+export const regenerateClusters = async (numClusters = null, options = {}) => {
+  while (regeneration) {
+    if (options.signal) {
+      throw new Error('Smart folders are already being regenerated');
+    }
+    try {
+      return await regeneration;
+    } catch (error) {
+      if (!isCancelledError(error)) {
+        throw error;
+      }
+    }
+  }
+
+  regeneration = runRegeneration(numClusters, options).finally(() => {
+    regeneration = null;
+  });
+  return regeneration;
+};
+
+const runRegeneration = async (numClusters, options) => {
+  const { signal, onProgress } = options;
+  const report = (message, percent) => {
+    if (onProgress) {
+      onProgress(message, percent);
+    }
+  };
+
   try {
     console.log('Starting cluster regeneration...');
 
     // Get all entries with embeddings
-    const entries = await getEntriesForClustering();
+    const model = await getEmbeddingModel();
+    const entries = await getEntriesForClustering(model);
 
     if (entries.length < 3) {
       console.log('Not enough entries with embeddings to cluster');
       return;
     }
 
-    let k;
+    report('Finding topics...', 5);
+    const algorithm = await getSetting(SETTINGS_KEYS.CLUSTERING_ALGORITHM) || CLUSTERING_ALGORITHMS.KMEANS;
+    const clusterAssignments = algorithm === CLUSTERING_ALGORITHMS.DENSITY
+      ? await runDensityClustering(entries, signal)
+      : await runKMeansClustering(entries, numClusters, {
+        signal,
+        onProgress: (tested, total) => report(
+          `Finding topics (${tested}/${total})...`,
+          5 + Math.round((tested / total) * 55)
+        ),
+      });
 
-    // Determine k: use silhouette scoring if numClusters not specified and enough entries
-    if (!numClusters && entries.length >= 10) {
-      console.log('Using silhouette scoring to find optimal k...');
-      const result = findOptimalK(entries, 3, 10);
-      k = result.k;
-      console.log(`Silhouette scoring selected k=${k} (score: ${result.score.toFixed(4)})`);
-    } else if (!numClusters) {
-      // Fallback for small datasets
-      k = Math.min(5, Math.floor(entries.length / 2));
-      console.log(`Using fallback k=${k} (dataset too small for silhouette)`);
-    } else {
-      // User-specified k
-      k = Math.min(numClusters, Math.floor(entries.length / 2));
-      console.log(`Using user-specified k=${k}`);
+    // Group entries by cluster; clusters with too few entries don't get a folder
+    const newClusters = groupClusters(entries, clusterAssignments);
+
+    // Split large themes into sub-topics before touching any folder
+    report('Finding sub-topics...', 60);
+    const subClustersByTheme = [];
+    for (const cluster of newClusters) {
+      subClustersByTheme.push(
+        cluster.entryIds.length >= MIN_ENTRIES_FOR_SUBTOPICS
+          ? await findSubClusters(cluster.entryIds, entries, algorithm, signal)
+          : []
+      );
+    }
+
+    if (signal?.aborted) {
+      throw cancelledError();
     }
 
-    console.log(`Clustering ${entries.length} entries into ${k} clusters...`);
+    const existingFolders = await getSmartFolders();
+    const clusterFolders = existingFolders.filter(
+      folder => folder.type === 'cluster' && folder.cluster_id !== UNSORTED_CLUSTER_ID
+    );
 
-    // Run k-means clustering
-    const clusterAssignments = clusterEmbeddings(entries, k);
+    const context = {
+      entries,
+      model,
+      clusterFolders,
+      // Fresh cluster IDs start above any ID in use so they never collide with a kept folder
+      nextClusterId: (await getMaxClusterId()) + 1,
+      // Entries left out of every cluster go to the unsorted bucket
+      finalAssignments: new Map(entries.map(entry => [entry.id, UNSORTED_CLUSTER_ID])),
+      keptFolderIds: new Set(),
+    };
+    const { finalAssignments, keptFolderIds } = context;
 
-    // Group entries by cluster
-    const clusterGroups = {};
-    for (const assignment of clusterAssignments) {
-      if (!clusterGroups[assignment.clusterId]) {
-        clusterGroups[assignment.clusterId] = [];
+    console.log('Updating cluster folders...');
+    report('Updating folders...', 70);
+    const themes = await syncClusterFolders(
+      newClusters,
+      clusterFolders.filter(folder => !folder.parent_id),
+      null,
+      context
+    );
+
+    // Sub-topic folders; entries that fit no sub-topic stay directly in the theme
+    for (let i = 0; i < themes.length; i++) {
+      const theme = themes[i];
+      const subClusters = subClustersByTheme[i];
+      if (subClusters.length < 2) {
+        continue;
       }
-      clusterGroups[assignment.clusterId].push(assignment.entryId);
+      await syncClusterFolders(
+        subClusters,
+        clusterFolders.filter(folder => folder.parent_id === theme.folderId),
+        theme.folderId,
+        context
+      );
     }
 
     // Update entry cluster assignments in database
-    await updateEntryClusters(clusterAssignments);
+    await updateEntryClusters(
+      [...finalAssignments].map(([entryId, clusterId]) => ({ entryId, clusterId }))
+    );
 
-    // Delete old cluster folders
-    const existingFolders = await getSmartFolders();
-    for (const folder of existingFolders) {
-      if (folder.type === 'cluster') {
+    // Remove folders whose topic no longer exists
+    for (const folder of clusterFolders) {
+      if (!keptFolderIds.has(folder.id)) {
         await deleteSmartFolder(folder.id);
+        console.log(`Removed cluster folder: "${folder.name}"`);
       }
     }
 
-    // Create new cluster folders with labels
-    console.log('Generating cluster labels...');
-    for (const [clusterId, entryIds] of Object.entries(clusterGroups)) {
-      if (entryIds.length < 2) {
-        continue; // Skip clusters with too few entries
-      }
-
-      // Get sample entries for labeling
-      const sampleEntries = await Promise.all(
-        entryIds.slice(0, 3).map(id => getJournalEntry(id))
-      );
+    const entriesAfter = entries.map(entry => ({ ...entry, cluster_id: finalAssignments.get(entry.id) }));
+    const unsortedCount = entriesAfter.filter(entry => entry.cluster_id === UNSORTED_CLUSTER_ID).length;
+    await syncUnsortedFolder(unsortedCount > 0);
 
-      // Generate label using LLM
-      const label = await labelCluster(sampleEntries);
-
-      // Create smart folder
-      await createSmartFolder(label, 'cluster', null, parseInt(clusterId));
-
-      console.log(`Created cluster folder: "${label}" with ${entryIds.length} entries`);
-    }
+    // Baselines for drift detection; outliers left by density clustering
+    // start out unsorted, so only growth of the bucket counts as drift
+    report('Saving...', 95);
+    const silhouette = await measureSilhouette(entriesAfter);
+    await setSetting(SETTINGS_KEYS.CLUSTER_SILHOUETTE, silhouette.toString());
+    await setSetting(SETTINGS_KEYS.CLUSTER_UNSORTED_COUNT, unsortedCount.toString());
 
     // Update last clustering timestamp
     await setSetting('last_clustering_date', new Date().toISOString());
 
-    console.log('Cluster regeneration complete!');
+    console.log(`Cluster regeneration complete! (silhouette: ${silhouette.toFixed(4)})`);
+    report('Complete!', 100);
   } catch (error) {
-    console.error('Error regenerating clusters:', error);
+    if (isCancelledError(error)) {
+      console.log('Cluster regeneration cancelled');
+    } else {
+      console.error('Error regenerating clusters:', error);
+    }
     throw error;
   }
 };
 
 /**
- * Check if clustering should be triggered based on new entries
+ * Create the unsorted bucket folder if entries are waiting in it, or remove it once empty
+ * @param {boolean} hasUnsorted - Whether any entry is in the unsorted bucket
+ * @returns {Promise<void>}
+ */
+const syncUnsortedFolder = async (hasUnsorted) => {
+  const folder = await getClusterFolder(UNSORTED_CLUSTER_ID);
+  if (hasUnsorted && !folder) {
+    await createSmartFolder('Unsorted', 'cluster', null, UNSORTED_CLUSTER_ID);
+  } else if (!hasUnsorted && folder) {
+    await deleteSmartFolder(folder.id);
+  }
+};
+
+/**
+ * Silhouette score of the current cluster assignments, measured on an evenly
+ * spaced sample so drift checks stay cheap as the journal grows
+ * @param {Array<object>} entries - Entries with embedding and cluster_id
+ * @returns {Promise<number>}
+ */
+const measureSilhouette = async (entries) => {
+  const clustered = entries.filter(
+    entry => entry.cluster_id !== null && entry.cluster_id !== UNSORTED_CLUSTER_ID
+  );
+  const step = Math.max(1, clustered.length / SILHOUETTE_SAMPLE_SIZE);
+  const sample = [];
+  for (let i = 0; i < clustered.length; i += step) {
+    sample.push(clustered[Math.floor(i)]);
+  }
+
+  // calculateSilhouetteScore expects cluster indices 0..k-1
+  const clusterIndex = new Map();
+  const assignments = sample.map(entry => {
+    if (!clusterIndex.has(entry.cluster_id)) {
+      clusterIndex.set(entry.cluster_id, clusterIndex.size);
+    }
+    return clusterIndex.get(entry.cluster_id);
+  });
+
+  return calculateSilhouetteScore(
+    sample.map(entry => entry.embedding),
+    assignments,
+    clusterIndex.size
+  );
+};
+
+/**
+ * Centroids of the cluster folders for a model. Folders without a stored
+ * centroid (or one from another model) get it computed from their members.
+ * @param {Array<object>} folders - Cluster folders
+ * @param {string} model - Embedding model name
+ * @returns {Promise<Array<{folder: object, centroid: number[]|Float32Array}>>}
+ */
+const getClusterCentroids = async (folders, model) => {
+  const missing = folders.filter(folder => !folder.centroid || folder.centroid_model !== model);
+  const entries = missing.length > 0 ? await getEntriesForClustering(model) : [];
+
+  const centroids = [];
+  for (const folder of folders) {
+    if (!missing.includes(folder)) {
+      centroids.push({ folder, centroid: folder.centroid });
+      continue;
+    }
+
+    const members = entries.filter(entry => entry.cluster_id === folder.cluster_id);
+    if (members.length === 0) {
+      continue;
+    }
+    const centroid = meanVector(members.map(entry => entry.embedding));
+    await setSmartFolderCentroid(folder.id, centroid, model);
+    centroids.push({ folder, centroid });
+  }
+  return centroids;
+};
+
+/**
+ * Take a re-embedded entry out of its current cluster so the folder's
+ * centroid is rebuilt from the remaining members
+ * @param {number} entryId - Entry ID
+ * @returns {Promise<number|null>} - The cluster it was in
+ */
+const leaveCurrentCluster = async (entryId) => {
+  const entry = await getJournalEntry(entryId);
+  const previousClusterId = entry?.cluster_id ?? null;
+  if (previousClusterId === null) {
+    return null;
+  }
+
+  await updateJournalEntry(entryId, { cluster_id: null });
+  if (previousClusterId !== UNSORTED_CLUSTER_ID) {
+    await clearClusterCentroid(previousClusterId);
+  }
+  return previousClusterId;
+};
+
+/**
+ * Put a newly embedded entry into its nearest cluster without re-clustering.
+ * Entries that aren't close to any cluster go to the unsorted bucket until
+ * the next full regeneration. An entry that was edited and re-embedded moves
+ * from its old cluster to whichever is now nearest.
+ * @param {number} entryId - Entry ID
+ * @param {number[]|Float32Array} vector - The entry's embedding
+ * @param {string} model - Embedding model that produced the vector
+ * @returns {Promise<number|null>} - Assigned cluster ID, or null if there are no clusters yet
+ */
+export const assignEntryToCluster = async (entryId, vector, model) => {
+  const previousClusterId = await leaveCurrentCluster(entryId);
+
+  const clusterFolders = (await getSmartFolders()).filter(
+    folder => folder.type === 'cluster' && folder.cluster_id !== UNSORTED_CLUSTER_ID
+  );
+
+  // Only the most specific folders take entries; a theme with sub-topics
+  // holds the entries of its sub-topics
+  const parentIds = new Set(clusterFolders.map(folder => folder.parent_id));
+  const folders = clusterFolders.filter(folder => !parentIds.has(folder.id));
+  if (folders.length === 0) {
+    return null;
+  }
+
+  let best = null;
+  let bestSimilarity = -Infinity;
+  for (const candidate of await getClusterCentroids(folders, model)) {
+    if (candidate.centroid.length !== vector.length) {
+      continue;
+    }
+    const similarity = cosineSimilarity(vector, candidate.centroid);
+    if (similarity > bestSimilarity) {
+      bestSimilarity = similarity;
+      best = candidate;
+    }
+  }
+
+  if (!best || bestSimilarity < ASSIGNMENT_MIN_SIMILARITY) {
+    await updateJournalEntry(entryId, { cluster_id: UNSORTED_CLUSTER_ID });
+    await syncUnsortedFolder(true);
+    console.log(`Entry ${entryId} is unsorted (best similarity ${bestSimilarity.toFixed(3)})`);
+    return UNSORTED_CLUSTER_ID;
+  }
+
+  const { folder, centroid } = best;
+  const sizes = await getClusterSizes();
+  const size = sizes.get(folder.cluster_id) || 0;
+  await updateJournalEntry(entryId, { cluster_id: folder.cluster_id });
+  if (previousClusterId === UNSORTED_CLUSTER_ID) {
+    await syncUnsortedFolder(sizes.has(UNSORTED_CLUSTER_ID));
+  }
+
+  // Fold the entry into the centroid as a running mean
+  const updated = Array.from(centroid, (value, d) => value * size + vector[d]);
+  await setSmartFolderCentroid(folder.id, updated, model);
+
+  console.log(`Entry ${entryId} assigned to "${folder.name}" (similarity ${bestSimilarity.toFixed(3)})`);
+  return folder.cluster_id;
+};
+
+/**
+ * Check whether the clusters have drifted enough to justify a full rebuild:
+ * too many entries waiting unsorted, or a clear drop in cluster quality
+ * since the last regeneration
  * @returns {Promise<boolean>}
  */
 export const shouldTriggerClustering = async () => {
   try {
     const lastClusteringDate = await getSetting('last_clustering_date');
     const clusterThreshold = await getSetting('cluster_threshold') || '10';
+    const entries = await getEntriesForClustering(await getEmbeddingModel());
 
     if (!lastClusteringDate) {
       // Never clustered before
-      const entries = await getEntriesForClustering();
       return entries.length >= 5; // Initial threshold
     }
 
-    // Check how many entries have been added since last clustering
-    const allEntries = await getEntriesForClustering();
-    const lastDate = new Date(lastClusteringDate);
-    const newEntries = allEntries.filter(entry => {
-      const entryDate = new Date(entry.created_at);
-      return entryDate > lastDate;
-    });
+    // Entries that found no cluster (or arrived before any existed) since the last run
+    const unsorted = entries.filter(
+      entry => entry.cluster_id === null || entry.cluster_id === UNSORTED_CLUSTER_ID
+    );
+    const unsortedBaseline = parseInt(await getSetting(SETTINGS_KEYS.CLUSTER_UNSORTED_COUNT) || '0');
+    if (unsorted.length - unsortedBaseline >= parseInt(clusterThreshold)) {
+      console.log(`${unsorted.length - unsortedBaseline} new unsorted entries, re-clustering`);
+      return true;
+    }
 
-    return newEntries.length >= parseInt(clusterThreshold);
+    const baseline = parseFloat(await getSetting(SETTINGS_KEYS.CLUSTER_SILHOUETTE));
+    if (!isNaN(baseline)) {
+      const silhouette = await measureSilhouette(entries);
+      if (baseline - silhouette >= SILHOUETTE_DROP_THRESHOLD) {
+        console.log(`Silhouette dropped from ${baseline.toFixed(4)} to ${silhouette.toFixed(4)}, re-clustering`);
+        return true;
+      }
+    }
+
+    return false;
   } catch (error) {
     console.error('Error checking clustering trigger:', error);
     return false;
@@ -162,18 +703,22 @@ export const renameClusterFolder = async (clusterId, newName) => {
 export const getClusteringStats = async () => {
   try {
     const folders = await getSmartFolders();
-    const clusterFolders = folders.filter(f => f.type === 'cluster');
+    const clusterFolders = folders.filter(
+      f => f.type === 'cluster' && f.cluster_id !== UNSORTED_CLUSTER_ID
+    );
     const lastClusteringDate = await getSetting('last_clustering_date');
-    const entries = await getEntriesForClustering();
+    const entries = await getEntriesForClustering(await getEmbeddingModel());
 
     return {
       totalClusters: clusterFolders.length,
       totalEntriesWithEmbeddings: entries.length,
+      unsortedEntries: entries.filter(entry => entry.cluster_id === UNSORTED_CLUSTER_ID).length,
       lastClusteringDate: lastClusteringDate ? new Date(lastClusteringDate) : null,
       clusters: clusterFolders.map(f => ({
         id: f.cluster_id,
         name: f.name,
         folderId: f.id,
+        parentFolderId: f.parent_id,
       })),
     };
   } catch (error) {
@@ -181,6 +726,7 @@ export const getClusteringStats = async () => {
     return {
       totalClusters: 0,
       totalEntriesWithEmbeddings: 0,
+      unsortedEntries: 0,
       lastClusteringDate: null,
       clusters: [],
     };
@@ -1,126 +1,28 @@
 import * as SQLite from 'expo-sqlite';
+import { runMigrations } from './migrations';
+import { parseSearchQuery, buildFtsQuery } from '../utils/searchQuery';
+import { normalizeVector, vectorToBlob, blobToVector } from '../utils/vectors';
+import { normalizeRules, collectConditions, compileRules } from '../utils/ruleQuery';
+import { RULE_FIELDS, REVISION_FIELDS, REVISION_SOURCES, ENTRY_STATUS } from '../utils/constants';
 
 let db = null;
 
+// Bumped whenever a stored vector is added, replaced or deleted so cached
+// vector indexes know to reload
+let embeddingsVersion = 0;
+
 export const initDatabase = async () => {
   try {
     db = await SQLite.openDatabaseAsync('llm_journal.db');
 
-    // Create journal_entries table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS journal_entries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        date TEXT NOT NULL,
-        mode TEXT NOT NULL,
-        audio_path TEXT,
-        transcript TEXT,
-        summary TEXT,
-        name TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create conversation_messages table for conversational mode
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS conversation_messages (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        entry_id INTEGER NOT NULL,
-        role TEXT NOT NULL,
-        content TEXT NOT NULL,
-        timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
-        FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE
-      );
-    `);
-
-    // Create settings table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS settings (
-        key TEXT PRIMARY KEY,
-        value TEXT NOT NULL
-      );
-    `);
-
-    // Create smart_folders table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS smart_folders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        type TEXT NOT NULL,
-        rules TEXT,
-        cluster_id INTEGER,
-        color TEXT,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create manual_folders table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS manual_folders (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        name TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Create folder_entries junction table
-    await db.execAsync(`
-      CREATE TABLE IF NOT EXISTS folder_entries (
-        id INTEGER PRIMARY KEY AUTOINCREMENT,
-        folder_id INTEGER NOT NULL,
-        entry_id INTEGER NOT NULL,
-        folder_type TEXT NOT NULL,
-        created_at DATETIME DEFAULT CURRENT_TIMESTAMP
-      );
-    `);
-
-    // Migration: Add name column to existing journal_entries table if it doesn't exist
-    try {
-      await db.execAsync(`
-        ALTER TABLE journal_entries ADD COLUMN name TEXT;
-      `);
-      console.log('Added name column to journal_entries');
-    } catch (error) {
-      // Column already exists, ignore error
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Migration error:', error);
-      }
-    }
-
-    // Migration: Add embedding column
-    try {
-      await db.execAsync(`
-        ALTER TABLE journal_entries ADD COLUMN embedding TEXT;
-      `);
-      console.log('Added embedding column to journal_entries');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Migration error:', error);
-      }
-    }
+    // Bring the schema up to date; a failed migration rolls back and is rethrown
+    const version = await runMigrations(db);
+    console.log(`Database schema at version ${version}`);
 
-    // Migration: Add topics column
-    try {
-      await db.execAsync(`
-        ALTER TABLE journal_entries ADD COLUMN topics TEXT;
-      `);
-      console.log('Added topics column to journal_entries');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Migration error:', error);
-      }
-    }
-
-    // Migration: Add cluster_id column
-    try {
-      await db.execAsync(`
-        ALTER TABLE journal_entries ADD COLUMN cluster_id INTEGER;
-      `);
-      console.log('Added cluster_id column to journal_entries');
-    } catch (error) {
-      if (!error.message.includes('duplicate column name')) {
-        console.error('Migration error:', error);
-      }
-    }
+    // SQLite leaves foreign keys off unless asked, per connection. Turned on
+    // after migrating because a migration that rebuilds a table would
+    // otherwise cascade the DROP of the old copy into its child tables.
+    await db.execAsync('PRAGMA foreign_keys = ON;');
 
     console.log('Database initialized successfully');
   } catch (error) {
@@ -129,16 +31,26 @@ export const initDatabase = async () => {
   }
 };
 
-export const createJournalEntry = async (mode, audioPath) => {
+export const createJournalEntry = async (mode, audioPath, processingStatus = null) => {
   const date = new Date().toISOString();
   const result = await db.runAsync(
-    'INSERT INTO journal_entries (date, mode, audio_path) VALUES (?, ?, ?)',
-    [date, mode, audioPath]
+    'INSERT INTO journal_entries (date, mode, audio_path, processing_status) VALUES (?, ?, ?, ?)',
+    [date, mode, audioPath, processingStatus]
   );
   return result.lastInsertRowId;
 };
 
-export const updateJournalEntry = async (id, updates) => {
+export const addEntryDuration = async (id, durationMs) => {
+  await db.runAsync(
+    'UPDATE journal_entries SET duration_ms = IFNULL(duration_ms, 0) + ? WHERE id = ?',
+    [Math.round(durationMs), id]
+  );
+};
+
+// source records who made the change in the entry's revision history
+export const updateJournalEntry = async (id, updates, source = REVISION_SOURCES.USER) => {
+  await recordRevisions(id, updates, source);
+
   const fields = [];
   const values = [];
 
@@ -154,18 +66,22 @@ export const updateJournalEntry = async (id, updates) => {
     fields.push('name = ?');
     values.push(updates.name);
   }
-  if (updates.embedding !== undefined) {
-    fields.push('embedding = ?');
-    values.push(updates.embedding);
-  }
   if (updates.topics !== undefined) {
     fields.push('topics = ?');
     values.push(updates.topics);
   }
+  if (updates.transcript_timing !== undefined) {
+    fields.push('transcript_timing = ?');
+    values.push(updates.transcript_timing);
+  }
   if (updates.cluster_id !== undefined) {
     fields.push('cluster_id = ?');
     values.push(updates.cluster_id);
   }
+  if (updates.processing_status !== undefined) {
+    fields.push('processing_status = ?');
+    values.push(updates.processing_status);
+  }
 
   values.push(id);
 
@@ -175,10 +91,82 @@ export const updateJournalEntry = async (id, updates) => {
   );
 };
 
-export const addConversationMessage = async (entryId, role, content) => {
+// Keep the before and after of each tracked field that actually changes
+const recordRevisions = async (id, updates, source) => {
+  const changed = REVISION_FIELDS.filter(field => updates[field] !== undefined);
+  if (changed.length === 0) {
+    return;
+  }
+
+  const current = await db.getFirstAsync(
+    `SELECT ${changed.join(', ')} FROM journal_entries WHERE id = ?`,
+    [id]
+  );
+  if (!current) {
+    return;
+  }
+
+  for (const field of changed) {
+    if (current[field] === updates[field]) {
+      continue;
+    }
+    await db.runAsync(
+      'INSERT INTO entry_revisions (entry_id, field, old_value, new_value, source) VALUES (?, ?, ?, ?, ?)',
+      [id, field, current[field], updates[field], source]
+    );
+  }
+};
+
+export const getEntryRevisions = async (entryId) => {
+  const result = await db.getAllAsync(
+    'SELECT * FROM entry_revisions WHERE entry_id = ? ORDER BY created_at DESC, id DESC',
+    [entryId]
+  );
+  return result;
+};
+
+export const getEntryRevision = async (id) => {
+  const revision = await db.getFirstAsync(
+    'SELECT * FROM entry_revisions WHERE id = ?',
+    [id]
+  );
+  return revision;
+};
+
+// recording describes the audio behind a user turn: { audioPath, durationMs,
+// timing, processingStatus }; a turn pending transcription has no content yet
+export const addConversationMessage = async (entryId, role, content, recording = {}) => {
+  const { audioPath = null, durationMs = null, timing = null, processingStatus = null } = recording;
+  await db.runAsync(
+    `INSERT INTO conversation_messages
+       (entry_id, role, content, audio_path, duration_ms, transcript_timing, processing_status)
+     VALUES (?, ?, ?, ?, ?, ?, ?)`,
+    [
+      entryId,
+      role,
+      content,
+      audioPath,
+      durationMs === null ? null : Math.round(durationMs),
+      timing ? JSON.stringify(timing) : null,
+      processingStatus,
+    ]
+  );
+};
+
+export const updateConversationMessage = async (id, content) => {
   await db.runAsync(
-    'INSERT INTO conversation_messages (entry_id, role, content) VALUES (?, ?, ?)',
-    [entryId, role, content]
+    'UPDATE conversation_messages SET content = ? WHERE id = ?',
+    [content, id]
+  );
+};
+
+// Fill in a turn that was waiting to be transcribed
+export const setConversationMessageTranscript = async (id, content, timing) => {
+  await db.runAsync(
+    `UPDATE conversation_messages
+     SET content = ?, transcript_timing = ?, processing_status = ?
+     WHERE id = ?`,
+    [content, timing ? JSON.stringify(timing) : null, ENTRY_STATUS.COMPLETE, id]
   );
 };
 
@@ -205,8 +193,33 @@ export const getConversationMessages = async (entryId) => {
   return messages;
 };
 
+export const getRecentSummaries = async (limit = 3, excludeEntryId = null) => {
+  const result = await db.getAllAsync(
+    `SELECT id, date, name, summary FROM journal_entries
+     WHERE summary IS NOT NULL AND id != ?
+     ORDER BY created_at DESC
+     LIMIT ?`,
+    [excludeEntryId ?? -1, limit]
+  );
+  return result;
+};
+
+export const getJournalEntriesByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const placeholders = ids.map(() => '?').join(', ');
+  const result = await db.getAllAsync(
+    `SELECT * FROM journal_entries WHERE id IN (${placeholders})`,
+    ids
+  );
+  return result;
+};
+
 export const deleteJournalEntry = async (id) => {
+  // Messages, jobs, chunks and folder memberships go with it (ON DELETE CASCADE)
   await db.runAsync('DELETE FROM journal_entries WHERE id = ?', [id]);
+  embeddingsVersion++;
 };
 
 export const getSetting = async (key) => {
@@ -226,12 +239,117 @@ export const setSetting = async (key, value) => {
 
 export const getDatabase = () => db;
 
+// Integrity
+
+// Delete rows whose parent is gone: leftovers of entries deleted while foreign
+// keys were off, memberships of deleted folders, sub-topic folders whose theme
+// is gone, and search index rows of deleted entries. Returns how many rows
+// were removed from each.
+export const removeOrphanedRows = async () => {
+  const removed = {};
+
+  await db.withTransactionAsync(async () => {
+    const deleteOrphans = async (table) => {
+      const result = await db.runAsync(
+        `DELETE FROM ${table} WHERE entry_id NOT IN (SELECT id FROM journal_entries)`
+      );
+      return result.changes;
+    };
+    removed.messages = await deleteOrphans('conversation_messages');
+    removed.jobs = await deleteOrphans('processing_jobs');
+    removed.chunks = await deleteOrphans('entry_chunks');
+    removed.revisions = await deleteOrphans('entry_revisions');
+    removed.windows = await deleteOrphans('transcription_windows');
+
+    const folderEntries = await db.runAsync(
+      `DELETE FROM folder_entries
+       WHERE entry_id NOT IN (SELECT id FROM journal_entries)
+          OR (folder_type = 'manual' AND folder_id NOT IN (SELECT id FROM manual_folders))
+          OR (folder_type = 'smart' AND folder_id NOT IN (SELECT id FROM smart_folders))`
+    );
+    removed.folderEntries = folderEntries.changes;
+
+    // Removing an orphaned sub-topic can orphan its own sub-topics
+    removed.subfolders = 0;
+    let changes;
+    do {
+      const result = await db.runAsync(
+        `DELETE FROM smart_folders
+         WHERE parent_id IS NOT NULL AND parent_id NOT IN (SELECT id FROM smart_folders)`
+      );
+      changes = result.changes;
+      removed.subfolders += changes;
+    } while (changes > 0);
+
+    const searchRows = await db.runAsync(
+      'DELETE FROM entries_fts WHERE rowid NOT IN (SELECT id FROM journal_entries)'
+    );
+    removed.searchRows = searchRows.changes;
+  });
+
+  if (removed.chunks > 0) {
+    embeddingsVersion++;
+  }
+  return removed;
+};
+
+export const getReferencedAudioPaths = async () => {
+  const result = await db.getAllAsync(
+    `SELECT audio_path FROM journal_entries WHERE audio_path IS NOT NULL
+     UNION
+     SELECT audio_path FROM conversation_messages WHERE audio_path IS NOT NULL`
+  );
+  return result.map(row => row.audio_path);
+};
+
+// Every recording belonging to an entry; a conversation has one per user turn
+export const getEntryAudioPaths = async (entryId) => {
+  const result = await db.getAllAsync(
+    `SELECT audio_path FROM journal_entries WHERE id = ? AND audio_path IS NOT NULL
+     UNION
+     SELECT audio_path FROM conversation_messages WHERE entry_id = ? AND audio_path IS NOT NULL`,
+    [entryId, entryId]
+  );
+  return result.map(row => row.audio_path);
+};
+
+// Transcription Windows
+
+export const getTranscriptionWindows = async (audioPath) => {
+  const result = await db.getAllAsync(
+    'SELECT * FROM transcription_windows WHERE audio_path = ? ORDER BY start_ms',
+    [audioPath]
+  );
+  return result;
+};
+
+// window is { startMs, endMs, transcript, timing }
+export const saveTranscriptionWindow = async (entryId, audioPath, window) => {
+  await db.runAsync(
+    `INSERT OR REPLACE INTO transcription_windows
+       (entry_id, audio_path, start_ms, end_ms, transcript, transcript_timing)
+     VALUES (?, ?, ?, ?, ?, ?)`,
+    [
+      entryId,
+      audioPath,
+      Math.round(window.startMs),
+      Math.round(window.endMs),
+      window.transcript,
+      window.timing ? JSON.stringify(window.timing) : null,
+    ]
+  );
+};
+
+export const deleteTranscriptionWindows = async (audioPath) => {
+  await db.runAsync('DELETE FROM transcription_windows WHERE audio_path = ?', [audioPath]);
+};
+
 // Smart Folders
 
-export const createSmartFolder = async (name, type, rules = null, clusterId = null, color = null) => {
+export const createSmartFolder = async (name, type, rules = null, clusterId = null, color = null, parentId = null) => {
   const result = await db.runAsync(
-    'INSERT INTO smart_folders (name, type, rules, cluster_id, color) VALUES (?, ?, ?, ?, ?)',
-    [name, type, rules ? JSON.stringify(rules) : null, clusterId, color]
+    'INSERT INTO smart_folders (name, type, rules, cluster_id, color, parent_id) VALUES (?, ?, ?, ?, ?, ?)',
+    [name, type, rules ? JSON.stringify(rules) : null, clusterId, color, parentId]
   );
   return result.lastInsertRowId;
 };
@@ -261,14 +379,17 @@ export const updateSmartFolder = async (id, updates) => {
   );
 };
 
+const parseSmartFolder = (folder) => ({
+  ...folder,
+  rules: folder.rules ? JSON.parse(folder.rules) : null,
+  centroid: folder.centroid ? blobToVector(folder.centroid) : null,
+});
+
 export const getSmartFolders = async () => {
   const result = await db.getAllAsync(
     'SELECT * FROM smart_folders ORDER BY created_at DESC'
   );
-  return result.map(folder => ({
-    ...folder,
-    rules: folder.rules ? JSON.parse(folder.rules) : null,
-  }));
+  return result.map(parseSmartFolder);
 };
 
 export const getSmartFolder = async (id) => {
@@ -276,15 +397,50 @@ export const getSmartFolder = async (id) => {
     'SELECT * FROM smart_folders WHERE id = ?',
     [id]
   );
-  if (folder && folder.rules) {
-    folder.rules = JSON.parse(folder.rules);
-  }
-  return folder;
+  return folder ? parseSmartFolder(folder) : folder;
+};
+
+export const getChildFolders = async (parentId) => {
+  const result = await db.getAllAsync(
+    'SELECT * FROM smart_folders WHERE parent_id = ? ORDER BY name',
+    [parentId]
+  );
+  return result.map(parseSmartFolder);
+};
+
+export const setSmartFolderCentroid = async (id, centroid, model) => {
+  await db.runAsync(
+    'UPDATE smart_folders SET centroid = ?, centroid_model = ? WHERE id = ?',
+    [vectorToBlob(normalizeVector(centroid)), model, id]
+  );
+};
+
+// The centroid is recomputed from the cluster's members the next time it's needed
+export const clearClusterCentroid = async (clusterId) => {
+  await db.runAsync(
+    "UPDATE smart_folders SET centroid = NULL, centroid_model = NULL WHERE type = 'cluster' AND cluster_id = ?",
+    [clusterId]
+  );
+};
+
+export const getMaxClusterId = async () => {
+  const result = await db.getFirstAsync(
+    `SELECT MAX(cluster_id) as maxId FROM (
+       SELECT cluster_id FROM journal_entries
+       UNION ALL
+       SELECT cluster_id FROM smart_folders WHERE type = 'cluster'
+     )`
+  );
+  return result?.maxId ?? -1;
 };
 
 export const deleteSmartFolder = async (id) => {
+  const children = await db.getAllAsync('SELECT id FROM smart_folders WHERE parent_id = ?', [id]);
+  for (const child of children) {
+    await deleteSmartFolder(child.id);
+  }
+  // A trigger removes the folder's memberships
   await db.runAsync('DELETE FROM smart_folders WHERE id = ?', [id]);
-  await db.runAsync('DELETE FROM folder_entries WHERE folder_id = ? AND folder_type = ?', [id, 'smart']);
 };
 
 // Manual Folders
@@ -311,26 +467,27 @@ export const getManualFolders = async () => {
   return result;
 };
 
+export const getManualFolder = async (id) => {
+  const result = await db.getFirstAsync(
+    'SELECT * FROM manual_folders WHERE id = ?',
+    [id]
+  );
+  return result;
+};
+
 export const deleteManualFolder = async (id) => {
+  // A trigger removes the folder's memberships
   await db.runAsync('DELETE FROM manual_folders WHERE id = ?', [id]);
-  await db.runAsync('DELETE FROM folder_entries WHERE folder_id = ? AND folder_type = ?', [id, 'manual']);
 };
 
 // Folder Entries
 
 export const addEntryToFolder = async (folderId, entryId, folderType) => {
-  // Check if already exists
-  const existing = await db.getFirstAsync(
-    'SELECT * FROM folder_entries WHERE folder_id = ? AND entry_id = ? AND folder_type = ?',
+  // Already being in the folder is fine; the unique constraint skips the insert
+  await db.runAsync(
+    'INSERT OR IGNORE INTO folder_entries (folder_id, entry_id, folder_type) VALUES (?, ?, ?)',
     [folderId, entryId, folderType]
   );
-
-  if (!existing) {
-    await db.runAsync(
-      'INSERT INTO folder_entries (folder_id, entry_id, folder_type) VALUES (?, ?, ?)',
-      [folderId, entryId, folderType]
-    );
-  }
 };
 
 export const removeEntryFromFolder = async (folderId, entryId, folderType) => {
@@ -340,15 +497,73 @@ export const removeEntryFromFolder = async (folderId, entryId, folderType) => {
   );
 };
 
+export const addEntriesToFolder = async (folderId, entryIds, folderType) => {
+  await db.withTransactionAsync(async () => {
+    for (const entryId of entryIds) {
+      await addEntryToFolder(folderId, entryId, folderType);
+    }
+  });
+};
+
+export const removeEntriesFromFolder = async (folderId, entryIds, folderType) => {
+  if (entryIds.length === 0) {
+    return;
+  }
+  const placeholders = entryIds.map(() => '?').join(', ');
+  await db.runAsync(
+    `DELETE FROM folder_entries
+     WHERE folder_id = ? AND folder_type = ? AND entry_id IN (${placeholders})`,
+    [folderId, folderType, ...entryIds]
+  );
+};
+
+export const getManualFoldersForEntry = async (entryId) => {
+  const result = await db.getAllAsync(
+    `SELECT mf.* FROM manual_folders mf
+     INNER JOIN folder_entries fe ON fe.folder_id = mf.id AND fe.folder_type = 'manual'
+     WHERE fe.entry_id = ?
+     ORDER BY mf.name COLLATE NOCASE`,
+    [entryId]
+  );
+  return result;
+};
+
+// How many of the given entries each manual folder holds, by folder ID
+export const getManualFolderMembership = async (entryIds) => {
+  if (entryIds.length === 0) {
+    return new Map();
+  }
+  const placeholders = entryIds.map(() => '?').join(', ');
+  const result = await db.getAllAsync(
+    `SELECT folder_id, COUNT(DISTINCT entry_id) as count FROM folder_entries
+     WHERE folder_type = 'manual' AND entry_id IN (${placeholders})
+     GROUP BY folder_id`,
+    entryIds
+  );
+  return new Map(result.map(row => [row.folder_id, row.count]));
+};
+
+// Cluster IDs of a cluster folder and all of its sub-topic folders
+const CLUSTER_TREE = `
+  WITH RECURSIVE cluster_tree(id, cluster_id) AS (
+    SELECT id, cluster_id FROM smart_folders WHERE id = ?
+    UNION ALL
+    SELECT sf.id, sf.cluster_id FROM smart_folders sf
+    INNER JOIN cluster_tree ct ON sf.parent_id = ct.id
+  )`;
+
 export const getEntriesInFolder = async (folderId, folderType) => {
   if (folderType === 'smart') {
     // For smart folders, check if it's a cluster folder
     const folder = await getSmartFolder(folderId);
     if (folder && folder.type === 'cluster' && folder.cluster_id !== null) {
-      // For cluster folders, get entries by cluster_id
+      // For cluster folders, get entries by cluster_id, including sub-topics
       const result = await db.getAllAsync(
-        'SELECT * FROM journal_entries WHERE cluster_id = ? ORDER BY created_at DESC',
-        [folder.cluster_id]
+        `${CLUSTER_TREE}
+         SELECT * FROM journal_entries
+         WHERE cluster_id IN (SELECT cluster_id FROM cluster_tree)
+         ORDER BY created_at DESC`,
+        [folder.id]
       );
       return result;
     }
@@ -370,16 +585,17 @@ export const getFolderEntryCount = async (folderId, folderType) => {
     // For smart folders, check if it's a cluster folder
     const folder = await getSmartFolder(folderId);
     if (folder && folder.type === 'cluster' && folder.cluster_id !== null) {
-      // For cluster folders, count entries by cluster_id
+      // For cluster folders, count entries by cluster_id, including sub-topics
       const result = await db.getFirstAsync(
-        'SELECT COUNT(*) as count FROM journal_entries WHERE cluster_id = ?',
-        [folder.cluster_id]
+        `${CLUSTER_TREE}
+         SELECT COUNT(*) as count FROM journal_entries
+         WHERE cluster_id IN (SELECT cluster_id FROM cluster_tree)`,
+        [folder.id]
       );
       return result.count;
     } else if (folder && folder.type === 'rule' && folder.rules) {
       // For rule-based folders, count matching entries
-      const entries = await getEntriesMatchingRules(folder.rules);
-      return entries.length;
+      return await countEntriesMatchingRules(folder.rules);
     }
   }
 
@@ -416,66 +632,213 @@ export const getRecentEntries = async (days = 7) => {
   return result;
 };
 
-export const getEntriesMatchingRules = async (rules) => {
-  const conditions = [];
-  const params = [];
-
-  // Date range filter
-  if (rules.dateRange) {
-    if (rules.dateRange.type === 'last_n_days') {
-      const cutoffDate = new Date();
-      cutoffDate.setDate(cutoffDate.getDate() - rules.dateRange.value);
-      conditions.push('created_at >= ?');
-      params.push(cutoffDate.toISOString());
-    } else if (rules.dateRange.type === 'range') {
-      conditions.push('created_at >= ? AND created_at <= ?');
-      params.push(rules.dateRange.start, rules.dateRange.end);
+// Reference vectors for a rule's "similar to" conditions, keyed by condition
+// then by embedding model. queryVectors holds text queries embedded but not
+// saved yet, for previewing a folder: Map of text -> { model, vector }
+const loadSimilarityReferences = async (rules, queryVectors) => {
+  const references = new Map();
+
+  for (const condition of collectConditions(normalizeRules(rules), RULE_FIELDS.SIMILAR_TO)) {
+    const vectors = new Map();
+    if (condition.value?.entryId) {
+      const row = await db.getFirstAsync(
+        'SELECT embedding_vector, embedding_model FROM journal_entries WHERE id = ?',
+        [condition.value.entryId]
+      );
+      if (row?.embedding_vector) {
+        vectors.set(row.embedding_model, blobToVector(row.embedding_vector));
+      }
+    } else if (condition.value?.text) {
+      const rows = await db.getAllAsync(
+        'SELECT model, embedding_vector FROM query_embeddings WHERE text = ?',
+        [condition.value.text]
+      );
+      rows.forEach(row => vectors.set(row.model, blobToVector(row.embedding_vector)));
+
+      const unsaved = queryVectors?.get(condition.value.text);
+      if (unsaved) {
+        vectors.set(unsaved.model, normalizeVector(unsaved.vector));
+      }
     }
+    references.set(condition, vectors);
   }
 
-  // Mode filter
-  if (rules.mode) {
-    conditions.push('mode = ?');
-    params.push(rules.mode);
+  return references;
+};
+
+export const getEntriesMatchingRules = async (rules, queryVectors = null) => {
+  const query = compileRules(rules, await loadSimilarityReferences(rules, queryVectors));
+  const result = await db.getAllAsync(
+    `SELECT *${query.select} FROM journal_entries ${query.where} ORDER BY created_at DESC`,
+    query.params
+  );
+  return query.test ? result.filter(query.test) : result;
+};
+
+export const countEntriesMatchingRules = async (rules, queryVectors = null) => {
+  const query = compileRules(rules, await loadSimilarityReferences(rules, queryVectors));
+  if (query.test) {
+    const result = await db.getAllAsync(
+      `SELECT *${query.select} FROM journal_entries ${query.where}`,
+      query.params
+    );
+    return result.filter(query.test).length;
   }
 
-  // Text contains filter
-  if (rules.textContains) {
-    conditions.push('(transcript LIKE ? OR summary LIKE ?)');
-    const searchTerm = `%${rules.textContains}%`;
-    params.push(searchTerm, searchTerm);
+  const result = await db.getFirstAsync(
+    `SELECT COUNT(*) as count FROM journal_entries ${query.where}`,
+    query.params
+  );
+  return result.count;
+};
+
+export const hasQueryEmbedding = async (text, model) => {
+  const result = await db.getFirstAsync(
+    'SELECT 1 as found FROM query_embeddings WHERE text = ? AND model = ?',
+    [text, model]
+  );
+  return !!result;
+};
+
+export const setQueryEmbedding = async (text, vector, model) => {
+  await db.runAsync(
+    `INSERT OR REPLACE INTO query_embeddings (text, model, embedding_vector)
+     VALUES (?, ?, ?)`,
+    [text, model, vectorToBlob(normalizeVector(vector))]
+  );
+};
+
+// Drop embedded "similar to" text that no rule folder uses any more
+export const deleteUnusedQueryEmbeddings = async () => {
+  const folders = await db.getAllAsync(
+    "SELECT rules FROM smart_folders WHERE type = 'rule' AND rules IS NOT NULL"
+  );
+  const used = new Set();
+  for (const folder of folders) {
+    collectConditions(normalizeRules(JSON.parse(folder.rules)), RULE_FIELDS.SIMILAR_TO)
+      .filter(condition => condition.value?.text)
+      .forEach(condition => used.add(condition.value.text));
   }
 
-  // Topics filter
-  if (rules.topicsContain && rules.topicsContain.length > 0) {
-    const topicConditions = rules.topicsContain.map(() => 'topics LIKE ?');
-    conditions.push(`(${topicConditions.join(' OR ')})`);
-    rules.topicsContain.forEach(topic => {
-      params.push(`%${topic}%`);
-    });
+  const rows = await db.getAllAsync('SELECT DISTINCT text FROM query_embeddings');
+  const unused = rows.map(row => row.text).filter(text => !used.has(text));
+  for (const text of unused) {
+    await db.runAsync('DELETE FROM query_embeddings WHERE text = ?', [text]);
   }
+  return unused.length;
+};
 
-  const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+// Embeddings and Clustering
+
+export const getEmbeddingsVersion = () => embeddingsVersion;
 
+export const setEntryEmbedding = async (entryId, vector, model) => {
+  await db.runAsync(
+    'UPDATE journal_entries SET embedding_vector = ?, embedding_model = ? WHERE id = ?',
+    [vectorToBlob(normalizeVector(vector)), model, entryId]
+  );
+  embeddingsVersion++;
+};
+
+export const replaceEntryChunks = async (entryId, chunks, model) => {
+  await db.withTransactionAsync(async () => {
+    await db.runAsync('DELETE FROM entry_chunks WHERE entry_id = ?', [entryId]);
+    for (let i = 0; i < chunks.length; i++) {
+      const chunk = chunks[i];
+      await db.runAsync(
+        `INSERT INTO entry_chunks
+           (entry_id, chunk_index, text, start_offset, end_offset, embedding_vector, embedding_model)
+         VALUES (?, ?, ?, ?, ?, ?, ?)`,
+        [
+          entryId,
+          i,
+          chunk.text,
+          chunk.start,
+          chunk.end,
+          vectorToBlob(normalizeVector(chunk.vector)),
+          model,
+        ]
+      );
+    }
+  });
+  embeddingsVersion++;
+};
+
+export const getChunksByIds = async (ids) => {
+  if (ids.length === 0) {
+    return [];
+  }
+  const placeholders = ids.map(() => '?').join(', ');
   const result = await db.getAllAsync(
-    `SELECT * FROM journal_entries ${whereClause} ORDER BY created_at DESC`,
-    params
+    `SELECT id, entry_id, chunk_index, text, start_offset, end_offset
+     FROM entry_chunks WHERE id IN (${placeholders})`,
+    ids
   );
   return result;
 };
 
-// Embeddings and Clustering
+export const getSearchVectors = async (model) => {
+  // Chunk vectors, plus the whole-entry vector for entries embedded before
+  // chunking existed
+  const chunks = await db.getAllAsync(
+    'SELECT id, entry_id, embedding_vector FROM entry_chunks WHERE embedding_model = ?',
+    [model]
+  );
+  const unchunked = await db.getAllAsync(
+    `SELECT id, embedding_vector FROM journal_entries
+     WHERE embedding_vector IS NOT NULL AND embedding_model = ?
+       AND id NOT IN (SELECT entry_id FROM entry_chunks WHERE embedding_model = ?)`,
+    [model, model]
+  );
+
+  return [
+    ...chunks.map(row => ({
+      entryId: row.entry_id,
+      chunkId: row.id,
+      vector: blobToVector(row.embedding_vector),
+    })),
+    ...unchunked.map(row => ({
+      entryId: row.id,
+      chunkId: null,
+      vector: blobToVector(row.embedding_vector),
+    })),
+  ];
+};
+
+export const getEmbeddingCounts = async (model) => {
+  const result = await db.getFirstAsync(
+    `SELECT
+       COUNT(*) as total,
+       SUM(CASE WHEN embedding_vector IS NOT NULL AND embedding_model = ? THEN 1 ELSE 0 END) as current
+     FROM journal_entries`,
+    [model]
+  );
+  const total = result?.total || 0;
+  const current = result?.current || 0;
+  return { total, withEmbeddings: current, withoutEmbeddings: total - current };
+};
 
-export const getEntriesForClustering = async () => {
+export const getEntriesForClustering = async (model) => {
   const result = await db.getAllAsync(
-    'SELECT id, transcript, summary, embedding FROM journal_entries WHERE embedding IS NOT NULL'
+    `SELECT id, transcript, summary, created_at, cluster_id, embedding_vector FROM journal_entries
+     WHERE embedding_vector IS NOT NULL AND embedding_model = ?
+     ORDER BY id`,
+    [model]
   );
-  return result.map(entry => ({
+  return result.map(({ embedding_vector, ...entry }) => ({
     ...entry,
-    embedding: entry.embedding ? JSON.parse(entry.embedding) : null,
+    embedding: blobToVector(embedding_vector),
   }));
 };
 
+export const getClusterSizes = async () => {
+  const result = await db.getAllAsync(
+    `SELECT cluster_id, COUNT(*) as count FROM journal_entries
+     WHERE cluster_id IS NOT NULL GROUP BY cluster_id`
+  );
+  return new Map(result.map(row => [row.cluster_id, row.count]));
+};
+
 export const updateEntryClusters = async (clusterAssignments) => {
   // clusterAssignments is an array of {entryId, clusterId}
   for (const assignment of clusterAssignments) {
@@ -485,23 +848,192 @@ export const updateEntryClusters = async (clusterAssignments) => {
 
 // Search
 
+// Markers wrapped around matched terms in snippets; control characters so they
+// never collide with journal text
+export const SNIPPET_MATCH_START = '\u0002';
+export const SNIPPET_MATCH_END = '\u0003';
+
+export const searchEntriesFullText = async (matchQuery, limit = 50) => {
+  // bm25 column weights follow the entries_fts column order:
+  // name, summary, topics, transcript, messages
+  const result = await db.getAllAsync(
+    `SELECT
+       e.*,
+       bm25(entries_fts, 4.0, 3.0, 2.0, 1.0, 1.0) as rank,
+       snippet(entries_fts, -1, ?, ?, '…', 16) as snippet
+     FROM entries_fts
+     JOIN journal_entries e ON e.id = entries_fts.rowid
+     WHERE entries_fts MATCH ?
+     ORDER BY rank
+     LIMIT ?`,
+    [SNIPPET_MATCH_START, SNIPPET_MATCH_END, matchQuery, limit]
+  );
+
+  return result;
+};
+
+export const getEntryIdsMatching = async (matchQuery) => {
+  const result = await db.getAllAsync(
+    'SELECT rowid as id FROM entries_fts WHERE entries_fts MATCH ?',
+    [matchQuery]
+  );
+  return result.map(row => row.id);
+};
+
 export const searchEntriesByKeywords = async (query) => {
-  if (!query || query.trim().length === 0) {
+  const matchQuery = buildFtsQuery(parseSearchQuery(query));
+  if (!matchQuery) {
     return [];
   }
 
-  const searchTerm = `%${query.toLowerCase()}%`;
+  return await searchEntriesFullText(matchQuery);
+};
 
-  const result = await db.getAllAsync(
-    `SELECT * FROM journal_entries
-     WHERE
-       LOWER(transcript) LIKE ? OR
-       LOWER(summary) LIKE ? OR
-       LOWER(name) LIKE ? OR
-       LOWER(topics) LIKE ?
-     ORDER BY created_at DESC`,
-    [searchTerm, searchTerm, searchTerm, searchTerm]
+// Processing Jobs
+
+export const createJob = async (entryId, step) => {
+  // Don't queue the same step twice while one is waiting; a step that's
+  // already running may be working from older text, so it gets a new job
+  const existing = await db.getFirstAsync(
+    `SELECT id FROM processing_jobs
+     WHERE entry_id = ? AND step = ? AND status = 'pending'`,
+    [entryId, step]
   );
+  if (existing) {
+    return existing.id;
+  }
 
-  return result;
+  const result = await db.runAsync(
+    'INSERT INTO processing_jobs (entry_id, step, status, next_run_at) VALUES (?, ?, ?, ?)',
+    [entryId, step, 'pending', new Date().toISOString()]
+  );
+  return result.lastInsertRowId;
+};
+
+// A job waits while the same step is running for its entry, so an older run
+// can't finish last and overwrite its result
+const NOT_BEHIND_RUNNING_JOB = `NOT EXISTS (
+  SELECT 1 FROM processing_jobs other
+  WHERE other.entry_id = processing_jobs.entry_id
+    AND other.step = processing_jobs.step
+    AND other.status = 'running'
+)`;
+
+export const claimJob = async (id) => {
+  // Only one runner can move a job from pending to running
+  const result = await db.runAsync(
+    `UPDATE processing_jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP
+     WHERE id = ? AND status = 'pending' AND ${NOT_BEHIND_RUNNING_JOB}`,
+    [id]
+  );
+  return result.changes > 0;
+};
+
+export const updateJob = async (id, updates) => {
+  const fields = ['updated_at = CURRENT_TIMESTAMP'];
+  const values = [];
+
+  if (updates.status !== undefined) {
+    fields.push('status = ?');
+    values.push(updates.status);
+  }
+  if (updates.attempts !== undefined) {
+    fields.push('attempts = ?');
+    values.push(updates.attempts);
+  }
+  if (updates.last_error !== undefined) {
+    fields.push('last_error = ?');
+    values.push(updates.last_error);
+  }
+  if (updates.next_run_at !== undefined) {
+    fields.push('next_run_at = ?');
+    values.push(updates.next_run_at);
+  }
+
+  values.push(id);
+
+  await db.runAsync(
+    `UPDATE processing_jobs SET ${fields.join(', ')} WHERE id = ?`,
+    values
+  );
+};
+
+export const getDueJobs = async (entryId = null) => {
+  const now = new Date().toISOString();
+  if (entryId !== null) {
+    return await db.getAllAsync(
+      `SELECT * FROM processing_jobs
+       WHERE status = 'pending' AND entry_id = ? AND next_run_at <= ?
+         AND ${NOT_BEHIND_RUNNING_JOB}
+       ORDER BY id ASC`,
+      [entryId, now]
+    );
+  }
+
+  return await db.getAllAsync(
+    `SELECT * FROM processing_jobs
+     WHERE status = 'pending' AND next_run_at <= ?
+       AND ${NOT_BEHIND_RUNNING_JOB}
+     ORDER BY id ASC`,
+    [now]
+  );
+};
+
+export const getRunningJob = async (entryId, step) => {
+  return await db.getFirstAsync(
+    `SELECT * FROM processing_jobs
+     WHERE entry_id = ? AND step = ? AND status = 'running'`,
+    [entryId, step]
+  );
+};
+
+export const getNextJobRunTime = async () => {
+  const result = await db.getFirstAsync(
+    `SELECT MIN(next_run_at) as next_run_at FROM processing_jobs WHERE status = 'pending'`
+  );
+  return result?.next_run_at || null;
+};
+
+export const getJobs = async (statuses = ['pending', 'running', 'failed']) => {
+  const placeholders = statuses.map(() => '?').join(', ');
+  return await db.getAllAsync(
+    `SELECT pj.*, je.name as entry_name, je.date as entry_date
+     FROM processing_jobs pj
+     LEFT JOIN journal_entries je ON je.id = pj.entry_id
+     WHERE pj.status IN (${placeholders})
+     ORDER BY pj.created_at DESC, pj.id DESC`,
+    statuses
+  );
+};
+
+export const getJob = async (id) => {
+  return await db.getFirstAsync('SELECT * FROM processing_jobs WHERE id = ?', [id]);
+};
+
+export const getJobsForEntry = async (entryId) => {
+  return await db.getAllAsync(
+    'SELECT * FROM processing_jobs WHERE entry_id = ? ORDER BY id ASC',
+    [entryId]
+  );
+};
+
+export const deleteJob = async (id) => {
+  await db.runAsync('DELETE FROM processing_jobs WHERE id = ?', [id]);
+};
+
+export const resetInterruptedJobs = async () => {
+  // Jobs left running when the app was killed go back to the queue
+  await db.runAsync(
+    `UPDATE processing_jobs SET status = 'pending', updated_at = CURRENT_TIMESTAMP
+     WHERE status = 'running'`
+  );
+};
+
+export const pruneCompletedJobs = async (days = 7) => {
+  const cutoffDate = new Date();
+  cutoffDate.setDate(cutoffDate.getDate() - days);
+  await db.runAsync(
+    `DELETE FROM processing_jobs WHERE status = 'done' AND created_at < ?`,
+    [cutoffDate.toISOString()]
+  );
 };
@@ -1,37 +1,23 @@
-import axios from 'axios';
-import { getSetting } from './databaseService';
+import { createChatCompletion, createEmbedding } from './providerService';
+import { LLM_TASKS } from '../utils/constants';
+import { chunkText } from '../utils/chunking';
+import { normalizeVector, dotProduct } from '../utils/vectors';
+import { createRandom } from '../utils/random';
+import { createYielder } from '../utils/scheduler';
 
 /**
- * Generate embedding vector for text using OpenAI's text-embedding-3-small model
+ * Generate embedding vector for text using the configured embedding provider
  * @param {string} text - Text to embed
  * @returns {Promise<number[]>} - Embedding vector (1536 dimensions)
  */
 export const generateEmbedding = async (text) => {
   try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    // Truncate text if too long (OpenAI has token limits)
+    // Safety net for provider token limits; long entries go through
+    // generateChunkEmbeddings so nothing is lost to this
     const maxLength = 8000; // rough character limit
     const truncatedText = text.length > maxLength ? text.substring(0, maxLength) : text;
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/embeddings',
-      {
-        model: 'text-embedding-3-small',
-        input: truncatedText,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    return response.data.data[0].embedding;
+    return await createEmbedding(truncatedText);
   } catch (error) {
     console.error('Embedding generation error:', error);
     if (error.response) {
@@ -41,6 +27,36 @@ export const generateEmbedding = async (text) => {
   }
 };
 
+/**
+ * Embed text in overlapping chunks so long entries are searchable end to end
+ * @param {string} text - Text to embed
+ * @returns {Promise<{chunks: Array<{text: string, start: number, end: number, vector: number[]}>, vector: Float32Array}>}
+ *   - Each chunk with its embedding, plus the normalized mean of the chunk vectors to represent the whole entry
+ */
+export const generateChunkEmbeddings = async (text) => {
+  const chunks = chunkText(text);
+  if (chunks.length === 0) {
+    throw new Error('No text to embed');
+  }
+
+  const embedded = [];
+  for (const chunk of chunks) {
+    const vector = await generateEmbedding(chunk.text);
+    embedded.push({ ...chunk, vector });
+  }
+
+  const dims = embedded[0].vector.length;
+  const mean = new Float32Array(dims);
+  for (const chunk of embedded) {
+    const unit = normalizeVector(chunk.vector);
+    for (let d = 0; d < dims; d++) {
+      mean[d] += unit[d];
+    }
+  }
+
+  return { chunks: embedded, vector: normalizeVector(mean) };
+};
+
 /**
  * Calculate cosine similarity between two vectors
  * @param {number[]} a - First vector
@@ -66,20 +82,84 @@ export const cosineSimilarity = (a, b) => {
   return denominator === 0 ? 0 : dotProduct / denominator;
 };
 
+// Above this many points silhouette scoring switches to the centroid-based
+// approximation, since the exact score is O(n²) in distance computations
+const EXACT_SILHOUETTE_LIMIT = 300;
+
+/**
+ * Simplified silhouette: a point's distance to its own cluster centroid
+ * against the distance to the nearest other centroid. O(n·k) distances.
+ * @param {number[][]} embeddings - Array of embedding vectors
+ * @param {number[]} assignments - Cluster assignments for each embedding
+ * @param {number} k - Number of clusters
+ * @param {() => Promise<void>} yieldControl - Scheduler checkpoint
+ * @returns {Promise<number>}
+ */
+const calculateCentroidSilhouetteScore = async (embeddings, assignments, k, yieldControl) => {
+  const n = embeddings.length;
+  const dims = embeddings[0].length;
+  const sums = Array(k).fill(null).map(() => new Float64Array(dims));
+  const counts = new Array(k).fill(0);
+
+  for (let i = 0; i < n; i++) {
+    const sum = sums[assignments[i]];
+    for (let d = 0; d < dims; d++) {
+      sum[d] += embeddings[i][d];
+    }
+    counts[assignments[i]]++;
+    await yieldControl();
+  }
+  const centroids = sums.map(sum => normalizeVector(sum));
+
+  let totalScore = 0;
+  let validPoints = 0;
+
+  for (let i = 0; i < n; i++) {
+    const ownCluster = assignments[i];
+    if (counts[ownCluster] <= 1) {
+      continue;
+    }
+
+    const a = 1 - cosineSimilarity(embeddings[i], centroids[ownCluster]);
+    let b = Infinity;
+    for (let c = 0; c < k; c++) {
+      if (c !== ownCluster && counts[c] > 0) {
+        b = Math.min(b, 1 - cosineSimilarity(embeddings[i], centroids[c]));
+      }
+    }
+
+    if (b !== Infinity && Math.max(a, b) > 0) {
+      totalScore += (b - a) / Math.max(a, b);
+      validPoints++;
+    }
+    await yieldControl();
+  }
+
+  return validPoints > 0 ? totalScore / validPoints : 0;
+};
+
 /**
- * Calculate silhouette score for a clustering result
+ * Calculate silhouette score for a clustering result. Exact up to
+ * EXACT_SILHOUETTE_LIMIT points, centroid-based beyond that. Runs in time
+ * slices so the UI stays responsive.
  * @param {number[][]} embeddings - Array of embedding vectors
  * @param {number[]} assignments - Cluster assignments for each embedding
  * @param {number} k - Number of clusters
- * @returns {number} - Average silhouette score (higher is better, range -1 to 1)
+ * @param {Object} options - { signal } to cancel
+ * @returns {Promise<number>} - Average silhouette score (higher is better, range -1 to 1)
  */
-export const calculateSilhouetteScore = (embeddings, assignments, k) => {
+export const calculateSilhouetteScore = async (embeddings, assignments, k, options = {}) => {
   const n = embeddings.length;
 
   if (n < 2 || k < 2) {
     return 0;
   }
 
+  const yieldControl = createYielder(options.signal);
+  if (n > EXACT_SILHOUETTE_LIMIT) {
+    return calculateCentroidSilhouetteScore(embeddings, assignments, k, yieldControl);
+  }
+
   // Group indices by cluster
   const clusters = Array(k).fill(null).map(() => []);
   for (let i = 0; i < n; i++) {
@@ -132,6 +212,7 @@ export const calculateSilhouetteScore = (embeddings, assignments, k) => {
     const s = (b - a) / Math.max(a, b);
     totalScore += s;
     validPoints++;
+    await yieldControl();
   }
 
   return validPoints > 0 ? totalScore / validPoints : 0;
@@ -142,9 +223,13 @@ export const calculateSilhouetteScore = (embeddings, assignments, k) => {
  * @param {Array<{id: number, embedding: number[]}>} entries - Entries with embeddings
  * @param {number} minK - Minimum k to test (default 3)
  * @param {number} maxK - Maximum k to test (default 10)
- * @returns {{k: number, score: number}} - Optimal k and its silhouette score
+ * @param {Object} options - { signal, onProgress }
+ *   signal: AbortSignal to cancel; the promise rejects with a cancellation error
+ *   onProgress: called with (tested, total) after each k
+ * @returns {Promise<{k: number, score: number}>} - Optimal k and its silhouette score
  */
-export const findOptimalK = (entries, minK = 3, maxK = 10) => {
+export const findOptimalK = async (entries, minK = 3, maxK = 10, options = {}) => {
+  const { signal, onProgress } = options;
   const n = entries.length;
 
   // Adjust maxK based on dataset size (need at least 3 entries per cluster on average)
@@ -164,14 +249,14 @@ export const findOptimalK = (entries, minK = 3, maxK = 10) => {
   // Test each k value
   for (let k = adjustedMinK; k <= adjustedMaxK; k++) {
     // Run k-means
-    const clusterAssignments = clusterEmbeddings(entries, k);
+    const clusterAssignments = await clusterEmbeddings(entries, k, { signal });
 
     // Extract embeddings and assignments
     const embeddings = entries.map(e => e.embedding);
     const assignments = clusterAssignments.map(ca => ca.clusterId);
 
     // Calculate silhouette score
-    const score = calculateSilhouetteScore(embeddings, assignments, k);
+    const score = await calculateSilhouetteScore(embeddings, assignments, k, { signal });
 
     console.log(`k=${k}: silhouette score = ${score.toFixed(4)}`);
 
@@ -179,42 +264,76 @@ export const findOptimalK = (entries, minK = 3, maxK = 10) => {
       bestScore = score;
       bestK = k;
     }
+
+    if (onProgress) {
+      onProgress(k - adjustedMinK + 1, adjustedMaxK - adjustedMinK + 1);
+    }
   }
 
   console.log(`Optimal k=${bestK} with score=${bestScore.toFixed(4)}`);
   return { k: bestK, score: bestScore };
 };
 
+// Fixed default seed so the same entries always cluster the same way
+export const DEFAULT_CLUSTER_SEED = 42;
+
 /**
- * Simple k-means clustering algorithm
- * @param {Array<{id: number, embedding: number[]}>} entries - Entries with embeddings
- * @param {number} k - Number of clusters
- * @param {number} maxIterations - Maximum iterations
- * @returns {Array<{clusterId: number, entryId: number}>} - Cluster assignments
+ * Pick initial centroids with k-means++: each new centroid is drawn with
+ * probability proportional to its distance from the nearest one chosen so far
+ * @param {Float32Array[]} vectors - Unit-length vectors
+ * @param {number} k - Number of centroids
+ * @param {() => number} random - Random number generator
+ * @param {() => Promise<void>} yieldControl - Scheduler checkpoint
+ * @returns {Promise<Float32Array[]>}
  */
-export const clusterEmbeddings = (entries, k = 5, maxIterations = 10) => {
-  if (entries.length < k) {
-    // Not enough entries for k clusters, assign all to cluster 0
-    return entries.map(entry => ({ entryId: entry.id, clusterId: 0 }));
-  }
-
-  const embeddings = entries.map(e => e.embedding);
-  const n = embeddings.length;
-  const dims = embeddings[0].length;
+const initCentroidsPlusPlus = async (vectors, k, random, yieldControl) => {
+  const n = vectors.length;
+  const centroids = [Float32Array.from(vectors[Math.floor(random() * n)])];
+
+  // Cosine distance to the nearest centroid; for unit vectors this is half
+  // the squared Euclidean distance, so weighting by it is standard k-means++
+  const distances = vectors.map(vector => Math.max(0, 1 - dotProduct(vector, centroids[0])));
+
+  while (centroids.length < k) {
+    const total = distances.reduce((sum, d) => sum + d, 0);
+    let index = 0;
+    if (total > 0) {
+      let target = random() * total;
+      while (index < n - 1 && (target -= distances[index]) >= 0) {
+        index++;
+      }
+    } else {
+      // Every point coincides with a centroid; any choice is as good as another
+      index = Math.floor(random() * n);
+    }
 
-  // Initialize centroids randomly by selecting k random data points
-  const centroids = [];
-  const usedIndices = new Set();
-  for (let i = 0; i < k; i++) {
-    let idx;
-    do {
-      idx = Math.floor(Math.random() * n);
-    } while (usedIndices.has(idx));
-    usedIndices.add(idx);
-    centroids.push([...embeddings[idx]]);
+    const centroid = Float32Array.from(vectors[index]);
+    centroids.push(centroid);
+    for (let i = 0; i < n; i++) {
+      distances[i] = Math.min(distances[i], Math.max(0, 1 - dotProduct(vectors[i], centroid)));
+    }
+    await yieldControl();
   }
 
-  let assignments = new Array(n).fill(0);
+  return centroids;
+};
+
+/**
+ * One k-means run (spherical: cosine distance, unit-length centroids)
+ * @param {Float32Array[]} vectors - Unit-length vectors
+ * @param {number} k - Number of clusters
+ * @param {() => number} random - Random number generator
+ * @param {number} maxIterations - Maximum iterations
+ * @param {number} tolerance - Stop once no centroid moves more than this (cosine distance)
+ * @param {() => Promise<void>} yieldControl - Scheduler checkpoint
+ * @returns {Promise<{assignments: number[], inertia: number}>}
+ */
+const runKMeans = async (vectors, k, random, maxIterations, tolerance, yieldControl) => {
+  const n = vectors.length;
+  const dims = vectors[0].length;
+  const centroids = await initCentroidsPlusPlus(vectors, k, random, yieldControl);
+  const assignments = new Array(n).fill(-1);
+  const distances = new Array(n).fill(0);
 
   for (let iter = 0; iter < maxIterations; iter++) {
     let changed = false;
@@ -222,54 +341,313 @@ export const clusterEmbeddings = (entries, k = 5, maxIterations = 10) => {
     // Assignment step: assign each point to nearest centroid
     for (let i = 0; i < n; i++) {
       let bestCluster = 0;
-      let bestSimilarity = cosineSimilarity(embeddings[i], centroids[0]);
-
-      for (let j = 1; j < k; j++) {
-        const similarity = cosineSimilarity(embeddings[i], centroids[j]);
+      let bestSimilarity = -Infinity;
+      for (let j = 0; j < k; j++) {
+        const similarity = dotProduct(vectors[i], centroids[j]);
         if (similarity > bestSimilarity) {
           bestSimilarity = similarity;
           bestCluster = j;
         }
       }
-
+      distances[i] = 1 - bestSimilarity;
       if (assignments[i] !== bestCluster) {
         assignments[i] = bestCluster;
         changed = true;
       }
+      await yieldControl();
     }
 
     if (!changed) {
       break; // Converged
     }
 
-    // Update step: recalculate centroids
-    const newCentroids = Array(k).fill(null).map(() => new Array(dims).fill(0));
+    // Re-seed empty clusters with the points worst served by their centroid
     const counts = new Array(k).fill(0);
-
-    for (let i = 0; i < n; i++) {
-      const cluster = assignments[i];
+    for (const cluster of assignments) {
       counts[cluster]++;
-      for (let d = 0; d < dims; d++) {
-        newCentroids[cluster][d] += embeddings[i][d];
-      }
     }
-
     for (let j = 0; j < k; j++) {
       if (counts[j] > 0) {
-        for (let d = 0; d < dims; d++) {
-          centroids[j][d] = newCentroids[j][d] / counts[j];
+        continue;
+      }
+      let farthest = -1;
+      for (let i = 0; i < n; i++) {
+        if (counts[assignments[i]] > 1 && (farthest === -1 || distances[i] > distances[farthest])) {
+          farthest = i;
         }
       }
+      if (farthest === -1) {
+        break;
+      }
+      counts[assignments[farthest]]--;
+      assignments[farthest] = j;
+      distances[farthest] = 0;
+      counts[j] = 1;
+    }
+
+    // Update step: recalculate centroids
+    let maxShift = 0;
+    const sums = Array(k).fill(null).map(() => new Float64Array(dims));
+    for (let i = 0; i < n; i++) {
+      const sum = sums[assignments[i]];
+      const vector = vectors[i];
+      for (let d = 0; d < dims; d++) {
+        sum[d] += vector[d];
+      }
+    }
+    for (let j = 0; j < k; j++) {
+      const centroid = normalizeVector(sums[j]);
+      maxShift = Math.max(maxShift, 1 - dotProduct(centroid, centroids[j]));
+      centroids[j] = centroid;
+    }
+
+    if (maxShift < tolerance) {
+      break;
+    }
+  }
+
+  // Final inertia against the final centroids
+  let inertia = 0;
+  for (let i = 0; i < n; i++) {
+    inertia += 1 - dotProduct(vectors[i], centroids[assignments[i]]);
+  }
+
+  return { assignments, inertia };
+};
+
+/**
+ * Deterministic k-means clustering: k-means++ initialization from a seeded
+ * random generator, several restarts keeping the tightest result (lowest
+ * inertia), and re-seeding of clusters that end up empty. The same entries
+ * and seed always produce the same assignments. Runs in time slices so
+ * the UI stays responsive.
+ * @param {Array<{id: number, embedding: number[]}>} entries - Entries with embeddings
+ * @param {number} k - Number of clusters
+ * @param {Object} options - { seed, restarts, maxIterations, tolerance, signal }
+ * @returns {Promise<Array<{clusterId: number, entryId: number}>>} - Cluster assignments
+ */
+export const clusterEmbeddings = async (entries, k = 5, options = {}) => {
+  const {
+    seed = DEFAULT_CLUSTER_SEED,
+    restarts = 5,
+    maxIterations = 50,
+    tolerance = 1e-6,
+    signal,
+  } = options;
+
+  if (entries.length < k || k < 2) {
+    // Not enough entries for k clusters, assign all to cluster 0
+    return entries.map(entry => ({ entryId: entry.id, clusterId: 0 }));
+  }
+
+  const vectors = entries.map(e => normalizeVector(e.embedding));
+  const random = createRandom(seed);
+  const yieldControl = createYielder(signal);
+
+  let best = null;
+  for (let run = 0; run < restarts; run++) {
+    const result = await runKMeans(vectors, k, random, maxIterations, tolerance, yieldControl);
+    if (!best || result.inertia < best.inertia) {
+      best = result;
     }
   }
 
   // Return cluster assignments with entry IDs
   return entries.map((entry, index) => ({
     entryId: entry.id,
-    clusterId: assignments[index],
+    clusterId: best.assignments[index],
   }));
 };
 
+/**
+ * Density-based clustering in the style of HDBSCAN. Builds the minimum
+ * spanning tree of the mutual reachability graph, condenses the resulting
+ * hierarchy to clusters of at least minClusterSize entries, and keeps the
+ * most stable ones. The number of clusters falls out of the data, and
+ * entries in sparse regions are left as outliers instead of being forced
+ * into the nearest topic.
+ * @param {Array<{id: number, embedding: number[]}>} entries - Entries with embeddings
+ * @param {Object} options - { minClusterSize, minSamples, signal }
+ *   minClusterSize: smallest group worth a folder (default scales with the journal, at least 3)
+ *   minSamples: neighbours used to estimate density (default minClusterSize); higher is more conservative
+ *   signal: AbortSignal to cancel
+ * @returns {Promise<Array<{clusterId: number|null, entryId: number}>>} - clusterId is null for outliers
+ */
+export const densityClusterEmbeddings = async (entries, options = {}) => {
+  const n = entries.length;
+  const yieldControl = createYielder(options.signal);
+  const minClusterSize = Math.max(2, options.minClusterSize ?? Math.max(3, Math.floor(n / 40)));
+  const minSamples = Math.max(1, options.minSamples ?? minClusterSize);
+
+  // Splitting the root needs two groups of minClusterSize
+  if (n < minClusterSize * 2) {
+    return entries.map(entry => ({ entryId: entry.id, clusterId: null }));
+  }
+
+  // Pairwise cosine distances
+  const vectors = entries.map(e => normalizeVector(e.embedding));
+  const distances = new Float32Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = i + 1; j < n; j++) {
+      const distance = Math.max(0, 1 - dotProduct(vectors[i], vectors[j]));
+      distances[i * n + j] = distance;
+      distances[j * n + i] = distance;
+    }
+    await yieldControl();
+  }
+
+  // Core distance: how far a point must reach to find minSamples points
+  // (itself included); small in dense regions, large for outliers
+  const coreDistances = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    const row = Array.from(distances.subarray(i * n, (i + 1) * n)).sort((a, b) => a - b);
+    coreDistances[i] = row[Math.min(minSamples - 1, n - 1)];
+    await yieldControl();
+  }
+
+  // Minimum spanning tree over mutual reachability distances (Prim)
+  const inTree = new Uint8Array(n);
+  const bestDistance = new Float64Array(n).fill(Infinity);
+  const bestFrom = new Int32Array(n).fill(-1);
+  const edges = [];
+  let current = 0;
+  inTree[0] = 1;
+  for (let step = 1; step < n; step++) {
+    let next = -1;
+    for (let j = 0; j < n; j++) {
+      if (inTree[j]) {
+        continue;
+      }
+      const reachability = Math.max(coreDistances[current], coreDistances[j], distances[current * n + j]);
+      if (reachability < bestDistance[j]) {
+        bestDistance[j] = reachability;
+        bestFrom[j] = current;
+      }
+      if (next === -1 || bestDistance[j] < bestDistance[next]) {
+        next = j;
+      }
+    }
+    edges.push({ a: bestFrom[next], b: next, weight: bestDistance[next] });
+    inTree[next] = 1;
+    current = next;
+    await yieldControl();
+  }
+  edges.sort((x, y) => x.weight - y.weight);
+
+  // Single-linkage hierarchy: leaves are points 0..n-1, merge i creates node n+i
+  const nodeCount = 2 * n - 1;
+  const unionParent = new Int32Array(nodeCount).map((_, i) => i);
+  const sizes = new Int32Array(nodeCount).fill(1);
+  const left = new Int32Array(n - 1);
+  const right = new Int32Array(n - 1);
+  const heights = new Float64Array(n - 1);
+  const find = (x) => {
+    while (unionParent[x] !== x) {
+      unionParent[x] = unionParent[unionParent[x]];
+      x = unionParent[x];
+    }
+    return x;
+  };
+  edges.forEach((edge, i) => {
+    const rootA = find(edge.a);
+    const rootB = find(edge.b);
+    const node = n + i;
+    left[i] = rootA;
+    right[i] = rootB;
+    heights[i] = edge.weight;
+    sizes[node] = sizes[rootA] + sizes[rootB];
+    unionParent[rootA] = node;
+    unionParent[rootB] = node;
+  });
+
+  const leavesOf = (node) => {
+    const leaves = [];
+    const stack = [node];
+    while (stack.length > 0) {
+      const top = stack.pop();
+      if (top < n) {
+        leaves.push(top);
+      } else {
+        stack.push(left[top - n], right[top - n]);
+      }
+    }
+    return leaves;
+  };
+
+  // Condense the hierarchy: walking down from the root (increasing density,
+  // lambda = 1 / distance), a cluster splits only when both halves are big
+  // enough; smaller pieces are points falling out of it. Stability sums how
+  // long each point stayed in the cluster.
+  const clusters = [{ parent: -1, birth: 0, stability: 0, children: [] }];
+  const pointCluster = new Int32Array(n);
+  const stack = [[nodeCount - 1, 0]];
+  while (stack.length > 0) {
+    const [node, clusterIndex] = stack.pop();
+    const cluster = clusters[clusterIndex];
+    const lambda = 1 / Math.max(heights[node - n], 1e-10);
+    const halves = [left[node - n], right[node - n]];
+
+    if (halves.every(half => sizes[half] >= minClusterSize)) {
+      for (const half of halves) {
+        const childIndex = clusters.length;
+        clusters.push({ parent: clusterIndex, birth: lambda, stability: 0, children: [] });
+        cluster.children.push(childIndex);
+        cluster.stability += (lambda - cluster.birth) * sizes[half];
+        stack.push([half, childIndex]);
+      }
+      continue;
+    }
+
+    for (const half of halves) {
+      if (sizes[half] >= minClusterSize) {
+        stack.push([half, clusterIndex]);
+      } else {
+        for (const point of leavesOf(half)) {
+          pointCluster[point] = clusterIndex;
+          cluster.stability += lambda - cluster.birth;
+        }
+      }
+    }
+  }
+
+  // Excess-of-mass selection: keep a cluster unless its children are
+  // together more stable. Children always have higher indices than their
+  // parent, so walking backwards visits them first. The root is never kept.
+  const selected = new Uint8Array(clusters.length);
+  const subtreeStability = clusters.map(cluster => cluster.stability);
+  for (let c = clusters.length - 1; c > 0; c--) {
+    const { children, stability } = clusters[c];
+    const childStability = children.reduce((sum, child) => sum + subtreeStability[child], 0);
+    if (children.length > 0 && childStability > stability) {
+      subtreeStability[c] = childStability;
+      continue;
+    }
+    selected[c] = 1;
+    const descendants = [...children];
+    while (descendants.length > 0) {
+      const descendant = descendants.pop();
+      selected[descendant] = 0;
+      descendants.push(...clusters[descendant].children);
+    }
+  }
+
+  // Each point belongs to the selected cluster it fell out of (or an ancestor of it)
+  const labels = new Map();
+  return entries.map((entry, i) => {
+    let c = pointCluster[i];
+    while (c > 0 && !selected[c]) {
+      c = clusters[c].parent;
+    }
+    if (c <= 0) {
+      return { entryId: entry.id, clusterId: null };
+    }
+    if (!labels.has(c)) {
+      labels.set(c, labels.size);
+    }
+    return { entryId: entry.id, clusterId: labels.get(c) };
+  });
+};
+
 /**
  * Extract key topics from text using LLM
  * @param {string} text - Text to analyze
@@ -277,37 +655,22 @@ export const clusterEmbeddings = (entries, k = 5, maxIterations = 10) => {
  */
 export const extractTopics = async (text) => {
   try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'Extract 3-5 key topics or themes from the journal entry. Return only the topics as a comma-separated list, lowercase, no explanations.',
-          },
-          {
-            role: 'user',
-            content: `Extract topics from:\n\n${text}`,
-          },
-        ],
-        temperature: 0.3,
-        max_tokens: 100,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
+    const completion = await createChatCompletion(
+      LLM_TASKS.TOPICS,
+      [
+        {
+          role: 'system',
+          content: 'Extract 3-5 key topics or themes from the journal entry. Return only the topics as a comma-separated list, lowercase, no explanations.',
         },
-      }
+        {
+          role: 'user',
+          content: `Extract topics from:\n\n${text}`,
+        },
+      ],
+      { temperature: 0.3, maxTokens: 100 }
     );
 
-    const topicsText = response.data.choices[0].message.content.trim();
+    const topicsText = completion.trim();
     const topics = topicsText.split(',').map(t => t.trim()).filter(t => t.length > 0);
     return topics;
   } catch (error) {
@@ -323,42 +686,27 @@ export const extractTopics = async (text) => {
  */
 export const labelCluster = async (sampleEntries) => {
   try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
     // Format sample entries
     const samples = sampleEntries.slice(0, 3).map((entry, idx) =>
       `Entry ${idx + 1}: ${entry.summary || entry.transcript.substring(0, 200)}`
     ).join('\n\n');
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'Generate a short, descriptive label (2-4 words) for a cluster of journal entries. The label should capture the main theme. Examples: "Career & Growth", "Relationships", "Personal Health", "Creative Projects".',
-          },
-          {
-            role: 'user',
-            content: `Generate a label for these related journal entries:\n\n${samples}`,
-          },
-        ],
-        temperature: 0.5,
-        max_tokens: 20,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
+    const label = await createChatCompletion(
+      LLM_TASKS.LABELS,
+      [
+        {
+          role: 'system',
+          content: 'Generate a short, descriptive label (2-4 words) for a cluster of journal entries. The label should capture the main theme. Examples: "Career & Growth", "Relationships", "Personal Health", "Creative Projects".',
         },
-      }
+        {
+          role: 'user',
+          content: `Generate a label for these related journal entries:\n\n${samples}`,
+        },
+      ],
+      { temperature: 0.5, maxTokens: 20 }
     );
 
-    return response.data.choices[0].message.content.trim();
+    return label.trim();
   } catch (error) {
     console.error('Cluster labeling error:', error);
     return 'Untitled Topic';
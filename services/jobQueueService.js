@@ -0,0 +1,596 @@
+import {
+  createJob,
+  claimJob,
+  updateJob,
+  getDueJobs,
+  getJob,
+  getRunningJob,
+  getNextJobRunTime,
+  getJobs,
+  deleteJob,
+  resetInterruptedJobs,
+  pruneCompletedJobs,
+  getJournalEntry,
+  updateJournalEntry,
+  getConversationMessages,
+  addConversationMessage,
+  setConversationMessageTranscript,
+  setEntryEmbedding,
+  replaceEntryChunks,
+  getTranscriptionWindows,
+  saveTranscriptionWindow,
+  deleteTranscriptionWindows,
+} from './databaseService';
+import { transcribeRecording, generateSummary } from './transcriptionService';
+import { generateConversationSummary } from './llmService';
+import { generateChunkEmbeddings, extractTopics } from './embeddingsService';
+import { shouldTriggerClustering, regenerateClusters, assignEntryToCluster } from './clusteringService';
+import { isConnectivityError, getEmbeddingModel } from './providerService';
+import {
+  JOB_STEPS,
+  JOB_STATUS,
+  JOURNAL_MODES,
+  ENTRY_STATUS,
+  REVISION_SOURCES,
+} from '../utils/constants';
+import { formatConversation } from '../utils/conversation';
+
+const MAX_ATTEMPTS = 5;
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 60 * 60 * 1000;
+// While offline or unconfigured, check back regularly without using up attempts
+const OFFLINE_RETRY_MS = 2 * 60 * 1000;
+
+/**
+ * Step that runs after each step succeeds
+ */
+const NEXT_STEP = {
+  [JOB_STEPS.TRANSCRIBE]: JOB_STEPS.SUMMARY,
+  [JOB_STEPS.SUMMARY]: JOB_STEPS.EMBEDDING,
+  [JOB_STEPS.EMBEDDING]: JOB_STEPS.TOPICS,
+  [JOB_STEPS.TOPICS]: JOB_STEPS.CLUSTERING,
+  [JOB_STEPS.CLUSTERING]: null,
+};
+
+/**
+ * Human-readable label for each step, used for status messages and the Settings view
+ */
+export const JOB_STEP_LABELS = {
+  [JOB_STEPS.TRANSCRIBE]: 'Transcribing',
+  [JOB_STEPS.SUMMARY]: 'Generating summary',
+  [JOB_STEPS.EMBEDDING]: 'Generating embedding',
+  [JOB_STEPS.TOPICS]: 'Extracting topics',
+  [JOB_STEPS.CLUSTERING]: 'Updating smart folders',
+};
+
+/**
+ * Transcribe a recording stored with an entry. The windows of a long
+ * recording are saved as they come in, so a retry only sends the ones that
+ * failed.
+ * @param {number} entryId - Entry the recording belongs to
+ * @param {string} audioPath - The recording
+ * @param {(detail: string) => void} reportProgress - Progress within the step
+ * @returns {Promise<{text: string, timing: object|null}>}
+ */
+const transcribeStoredAudio = async (entryId, audioPath, reportProgress) => {
+  const result = await transcribeRecording(audioPath, {
+    saved: await getTranscriptionWindows(audioPath),
+    onProgress: (window, total) => reportProgress(`part ${window} of ${total}`),
+    onTranscribed: (window) => saveTranscriptionWindow(entryId, audioPath, window),
+  });
+  await deleteTranscriptionWindows(audioPath);
+  return result;
+};
+
+/**
+ * Transcribe the turns of a conversation that were recorded while offline,
+ * then rebuild the entry's transcript from its messages if the
+ * conversation has been finished
+ * @param {object} entry - journal_entries row
+ * @param {Array<object>} messages - The entry's conversation_messages rows
+ * @param {(detail: string) => void} reportProgress - Progress within the step
+ * @returns {Promise<boolean>} - Whether the conversation has been finished
+ */
+const transcribePendingTurns = async (entry, messages, reportProgress) => {
+  let transcribed = 0;
+  let firstError = null;
+  for (const message of messages) {
+    if (message.processing_status !== ENTRY_STATUS.PENDING_TRANSCRIPTION) {
+      continue;
+    }
+    try {
+      const { text, timing } = await transcribeStoredAudio(entry.id, message.audio_path, reportProgress);
+      await setConversationMessageTranscript(message.id, text, timing);
+      message.content = text;
+      message.processing_status = ENTRY_STATUS.COMPLETE;
+      transcribed++;
+    } catch (error) {
+      // Keep going so one turn doesn't hold back the rest
+      firstError = firstError || error;
+    }
+  }
+
+  // Read the entry again: the conversation may have been finished meanwhile
+  const current = await getJournalEntry(entry.id);
+  if (transcribed > 0 && current?.transcript) {
+    await updateJournalEntry(entry.id, {
+      transcript: formatConversation(messages),
+    }, REVISION_SOURCES.TRANSCRIPTION);
+  }
+  if (firstError) {
+    throw firstError;
+  }
+  await updateJournalEntry(entry.id, {
+    processing_status: ENTRY_STATUS.COMPLETE,
+  }, REVISION_SOURCES.TRANSCRIPTION);
+  return Boolean(current?.transcript);
+};
+
+/**
+ * Work done by each step. A handler can return { skipNext: true } to hold
+ * back the step that would normally follow it.
+ */
+const stepHandlers = {
+  [JOB_STEPS.TRANSCRIBE]: async (entry, reportProgress) => {
+    if (entry.mode === JOURNAL_MODES.CONVERSATIONAL) {
+      const messages = await getConversationMessages(entry.id);
+      if (messages.length > 0) {
+        // A conversation still going is summarized once it's finished, not
+        // after each turn saved offline
+        const finished = await transcribePendingTurns(entry, messages, reportProgress);
+        return { skipNext: !finished };
+      }
+    }
+
+    if (!entry.audio_path) {
+      throw new Error('Entry has no audio to transcribe');
+    }
+    let transcript;
+    let timing;
+    try {
+      ({ text: transcript, timing } = await transcribeStoredAudio(entry.id, entry.audio_path, reportProgress));
+    } catch (error) {
+      // Show what did come through; the entry stays pending until every window is in
+      if (error.partialTranscript && entry.mode !== JOURNAL_MODES.CONVERSATIONAL) {
+        await updateJournalEntry(entry.id, {
+          transcript: error.partialTranscript,
+        }, REVISION_SOURCES.TRANSCRIPTION);
+      }
+      throw error;
+    }
+
+    if (entry.mode === JOURNAL_MODES.CONVERSATIONAL) {
+      // A conversation recorded offline becomes its own first user turn
+      await addConversationMessage(entry.id, 'user', transcript, {
+        audioPath: entry.audio_path,
+        durationMs: entry.duration_ms,
+        timing,
+      });
+      await updateJournalEntry(entry.id, {
+        transcript: formatConversation([{ role: 'user', content: transcript }]),
+        processing_status: ENTRY_STATUS.COMPLETE,
+      }, REVISION_SOURCES.TRANSCRIPTION);
+      return;
+    }
+
+    await updateJournalEntry(entry.id, {
+      transcript,
+      transcript_timing: timing ? JSON.stringify(timing) : null,
+      processing_status: ENTRY_STATUS.COMPLETE,
+    }, REVISION_SOURCES.TRANSCRIPTION);
+  },
+
+  [JOB_STEPS.SUMMARY]: async (entry) => {
+    if (entry.mode === JOURNAL_MODES.CONVERSATIONAL) {
+      const messages = await getConversationMessages(entry.id);
+      const history = messages
+        .filter(msg => msg.processing_status !== ENTRY_STATUS.PENDING_TRANSCRIPTION)
+        .map(msg => ({ role: msg.role, content: msg.content }));
+      const summary = await generateConversationSummary(history);
+      await updateJournalEntry(entry.id, { summary }, REVISION_SOURCES.LLM);
+      return;
+    }
+
+    if (!entry.transcript) {
+      throw new Error('Entry has no transcript to summarize');
+    }
+    const summary = await generateSummary(entry.transcript);
+    await updateJournalEntry(entry.id, { summary }, REVISION_SOURCES.LLM);
+  },
+
+  [JOB_STEPS.EMBEDDING]: async (entry) => {
+    const text = entry.transcript || entry.summary;
+    if (!text) {
+      throw new Error('Entry has no text to embed');
+    }
+    const model = await getEmbeddingModel();
+    const { chunks, vector } = await generateChunkEmbeddings(text);
+    await replaceEntryChunks(entry.id, chunks, model);
+    await setEntryEmbedding(entry.id, vector, model);
+
+    // File the entry into a smart folder right away; full re-clustering only
+    // happens when the clustering step detects drift
+    await assignEntryToCluster(entry.id, vector, model);
+  },
+
+  [JOB_STEPS.TOPICS]: async (entry) => {
+    const text = entry.transcript || entry.summary;
+    if (!text) {
+      throw new Error('Entry has no text to extract topics from');
+    }
+    const topics = await extractTopics(text);
+    await updateJournalEntry(entry.id, {
+      topics: JSON.stringify(topics),
+    }, REVISION_SOURCES.LLM);
+  },
+
+  [JOB_STEPS.CLUSTERING]: async () => {
+    const shouldCluster = await shouldTriggerClustering();
+    if (shouldCluster) {
+      console.log('Triggering cluster regeneration...');
+      await regenerateClusters();
+    }
+  },
+};
+
+let retryTimer = null;
+// Callbacks waiting for a job to finish, whichever run picks it up: job ID -> Set
+const jobWaiters = new Map();
+
+const notifyJobWaiters = (jobId, result) => {
+  const waiters = jobWaiters.get(jobId);
+  if (waiters) {
+    jobWaiters.delete(jobId);
+    waiters.forEach(callback => callback(result));
+  }
+};
+let drainPromise = null;
+
+/**
+ * Delay before the next attempt: 30s, 1m, 2m, 4m... capped at an hour
+ * @param {number} attempts - Attempts made so far
+ * @returns {number} - Delay in milliseconds
+ */
+const getBackoffDelay = (attempts) =>
+  Math.min(BASE_BACKOFF_MS * Math.pow(2, attempts - 1), MAX_BACKOFF_MS);
+
+/**
+ * Queue a processing step for an entry
+ * @param {number} entryId - Journal entry ID
+ * @param {string} step - One of JOB_STEPS
+ * @returns {Promise<number>} - Job ID
+ */
+export const enqueueJob = async (entryId, step) => {
+  return await createJob(entryId, step);
+};
+
+/**
+ * Re-run embedding, topic extraction and cluster assignment after an entry's
+ * text was edited. A run already going gets a fresh job behind it, and one
+ * waiting on a retry is made due now with its attempts reset, since the new
+ * text deserves a full set of its own.
+ * @param {number} entryId - Journal entry ID
+ * @returns {Promise<void>}
+ */
+export const reprocessEntry = async (entryId) => {
+  const jobId = await createJob(entryId, JOB_STEPS.EMBEDDING);
+  await updateJob(jobId, {
+    attempts: 0,
+    last_error: null,
+    next_run_at: new Date().toISOString(),
+  });
+  startQueue();
+};
+
+/**
+ * Run a single claimed job, chaining the next step on success or scheduling a retry on failure
+ * @param {object} job - processing_jobs row
+ * @param {(step: string, detail: string) => void} onProgress - Progress within the step
+ * @returns {Promise<{step: string, ok: boolean, error?: Error}>}
+ */
+const runJob = async (job, onProgress) => {
+  const attempts = job.attempts + 1;
+
+  try {
+    const entry = await getJournalEntry(job.entry_id);
+    if (!entry) {
+      // Entry was deleted while the job was waiting
+      await deleteJob(job.id);
+      return { step: job.step, ok: true };
+    }
+
+    const handler = stepHandlers[job.step];
+    if (!handler) {
+      throw new Error(`Unknown job step: ${job.step}`);
+    }
+
+    const outcome = await handler(entry, (detail) => {
+      if (onProgress) {
+        onProgress(job.step, detail);
+      }
+    });
+
+    await updateJob(job.id, {
+      status: JOB_STATUS.DONE,
+      attempts,
+      last_error: null,
+    });
+
+    const nextStep = outcome?.skipNext ? null : NEXT_STEP[job.step];
+    if (nextStep) {
+      await createJob(job.entry_id, nextStep);
+    }
+
+    return { step: job.step, ok: true };
+  } catch (error) {
+    if (isConnectivityError(error)) {
+      console.log(`Job ${job.id} (${job.step}) waiting for connection: ${error.message}`);
+      await updateJob(job.id, {
+        status: JOB_STATUS.PENDING,
+        last_error: error.message,
+        next_run_at: new Date(Date.now() + OFFLINE_RETRY_MS).toISOString(),
+      });
+      return { step: job.step, ok: false, error, offline: true };
+    }
+
+    console.error(`Job ${job.id} (${job.step}) failed on attempt ${attempts}:`, error.message);
+
+    if (attempts >= MAX_ATTEMPTS || error.retryable === false) {
+      await updateJob(job.id, {
+        status: JOB_STATUS.FAILED,
+        attempts,
+        last_error: error.message,
+      });
+    } else {
+      const nextRun = new Date(Date.now() + getBackoffDelay(attempts));
+      await updateJob(job.id, {
+        status: JOB_STATUS.PENDING,
+        attempts,
+        last_error: error.message,
+        next_run_at: nextRun.toISOString(),
+      });
+    }
+
+    return { step: job.step, ok: false, error };
+  }
+};
+
+/**
+ * Process due jobs until none are left
+ * @param {Object} options - { entryId, stopAfter, onProgress }
+ *   entryId: only process jobs for this entry
+ *   stopAfter: return once this step has run (successfully or not)
+ *   onProgress: called with the step about to run, and again with a detail
+ *     such as "part 2 of 3" as a long step moves along
+ * @returns {Promise<{completed: string[], failed: Array<{step: string, error: Error, offline: boolean}>}>}
+ */
+export const processQueue = async (options = {}) => {
+  const { entryId = null, stopAfter = null, onProgress } = options;
+  const completed = [];
+  const failed = [];
+
+  while (true) {
+    const jobs = await getDueJobs(entryId);
+    if (jobs.length === 0) {
+      break;
+    }
+
+    let ranAny = false;
+    for (const job of jobs) {
+      // Another runner may have picked this job up already
+      const claimed = await claimJob(job.id);
+      if (!claimed) {
+        continue;
+      }
+      ranAny = true;
+
+      if (onProgress) {
+        onProgress(job.step);
+      }
+
+      const result = await runJob(job, onProgress);
+      notifyJobWaiters(job.id, result);
+      if (result.ok) {
+        completed.push(result.step);
+      } else {
+        failed.push({ step: result.step, error: result.error, offline: !!result.offline });
+      }
+
+      if (stopAfter && job.step === stopAfter) {
+        return { completed, failed };
+      }
+
+      // A failure leaves later steps for this entry waiting on the retry
+      if (!result.ok && entryId !== null) {
+        return { completed, failed };
+      }
+
+      // Re-query so freshly chained steps run in order
+      break;
+    }
+
+    if (!ranAny) {
+      break;
+    }
+  }
+
+  return { completed, failed };
+};
+
+/**
+ * Register for the result of a job run by whichever runner picks it up
+ * @param {number} jobId - processing_jobs ID
+ * @returns {{finished: Promise<object>, stop: () => void}} - finished resolves
+ *   with runJob's result; stop unregisters
+ */
+const watchJob = (jobId) => {
+  let onFinished;
+  const finished = new Promise((resolve) => {
+    onFinished = resolve;
+  });
+  if (!jobWaiters.has(jobId)) {
+    jobWaiters.set(jobId, new Set());
+  }
+  jobWaiters.get(jobId).add(onFinished);
+  return { finished, stop: () => jobWaiters.get(jobId)?.delete(onFinished) };
+};
+
+/**
+ * Queue a step for an entry and run the entry's jobs until it has finished.
+ * The background queue may claim the job first, in which case this waits
+ * for that run rather than returning before the step is done. An earlier
+ * run of the step still going holds the job back until it's done.
+ * @param {number} entryId - Journal entry ID
+ * @param {string} step - One of JOB_STEPS
+ * @param {Object} options - { onProgress } as for processQueue
+ * @returns {Promise<{completed: string[], failed: Array<{step: string, error: Error, offline: boolean}>}>}
+ */
+export const runEntryStep = async (entryId, step, options = {}) => {
+  const jobId = await createJob(entryId, step);
+  const watch = watchJob(jobId);
+  let outcome = null;
+  watch.finished.then((result) => {
+    outcome = result;
+  });
+
+  try {
+    while (true) {
+      const result = await processQueue({ entryId, stopAfter: step, onProgress: options.onProgress });
+      const ranHere = result.completed.includes(step) || result.failed.some(failure => failure.step === step);
+      if (ranHere) {
+        return result;
+      }
+
+      const running = await getRunningJob(entryId, step);
+      if (!outcome && running?.id === jobId) {
+        await watch.finished;
+      } else if (!outcome && running) {
+        // Wait out the earlier run, then try again
+        const earlier = watchJob(running.id);
+        if ((await getJob(running.id))?.status === JOB_STATUS.RUNNING) {
+          await earlier.finished;
+        }
+        earlier.stop();
+        continue;
+      }
+
+      if (outcome?.ok) {
+        result.completed.push(step);
+      } else if (outcome) {
+        result.failed.push({ step, error: outcome.error, offline: !!outcome.offline });
+      }
+      return result;
+    }
+  } finally {
+    watch.stop();
+  }
+};
+
+/**
+ * Schedule the next drain for the earliest pending retry
+ * @returns {Promise<void>}
+ */
+const scheduleRetry = async () => {
+  if (retryTimer) {
+    clearTimeout(retryTimer);
+    retryTimer = null;
+  }
+
+  const nextRunAt = await getNextJobRunTime();
+  if (!nextRunAt) {
+    return;
+  }
+
+  const delay = Math.max(new Date(nextRunAt).getTime() - Date.now(), 1000);
+  retryTimer = setTimeout(() => {
+    retryTimer = null;
+    startQueue();
+  }, delay);
+};
+
+/**
+ * Drain the queue in the background. Safe to call repeatedly; concurrent calls share one run.
+ * @returns {Promise<void>}
+ */
+export const startQueue = () => {
+  if (drainPromise) {
+    return drainPromise;
+  }
+
+  drainPromise = (async () => {
+    try {
+      const { completed, failed } = await processQueue();
+      if (completed.length > 0 || failed.length > 0) {
+        console.log(`Queue drained: ${completed.length} completed, ${failed.length} failed`);
+      }
+      await scheduleRetry();
+    } catch (error) {
+      console.error('Error draining processing queue:', error);
+    } finally {
+      drainPromise = null;
+    }
+  })();
+
+  return drainPromise;
+};
+
+/**
+ * Resume work left over from a previous session. Call once on app start.
+ * @returns {Promise<void>}
+ */
+export const resumeQueue = async () => {
+  try {
+    await resetInterruptedJobs();
+    await pruneCompletedJobs();
+  } catch (error) {
+    console.error('Error resuming processing queue:', error);
+  }
+  startQueue();
+};
+
+/**
+ * Get jobs that are waiting, running or have given up
+ * @returns {Promise<Array>} - Jobs with entry name and date
+ */
+export const getOutstandingJobs = async () => {
+  return await getJobs([JOB_STATUS.PENDING, JOB_STATUS.RUNNING, JOB_STATUS.FAILED]);
+};
+
+/**
+ * Reset a job so it runs again immediately
+ * @param {number} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export const retryJob = async (jobId) => {
+  await updateJob(jobId, {
+    status: JOB_STATUS.PENDING,
+    attempts: 0,
+    next_run_at: new Date().toISOString(),
+  });
+  startQueue();
+};
+
+/**
+ * Retry every failed job
+ * @returns {Promise<void>}
+ */
+export const retryFailedJobs = async () => {
+  const failedJobs = await getJobs([JOB_STATUS.FAILED]);
+  for (const job of failedJobs) {
+    await updateJob(job.id, {
+      status: JOB_STATUS.PENDING,
+      attempts: 0,
+      next_run_at: new Date().toISOString(),
+    });
+  }
+  startQueue();
+};
+
+/**
+ * Remove a job from the queue without running it
+ * @param {number} jobId - Job ID
+ * @returns {Promise<void>}
+ */
+export const removeJob = async (jobId) => {
+  await deleteJob(jobId);
+};
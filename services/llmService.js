@@ -1,18 +1,113 @@
-import axios from 'axios';
 import * as Speech from 'expo-speech';
-import { getSetting } from './databaseService';
+import { createChatCompletion, streamChatCompletion } from './providerService';
+import { performSemanticSearch } from './searchService';
+import { getRecentSummaries } from './databaseService';
+import { LLM_TASKS } from '../utils/constants';
+import { formatConversation } from '../utils/conversation';
 
-export const sendMessageToLLM = async (message, conversationHistory = [], onChunk) => {
+const CONVERSATION_PROMPT = 'You are a straightforward conversation partner for journaling. Help the user think through their ideas by asking clarifying questions and offering direct observations. Be curious and engaged, but casual and natural - like talking to a friend who asks good questions. Keep responses concise (2-3 sentences).';
+
+// Memory mode limits. Tokens are estimated at ~4 characters each.
+const MEMORY_TOKEN_BUDGET = 1200;
+const MEMORY_RELATED_LIMIT = 5;
+const MEMORY_RECENT_LIMIT = 3;
+const MEMORY_MIN_SIMILARITY = 0.3;
+const MEMORY_ITEM_MAX_CHARS = 600;
+
+const estimateTokens = (text) => Math.ceil(text.length / 4);
+
+/**
+ * Gather past entries relevant to the current turn, within a token budget.
+ * Semantically related entries come first, then the most recent summaries.
+ * @param {string} query - Text to find related entries for (usually the latest message)
+ * @param {Object} options - { excludeEntryId, tokenBudget }
+ * @returns {Promise<{context: string, entries: Array<{id: number, date: string, name: string|null, reason: string}>}>}
+ */
+export const buildJournalMemory = async (query, options = {}) => {
+  const { excludeEntryId = null, tokenBudget = MEMORY_TOKEN_BUDGET } = options;
+
+  const [related, recent] = await Promise.all([
+    performSemanticSearch(query, null, MEMORY_RELATED_LIMIT + 1),
+    getRecentSummaries(MEMORY_RECENT_LIMIT, excludeEntryId),
+  ]);
+
+  const candidates = [
+    ...related
+      .filter(entry => entry.id !== excludeEntryId && entry.score >= MEMORY_MIN_SIMILARITY)
+      .map(entry => ({
+        entry,
+        reason: 'related',
+        text: entry.matchedPassage || entry.summary || entry.transcript || '',
+      })),
+    ...recent.map(entry => ({ entry, reason: 'recent', text: entry.summary })),
+  ];
+
+  const lines = [];
+  const entries = [];
+  const seen = new Set();
+  let usedTokens = 0;
+
+  for (const { entry, reason, text } of candidates) {
+    if (seen.has(entry.id) || !text) {
+      continue;
+    }
+
+    const date = new Date(entry.date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    });
+    const title = entry.name ? ` "${entry.name}"` : '';
+    const excerpt = text.length > MEMORY_ITEM_MAX_CHARS
+      ? `${text.substring(0, MEMORY_ITEM_MAX_CHARS)}…`
+      : text;
+    const line = `- ${date}${title}: ${excerpt}`;
+
+    const tokens = estimateTokens(line);
+    if (usedTokens + tokens > tokenBudget) {
+      continue;
+    }
+
+    usedTokens += tokens;
+    lines.push(line);
+    entries.push({ id: entry.id, date: entry.date, name: entry.name, reason });
+    seen.add(entry.id);
+  }
+
+  return { context: lines.join('\n'), entries };
+};
+
+/**
+ * Send a conversational turn and stream the reply.
+ * onChunk(token, accumulated) fires as tokens arrive. Pass options.signal (an
+ * AbortSignal) to cancel; the promise then resolves with the partial reply.
+ * With options.memory, related and recent past entries are added to the system
+ * prompt; options.onMemory(entries) reports which ones were used.
+ * options.entryId keeps the current entry out of its own memory.
+ */
+export const sendMessageToLLM = async (message, conversationHistory = [], onChunk, options = {}) => {
   try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
+    let systemPrompt = CONVERSATION_PROMPT;
+
+    if (options.memory) {
+      try {
+        const memory = await buildJournalMemory(message, { excludeEntryId: options.entryId });
+        if (memory.context) {
+          systemPrompt += `\n\nNotes from the user's earlier journal entries. Draw on them when they're relevant - mention a connection or follow up on something unresolved - but don't recite them or bring them up for their own sake:\n${memory.context}`;
+        }
+        if (options.onMemory) {
+          options.onMemory(memory.entries);
+        }
+      } catch (error) {
+        // Memory is a nice-to-have; carry on with the plain conversation
+        console.error('Error building journal memory:', error);
+      }
     }
 
     const messages = [
       {
         role: 'system',
-        content: 'You are a straightforward conversation partner for journaling. Help the user think through their ideas by asking clarifying questions and offering direct observations. Be curious and engaged, but casual and natural - like talking to a friend who asks good questions. Keep responses concise (2-3 sentences).',
+        content: systemPrompt,
       },
       ...conversationHistory,
       {
@@ -21,39 +116,12 @@ export const sendMessageToLLM = async (message, conversationHistory = [], onChun
       },
     ];
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o-mini',
-        messages: messages,
-        temperature: 0.8,
-        max_tokens: 200,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    const fullResponse = response.data.choices[0].message.content;
-
-    // Simulate streaming by chunking the response word by word
-    if (onChunk) {
-      const words = fullResponse.split(' ');
-      let accumulated = '';
-
-      for (let i = 0; i < words.length; i++) {
-        const word = i === 0 ? words[i] : ' ' + words[i];
-        accumulated += word;
-        onChunk(word, accumulated);
-        // Add a small delay to simulate streaming
-        await new Promise(resolve => setTimeout(resolve, 50));
-      }
-    }
-
-    return fullResponse;
+    return await streamChatCompletion(LLM_TASKS.CHAT, messages, {
+      temperature: 0.8,
+      maxTokens: 200,
+      onToken: onChunk,
+      signal: options.signal,
+    });
   } catch (error) {
     console.error('LLM error:', error);
     if (error.response) {
@@ -87,41 +155,22 @@ export const isSpeaking = async () => {
 
 export const generateConversationSummary = async (conversationHistory) => {
   try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
+    const formattedConversation = formatConversation(conversationHistory);
 
-    // Format conversation history
-    const formattedConversation = conversationHistory
-      .map((msg) => `${msg.role === 'user' ? 'You' : 'Assistant'}: ${msg.content}`)
-      .join('\n\n');
-
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'Summarize the journal conversation directly and naturally. Start immediately with the main topics or themes discussed. Do not use meta-phrases like "the conversation covers", "the user discusses", "this conversation", or "the entry explores". Focus on main topics, key thoughts, insights, and any realizations or action items. Write objectively. Keep it under 250 words.',
-          },
-          {
-            role: 'user',
-            content: `Summarize:\n\n${formattedConversation}`,
-          },
-        ],
-        temperature: 0.7,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
+    return await createChatCompletion(
+      LLM_TASKS.SUMMARY,
+      [
+        {
+          role: 'system',
+          content: 'Summarize the journal conversation directly and naturally. Start immediately with the main topics or themes discussed. Do not use meta-phrases like "the conversation covers", "the user discusses", "this conversation", or "the entry explores". Focus on main topics, key thoughts, insights, and any realizations or action items. Write objectively. Keep it under 250 words.',
         },
-      }
+        {
+          role: 'user',
+          content: `Summarize:\n\n${formattedConversation}`,
+        },
+      ],
+      { temperature: 0.7 }
     );
-
-    return response.data.choices[0].message.content;
   } catch (error) {
     console.error('Conversation summary error:', error);
     throw error;
@@ -0,0 +1,542 @@
+/**
+ * Versioned schema migrations.
+ *
+ * Each migration runs once, in order, inside an exclusive transaction together
+ * with the schema_version row that records it. If a migration throws, the
+ * transaction rolls back and the database stays at the last good version.
+ *
+ * To change the schema, append a migration with the next version number.
+ * Never edit or reorder a migration that has shipped.
+ */
+
+import { normalizeVector, vectorToBlob } from '../utils/vectors';
+
+/**
+ * Check whether a table has a column
+ * @param {object} db - Database or transaction handle
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @returns {Promise<boolean>}
+ */
+export const columnExists = async (db, table, column) => {
+  const columns = await db.getAllAsync(`PRAGMA table_info(${table})`);
+  return columns.some(col => col.name === column);
+};
+
+/**
+ * Add a column unless it is already there. Databases created before schema
+ * versioning may have picked up some columns through the old ad-hoc ALTERs,
+ * so the migrations that replaced those use this instead of a bare ALTER.
+ * @param {object} db - Database or transaction handle
+ * @param {string} table - Table name
+ * @param {string} column - Column name
+ * @param {string} definition - Column type and constraints
+ * @returns {Promise<void>}
+ */
+export const addColumnIfMissing = async (db, table, column, definition) => {
+  if (!(await columnExists(db, table, column))) {
+    await db.execAsync(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition};`);
+  }
+};
+
+/**
+ * Rebuild a table with a new definition, copying the listed columns across.
+ * This is SQLite's way to change constraints, rename or drop columns, or
+ * anything else ALTER TABLE can't do. Indexes and triggers on the old table
+ * are dropped with it and must be recreated by the calling migration.
+ * @param {object} db - Database or transaction handle
+ * @param {string} table - Table name
+ * @param {string} columnDefs - Body of the new CREATE TABLE statement
+ * @param {Array<string|[string, string]>} columns - Columns to copy; use [newName, sourceExpression] to rename or transform
+ * @returns {Promise<void>}
+ */
+export const rebuildTable = async (db, table, columnDefs, columns) => {
+  const tempTable = `${table}_new`;
+  const targets = columns.map(col => (Array.isArray(col) ? col[0] : col));
+  const sources = columns.map(col => (Array.isArray(col) ? col[1] : col));
+
+  await db.execAsync(`
+    DROP TABLE IF EXISTS ${tempTable};
+    CREATE TABLE ${tempTable} (${columnDefs});
+    INSERT INTO ${tempTable} (${targets.join(', ')})
+      SELECT ${sources.join(', ')} FROM ${table};
+    DROP TABLE ${table};
+    ALTER TABLE ${tempTable} RENAME TO ${table};
+  `);
+};
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    name: 'initial_schema',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS journal_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          date TEXT NOT NULL,
+          mode TEXT NOT NULL,
+          audio_path TEXT,
+          transcript TEXT,
+          summary TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS conversation_messages (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entry_id INTEGER NOT NULL,
+          role TEXT NOT NULL,
+          content TEXT NOT NULL,
+          timestamp DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE
+        );
+
+        CREATE TABLE IF NOT EXISTS settings (
+          key TEXT PRIMARY KEY,
+          value TEXT NOT NULL
+        );
+
+        CREATE TABLE IF NOT EXISTS smart_folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          type TEXT NOT NULL,
+          rules TEXT,
+          cluster_id INTEGER,
+          color TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS manual_folders (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          name TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+
+        CREATE TABLE IF NOT EXISTS folder_entries (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          folder_id INTEGER NOT NULL,
+          entry_id INTEGER NOT NULL,
+          folder_type TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+        );
+      `);
+    },
+  },
+  {
+    version: 2,
+    name: 'add_entry_name',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'journal_entries', 'name', 'TEXT');
+    },
+  },
+  {
+    version: 3,
+    name: 'add_entry_embedding_and_topics',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'journal_entries', 'embedding', 'TEXT');
+      await addColumnIfMissing(db, 'journal_entries', 'topics', 'TEXT');
+    },
+  },
+  {
+    version: 4,
+    name: 'add_entry_cluster_id',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'journal_entries', 'cluster_id', 'INTEGER');
+    },
+  },
+  {
+    version: 5,
+    name: 'create_processing_jobs',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS processing_jobs (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entry_id INTEGER NOT NULL,
+          step TEXT NOT NULL,
+          status TEXT NOT NULL DEFAULT 'pending',
+          attempts INTEGER NOT NULL DEFAULT 0,
+          last_error TEXT,
+          next_run_at TEXT,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          updated_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_processing_jobs_status
+          ON processing_jobs(status, next_run_at);
+      `);
+    },
+  },
+  {
+    version: 6,
+    name: 'add_entry_processing_status',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'journal_entries', 'processing_status', 'TEXT');
+    },
+  },
+  {
+    version: 7,
+    name: 'create_entries_fts',
+    up: async (db) => {
+      // rowid mirrors journal_entries.id; messages holds the entry's
+      // conversation_messages concatenated so chats are searchable too
+      await db.execAsync(`
+        CREATE VIRTUAL TABLE IF NOT EXISTS entries_fts USING fts5(
+          name,
+          summary,
+          topics,
+          transcript,
+          messages,
+          tokenize = 'porter unicode61'
+        );
+
+        CREATE TRIGGER IF NOT EXISTS journal_entries_fts_insert
+        AFTER INSERT ON journal_entries
+        BEGIN
+          INSERT INTO entries_fts (rowid, name, summary, topics, transcript, messages)
+          VALUES (new.id, new.name, new.summary, new.topics, new.transcript, NULL);
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS journal_entries_fts_update
+        AFTER UPDATE OF name, summary, topics, transcript ON journal_entries
+        BEGIN
+          UPDATE entries_fts
+          SET name = new.name,
+              summary = new.summary,
+              topics = new.topics,
+              transcript = new.transcript
+          WHERE rowid = new.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS journal_entries_fts_delete
+        AFTER DELETE ON journal_entries
+        BEGIN
+          DELETE FROM entries_fts WHERE rowid = old.id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS conversation_messages_fts_insert
+        AFTER INSERT ON conversation_messages
+        BEGIN
+          UPDATE entries_fts
+          SET messages = (
+            SELECT group_concat(content, ' ') FROM conversation_messages WHERE entry_id = new.entry_id
+          )
+          WHERE rowid = new.entry_id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS conversation_messages_fts_update
+        AFTER UPDATE OF content ON conversation_messages
+        BEGIN
+          UPDATE entries_fts
+          SET messages = (
+            SELECT group_concat(content, ' ') FROM conversation_messages WHERE entry_id = new.entry_id
+          )
+          WHERE rowid = new.entry_id;
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS conversation_messages_fts_delete
+        AFTER DELETE ON conversation_messages
+        BEGIN
+          UPDATE entries_fts
+          SET messages = (
+            SELECT group_concat(content, ' ') FROM conversation_messages WHERE entry_id = old.entry_id
+          )
+          WHERE rowid = old.entry_id;
+        END;
+
+        DELETE FROM entries_fts;
+        INSERT INTO entries_fts (rowid, name, summary, topics, transcript, messages)
+        SELECT
+          e.id, e.name, e.summary, e.topics, e.transcript,
+          (SELECT group_concat(m.content, ' ') FROM conversation_messages m WHERE m.entry_id = e.id)
+        FROM journal_entries e;
+      `);
+    },
+  },
+  {
+    version: 8,
+    name: 'binary_embeddings',
+    up: async (db) => {
+      await addColumnIfMissing(db, 'journal_entries', 'embedding_vector', 'BLOB');
+      await addColumnIfMissing(db, 'journal_entries', 'embedding_model', 'TEXT');
+
+      // Convert JSON text vectors to normalized Float32 BLOBs. Everything
+      // embedded so far came from the original OpenAI default model.
+      const rows = await db.getAllAsync(
+        'SELECT id, embedding FROM journal_entries WHERE embedding IS NOT NULL'
+      );
+      for (const row of rows) {
+        let vector;
+        try {
+          vector = JSON.parse(row.embedding);
+        } catch (error) {
+          // Unreadable vector; leave the entry to be re-embedded
+          continue;
+        }
+        await db.runAsync(
+          'UPDATE journal_entries SET embedding_vector = ?, embedding_model = ? WHERE id = ?',
+          [vectorToBlob(normalizeVector(vector)), 'text-embedding-3-small', row.id]
+        );
+      }
+
+      await db.execAsync('ALTER TABLE journal_entries DROP COLUMN embedding;');
+    },
+  },
+  {
+    version: 9,
+    name: 'create_entry_chunks',
+    up: async (db) => {
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS entry_chunks (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entry_id INTEGER NOT NULL,
+          chunk_index INTEGER NOT NULL,
+          text TEXT NOT NULL,
+          start_offset INTEGER NOT NULL,
+          end_offset INTEGER NOT NULL,
+          embedding_vector BLOB NOT NULL,
+          embedding_model TEXT NOT NULL,
+          FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_entry_chunks_entry
+          ON entry_chunks(entry_id);
+      `);
+    },
+  },
+  {
+    version: 10,
+    name: 'add_smart_folder_centroid',
+    up: async (db) => {
+      // Centroid of a cluster folder's entries, used to match it to the
+      // corresponding cluster when clusters are regenerated
+      await addColumnIfMissing(db, 'smart_folders', 'centroid', 'BLOB');
+      await addColumnIfMissing(db, 'smart_folders', 'centroid_model', 'TEXT');
+    },
+  },
+  {
+    version: 11,
+    name: 'add_smart_folder_parent',
+    up: async (db) => {
+      // Sub-topic cluster folders point at the theme folder they refine
+      await addColumnIfMissing(db, 'smart_folders', 'parent_id', 'INTEGER');
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_smart_folders_parent
+          ON smart_folders(parent_id);
+      `);
+    },
+  },
+  {
+    version: 12,
+    name: 'add_entry_duration',
+    up: async (db) => {
+      // Total recorded audio in milliseconds; unknown for older entries
+      await addColumnIfMissing(db, 'journal_entries', 'duration_ms', 'INTEGER');
+    },
+  },
+  {
+    version: 13,
+    name: 'create_query_embeddings',
+    up: async (db) => {
+      // Embeddings of the text queries used by "similar to" folder rules, so
+      // evaluating a rule never has to call the embedding provider
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS query_embeddings (
+          text TEXT NOT NULL,
+          model TEXT NOT NULL,
+          embedding_vector BLOB NOT NULL,
+          PRIMARY KEY (text, model)
+        );
+      `);
+    },
+  },
+  {
+    version: 14,
+    name: 'folder_entries_constraints',
+    up: async (db) => {
+      // Clear out rows the new constraints would reject: memberships of
+      // deleted entries or folders, and repeats of the same membership
+      await db.execAsync(`
+        DELETE FROM folder_entries
+        WHERE entry_id NOT IN (SELECT id FROM journal_entries)
+           OR (folder_type = 'manual' AND folder_id NOT IN (SELECT id FROM manual_folders))
+           OR (folder_type = 'smart' AND folder_id NOT IN (SELECT id FROM smart_folders));
+
+        DELETE FROM folder_entries
+        WHERE id NOT IN (
+          SELECT MIN(id) FROM folder_entries GROUP BY folder_id, entry_id, folder_type
+        );
+      `);
+
+      await rebuildTable(
+        db,
+        'folder_entries',
+        `id INTEGER PRIMARY KEY AUTOINCREMENT,
+         folder_id INTEGER NOT NULL,
+         entry_id INTEGER NOT NULL,
+         folder_type TEXT NOT NULL,
+         created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+         UNIQUE (folder_id, entry_id, folder_type),
+         FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE`,
+        ['id', 'folder_id', 'entry_id', 'folder_type', 'created_at']
+      );
+
+      // folder_id points at manual_folders or smart_folders depending on
+      // folder_type, which a foreign key can't express, so triggers cascade
+      // folder deletes instead
+      await db.execAsync(`
+        CREATE INDEX IF NOT EXISTS idx_folder_entries_entry
+          ON folder_entries(entry_id);
+
+        CREATE TRIGGER IF NOT EXISTS manual_folders_delete_entries
+        AFTER DELETE ON manual_folders
+        BEGIN
+          DELETE FROM folder_entries WHERE folder_id = old.id AND folder_type = 'manual';
+        END;
+
+        CREATE TRIGGER IF NOT EXISTS smart_folders_delete_entries
+        AFTER DELETE ON smart_folders
+        BEGIN
+          DELETE FROM folder_entries WHERE folder_id = old.id AND folder_type = 'smart';
+        END;
+      `);
+    },
+  },
+  {
+    version: 15,
+    name: 'create_entry_revisions',
+    up: async (db) => {
+      // Every change to an entry's transcript, summary, name or topics, with
+      // the value before and after, so any of them can be restored
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS entry_revisions (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entry_id INTEGER NOT NULL,
+          field TEXT NOT NULL,
+          old_value TEXT,
+          new_value TEXT,
+          source TEXT NOT NULL,
+          created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+          FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE
+        );
+
+        CREATE INDEX IF NOT EXISTS idx_entry_revisions_entry
+          ON entry_revisions(entry_id, created_at);
+      `);
+    },
+  },
+  {
+    version: 16,
+    name: 'add_message_audio',
+    up: async (db) => {
+      // The recording behind each user turn of a conversation
+      await addColumnIfMissing(db, 'conversation_messages', 'audio_path', 'TEXT');
+      await addColumnIfMissing(db, 'conversation_messages', 'duration_ms', 'INTEGER');
+
+      // Until now only the opening recording was kept, as the entry's audio;
+      // it belongs to the first user turn
+      await db.execAsync(`
+        UPDATE conversation_messages
+        SET audio_path = (
+          SELECT audio_path FROM journal_entries WHERE journal_entries.id = conversation_messages.entry_id
+        )
+        WHERE id IN (
+          SELECT MIN(id) FROM conversation_messages WHERE role = 'user' GROUP BY entry_id
+        );
+      `);
+    },
+  },
+  {
+    version: 17,
+    name: 'add_transcript_timing',
+    up: async (db) => {
+      // Segment and word timestamps from the transcription, as JSON, for
+      // following along with playback
+      await addColumnIfMissing(db, 'journal_entries', 'transcript_timing', 'TEXT');
+      await addColumnIfMissing(db, 'conversation_messages', 'transcript_timing', 'TEXT');
+    },
+  },
+  {
+    version: 18,
+    name: 'add_message_processing_status',
+    up: async (db) => {
+      // A turn recorded while offline waits here, without text, until its
+      // recording is transcribed
+      await addColumnIfMissing(db, 'conversation_messages', 'processing_status', 'TEXT');
+    },
+  },
+  {
+    version: 19,
+    name: 'create_transcription_windows',
+    up: async (db) => {
+      // Recordings too large to upload whole are transcribed in overlapping
+      // windows. Each window's transcript is kept here until the whole
+      // recording is done, so a retry only sends the windows that failed
+      await db.execAsync(`
+        CREATE TABLE IF NOT EXISTS transcription_windows (
+          id INTEGER PRIMARY KEY AUTOINCREMENT,
+          entry_id INTEGER NOT NULL,
+          audio_path TEXT NOT NULL,
+          start_ms INTEGER NOT NULL,
+          end_ms INTEGER NOT NULL,
+          transcript TEXT NOT NULL,
+          transcript_timing TEXT,
+          UNIQUE (audio_path, start_ms, end_ms),
+          FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE
+        );
+      `);
+    },
+  },
+];
+
+/**
+ * Get the version the database is currently at
+ * @param {object} db - Database handle
+ * @returns {Promise<number>} - 0 for a database that predates versioning
+ */
+export const getSchemaVersion = async (db) => {
+  const result = await db.getFirstAsync('SELECT MAX(version) as version FROM schema_version');
+  return result?.version || 0;
+};
+
+/**
+ * Apply every migration newer than the database's current version
+ * @param {object} db - Database handle
+ * @returns {Promise<number>} - Version after migrating
+ */
+export const runMigrations = async (db) => {
+  await db.execAsync(`
+    CREATE TABLE IF NOT EXISTS schema_version (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+
+  let currentVersion = await getSchemaVersion(db);
+  const pending = MIGRATIONS
+    .filter(migration => migration.version > currentVersion)
+    .sort((a, b) => a.version - b.version);
+
+  for (const migration of pending) {
+    console.log(`Applying migration ${migration.version}: ${migration.name}`);
+    try {
+      await db.withExclusiveTransactionAsync(async (txn) => {
+        await migration.up(txn);
+        await txn.runAsync(
+          'INSERT INTO schema_version (version, name) VALUES (?, ?)',
+          [migration.version, migration.name]
+        );
+      });
+    } catch (error) {
+      // The transaction has rolled back; stop here so later migrations never
+      // run on top of a half-applied schema
+      console.error(`Migration ${migration.version} (${migration.name}) failed:`, error);
+      throw new Error(
+        `Database migration ${migration.version} (${migration.name}) failed; schema left at version ${currentVersion}: ${error.message}`
+      );
+    }
+    currentVersion = migration.version;
+  }
+
+  return currentVersion;
+};
@@ -0,0 +1,504 @@
+import axios from 'axios';
+import { getSetting } from './databaseService';
+import { SETTINGS_KEYS, LLM_PROVIDERS, LLM_TASKS } from '../utils/constants';
+
+const OPENAI_BASE_URL = 'https://api.openai.com/v1';
+const ANTHROPIC_BASE_URL = 'https://api.anthropic.com/v1';
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Create an error for a provider that is missing required settings
+ * @param {string} message - Error message
+ * @returns {Error} - Error tagged with code PROVIDER_NOT_CONFIGURED
+ */
+const notConfiguredError = (message) => {
+  const error = new Error(message);
+  error.code = 'PROVIDER_NOT_CONFIGURED';
+  return error;
+};
+
+/**
+ * Default model per provider and task, used when no model is set in settings
+ */
+export const DEFAULT_MODELS = {
+  [LLM_PROVIDERS.OPENAI]: {
+    [LLM_TASKS.CHAT]: 'gpt-4o-mini',
+    [LLM_TASKS.SUMMARY]: 'gpt-4o-mini',
+    [LLM_TASKS.TOPICS]: 'gpt-4o-mini',
+    [LLM_TASKS.LABELS]: 'gpt-4o-mini',
+    [LLM_TASKS.EMBEDDING]: 'text-embedding-3-small',
+    [LLM_TASKS.TRANSCRIPTION]: 'whisper-1',
+  },
+  [LLM_PROVIDERS.OPENAI_COMPATIBLE]: {
+    [LLM_TASKS.CHAT]: 'gpt-4o-mini',
+    [LLM_TASKS.SUMMARY]: 'gpt-4o-mini',
+    [LLM_TASKS.TOPICS]: 'gpt-4o-mini',
+    [LLM_TASKS.LABELS]: 'gpt-4o-mini',
+    [LLM_TASKS.EMBEDDING]: 'text-embedding-3-small',
+    [LLM_TASKS.TRANSCRIPTION]: 'whisper-1',
+  },
+  [LLM_PROVIDERS.ANTHROPIC]: {
+    [LLM_TASKS.CHAT]: 'claude-haiku-4-5',
+    [LLM_TASKS.SUMMARY]: 'claude-haiku-4-5',
+    [LLM_TASKS.TOPICS]: 'claude-haiku-4-5',
+    [LLM_TASKS.LABELS]: 'claude-haiku-4-5',
+  },
+};
+
+const MODEL_SETTING_KEYS = {
+  [LLM_TASKS.CHAT]: SETTINGS_KEYS.MODEL_CHAT,
+  [LLM_TASKS.SUMMARY]: SETTINGS_KEYS.MODEL_SUMMARY,
+  [LLM_TASKS.TOPICS]: SETTINGS_KEYS.MODEL_TOPICS,
+  [LLM_TASKS.LABELS]: SETTINGS_KEYS.MODEL_LABELS,
+  [LLM_TASKS.EMBEDDING]: SETTINGS_KEYS.MODEL_EMBEDDING,
+  [LLM_TASKS.TRANSCRIPTION]: SETTINGS_KEYS.MODEL_TRANSCRIPTION,
+};
+
+/**
+ * Get the settings key holding the model for a task
+ * @param {string} task - One of LLM_TASKS
+ * @returns {string} - Settings key
+ */
+export const getModelSettingKey = (task) => MODEL_SETTING_KEYS[task];
+
+/**
+ * Resolve which provider handles a task
+ * @param {string} task - One of LLM_TASKS
+ * @returns {Promise<string>} - One of LLM_PROVIDERS
+ */
+export const getProviderForTask = async (task) => {
+  let key = SETTINGS_KEYS.LLM_PROVIDER;
+  if (task === LLM_TASKS.EMBEDDING) {
+    key = SETTINGS_KEYS.EMBEDDING_PROVIDER;
+  } else if (task === LLM_TASKS.TRANSCRIPTION) {
+    key = SETTINGS_KEYS.TRANSCRIPTION_PROVIDER;
+  }
+
+  const provider = await getSetting(key);
+  return provider || LLM_PROVIDERS.OPENAI;
+};
+
+/**
+ * Resolve the model to use for a task, falling back to the provider default
+ * @param {string} task - One of LLM_TASKS
+ * @param {string} provider - One of LLM_PROVIDERS
+ * @returns {Promise<string>} - Model name
+ */
+export const getModelForTask = async (task, provider) => {
+  const configured = await getSetting(getModelSettingKey(task));
+  if (configured) {
+    return configured;
+  }
+
+  const model = DEFAULT_MODELS[provider]?.[task];
+  if (!model) {
+    throw notConfiguredError(`No model configured for ${task} with provider ${provider}`);
+  }
+  return model;
+};
+
+/**
+ * Whether an error means the service could not be used at all (no credentials,
+ * no connectivity) rather than that it rejected the request
+ * @param {Error} error - Error thrown by a provider call
+ * @returns {boolean}
+ */
+export const isConnectivityError = (error) => {
+  if (!error) {
+    return false;
+  }
+  if (error.code === 'PROVIDER_NOT_CONFIGURED') {
+    return true;
+  }
+  // axios sets `request` but no `response` when nothing came back
+  if (error.isAxiosError && !error.response) {
+    return true;
+  }
+  return error.message === 'Network Error' || error.message === 'Network error while streaming response';
+};
+
+/**
+ * Load base URL and credentials for a provider
+ * @param {string} provider - One of LLM_PROVIDERS
+ * @returns {Promise<{baseUrl: string, apiKey: string|null}>}
+ */
+export const getProviderConfig = async (provider) => {
+  switch (provider) {
+    case LLM_PROVIDERS.ANTHROPIC: {
+      const apiKey = await getSetting(SETTINGS_KEYS.ANTHROPIC_API_KEY);
+      if (!apiKey) {
+        throw notConfiguredError('Anthropic API key not configured');
+      }
+      return { baseUrl: ANTHROPIC_BASE_URL, apiKey };
+    }
+
+    case LLM_PROVIDERS.OPENAI_COMPATIBLE: {
+      const baseUrl = await getSetting(SETTINGS_KEYS.OPENAI_COMPATIBLE_BASE_URL);
+      if (!baseUrl) {
+        throw notConfiguredError('OpenAI-compatible base URL not configured');
+      }
+      // Local servers usually don't need a key
+      const apiKey = await getSetting(SETTINGS_KEYS.OPENAI_COMPATIBLE_API_KEY);
+      return { baseUrl: baseUrl.replace(/\/+$/, ''), apiKey };
+    }
+
+    case LLM_PROVIDERS.OPENAI:
+    default: {
+      const apiKey = await getSetting(SETTINGS_KEYS.OPENAI_API_KEY);
+      if (!apiKey) {
+        throw notConfiguredError('OpenAI API key not configured');
+      }
+      return { baseUrl: OPENAI_BASE_URL, apiKey };
+    }
+  }
+};
+
+/**
+ * Check whether the provider for a task has the settings it needs
+ * @param {string} task - One of LLM_TASKS
+ * @returns {Promise<boolean>}
+ */
+export const isTaskConfigured = async (task) => {
+  try {
+    const provider = await getProviderForTask(task);
+    await getProviderConfig(provider);
+    await getModelForTask(task, provider);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+const buildOpenAIHeaders = (apiKey, contentType = 'application/json') => {
+  const headers = { 'Content-Type': contentType };
+  if (apiKey) {
+    headers['Authorization'] = `Bearer ${apiKey}`;
+  }
+  return headers;
+};
+
+const buildAnthropicHeaders = (apiKey) => ({
+  'x-api-key': apiKey,
+  'anthropic-version': ANTHROPIC_VERSION,
+  'Content-Type': 'application/json',
+});
+
+/**
+ * Split OpenAI-style messages into Anthropic's separate system prompt and turns
+ * @param {Array<{role: string, content: string}>} messages - Chat messages
+ * @returns {{system: string, messages: Array}} - Anthropic request fields
+ */
+const toAnthropicMessages = (messages) => {
+  const system = messages
+    .filter(msg => msg.role === 'system')
+    .map(msg => msg.content)
+    .join('\n\n');
+  const turns = messages
+    .filter(msg => msg.role !== 'system')
+    .map(msg => ({ role: msg.role, content: msg.content }));
+
+  return { system, messages: turns };
+};
+
+/**
+ * Send a chat completion request to the provider configured for a task
+ * @param {string} task - One of LLM_TASKS
+ * @param {Array<{role: string, content: string}>} messages - Chat messages, OpenAI format
+ * @param {Object} options - { temperature, maxTokens }
+ * @returns {Promise<string>} - Completion text
+ */
+export const createChatCompletion = async (task, messages, options = {}) => {
+  const { temperature = 0.7, maxTokens } = options;
+  const provider = await getProviderForTask(task);
+  const { baseUrl, apiKey } = await getProviderConfig(provider);
+  const model = await getModelForTask(task, provider);
+
+  if (provider === LLM_PROVIDERS.ANTHROPIC) {
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    const response = await axios.post(
+      `${baseUrl}/messages`,
+      {
+        model,
+        system: system || undefined,
+        messages: turns,
+        temperature,
+        // Anthropic requires max_tokens on every request
+        max_tokens: maxTokens || 1024,
+      },
+      { headers: buildAnthropicHeaders(apiKey) }
+    );
+
+    return response.data.content
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join('');
+  }
+
+  const body = { model, messages, temperature };
+  if (maxTokens) {
+    body.max_tokens = maxTokens;
+  }
+
+  const response = await axios.post(
+    `${baseUrl}/chat/completions`,
+    body,
+    { headers: buildOpenAIHeaders(apiKey) }
+  );
+
+  return response.data.choices[0].message.content;
+};
+
+/**
+ * POST a request and feed each server-sent `data:` payload to onEvent as it arrives.
+ * Uses XMLHttpRequest because React Native's fetch and axios buffer the whole body.
+ * @param {Object} request - { url, headers, body, signal, onEvent }
+ * @returns {Promise<string>} - Raw response text
+ */
+const postEventStream = ({ url, headers, body, signal, onEvent }) =>
+  new Promise((resolve, reject) => {
+    const xhr = new XMLHttpRequest();
+    let offset = 0;
+    let buffer = '';
+    let failed = false;
+
+    const dispatch = (data) => {
+      try {
+        onEvent(data);
+      } catch (error) {
+        // An error event inside the stream ends the request
+        failed = true;
+        reject(error);
+        xhr.abort();
+      }
+    };
+
+    const flush = () => {
+      const text = xhr.responseText || '';
+      buffer += text.substring(offset);
+      offset = text.length;
+
+      // Keep the trailing partial line for the next progress event
+      const lines = buffer.split('\n');
+      buffer = lines.pop();
+      for (const line of lines) {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('data:') && !failed) {
+          dispatch(trimmed.slice(5).trim());
+        }
+      }
+    };
+
+    xhr.open('POST', url);
+    Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value));
+
+    xhr.onprogress = flush;
+    xhr.onload = () => {
+      if (xhr.status >= 400) {
+        const error = new Error(`Request failed with status code ${xhr.status}`);
+        error.response = { status: xhr.status, data: xhr.responseText };
+        reject(error);
+        return;
+      }
+      flush();
+      if (buffer.trim().startsWith('data:') && !failed) {
+        dispatch(buffer.trim().slice(5).trim());
+      }
+      resolve(xhr.responseText || '');
+    };
+    xhr.onerror = () => reject(new Error('Network error while streaming response'));
+    xhr.onabort = () => resolve(xhr.responseText || '');
+
+    if (signal) {
+      if (signal.aborted) {
+        resolve('');
+        return;
+      }
+      signal.addEventListener('abort', () => xhr.abort());
+    }
+
+    xhr.send(JSON.stringify(body));
+  });
+
+/**
+ * Stream a chat completion, calling onToken for every text delta as it arrives.
+ * Aborting through options.signal stops the request and resolves with the text so far.
+ * @param {string} task - One of LLM_TASKS
+ * @param {Array<{role: string, content: string}>} messages - Chat messages, OpenAI format
+ * @param {Object} options - { temperature, maxTokens, onToken, signal }
+ * @returns {Promise<string>} - Completion text (partial if aborted)
+ */
+export const streamChatCompletion = async (task, messages, options = {}) => {
+  const { temperature = 0.7, maxTokens, onToken, signal } = options;
+  const provider = await getProviderForTask(task);
+  const { baseUrl, apiKey } = await getProviderConfig(provider);
+  const model = await getModelForTask(task, provider);
+
+  let accumulated = '';
+  let receivedEvents = false;
+
+  const emit = (token) => {
+    if (!token) {
+      return;
+    }
+    accumulated += token;
+    if (onToken) {
+      onToken(token, accumulated);
+    }
+  };
+
+  const handleEvent = (data) => {
+    if (!data || data === '[DONE]') {
+      return;
+    }
+
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      console.warn('Skipping malformed stream event:', data);
+      return;
+    }
+    receivedEvents = true;
+
+    if (provider === LLM_PROVIDERS.ANTHROPIC) {
+      if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+        emit(event.delta.text);
+      } else if (event.type === 'error') {
+        throw new Error(event.error?.message || 'Anthropic stream error');
+      }
+      return;
+    }
+
+    emit(event.choices?.[0]?.delta?.content);
+  };
+
+  let url;
+  let headers;
+  let body;
+
+  if (provider === LLM_PROVIDERS.ANTHROPIC) {
+    const { system, messages: turns } = toAnthropicMessages(messages);
+    url = `${baseUrl}/messages`;
+    headers = buildAnthropicHeaders(apiKey);
+    body = {
+      model,
+      system: system || undefined,
+      messages: turns,
+      temperature,
+      max_tokens: maxTokens || 1024,
+      stream: true,
+    };
+  } else {
+    url = `${baseUrl}/chat/completions`;
+    headers = buildOpenAIHeaders(apiKey);
+    body = { model, messages, temperature, stream: true };
+    if (maxTokens) {
+      body.max_tokens = maxTokens;
+    }
+  }
+
+  const rawResponse = await postEventStream({ url, headers, body, signal, onEvent: handleEvent });
+
+  // Some compatible servers ignore `stream` and answer with a plain completion
+  if (!receivedEvents && !signal?.aborted && rawResponse.trim().startsWith('{')) {
+    const data = JSON.parse(rawResponse);
+    const text = provider === LLM_PROVIDERS.ANTHROPIC
+      ? data.content.filter(block => block.type === 'text').map(block => block.text).join('')
+      : data.choices[0].message.content;
+    emit(text);
+  }
+
+  return accumulated;
+};
+
+/**
+ * Name of the model new embeddings are generated with. Stored alongside each
+ * vector so vectors from different models are never compared.
+ * @returns {Promise<string>} - Model name
+ */
+export const getEmbeddingModel = async () => {
+  const provider = await getProviderForTask(LLM_TASKS.EMBEDDING);
+  return await getModelForTask(LLM_TASKS.EMBEDDING, provider);
+};
+
+/**
+ * Generate an embedding with the configured embedding provider
+ * @param {string} input - Text to embed
+ * @returns {Promise<number[]>} - Embedding vector
+ */
+export const createEmbedding = async (input) => {
+  const provider = await getProviderForTask(LLM_TASKS.EMBEDDING);
+  if (provider === LLM_PROVIDERS.ANTHROPIC) {
+    throw new Error('Anthropic does not provide embeddings; choose another embedding provider');
+  }
+
+  const { baseUrl, apiKey } = await getProviderConfig(provider);
+  const model = await getModelForTask(LLM_TASKS.EMBEDDING, provider);
+
+  const response = await axios.post(
+    `${baseUrl}/embeddings`,
+    { model, input },
+    { headers: buildOpenAIHeaders(apiKey) }
+  );
+
+  return response.data.data[0].embedding;
+};
+
+/**
+ * Transcribe an audio file with the configured transcription provider.
+ * Whisper models also return segment and word timestamps; other models
+ * (gpt-4o-transcribe and most compatible servers' defaults) only support
+ * plain JSON, so their timing is null.
+ * @param {string} audioUri - Local file URI
+ * @param {Object} options - { prompt }
+ *   prompt: text said just before this audio, to carry spelling and context across parts
+ * @returns {Promise<{text: string, timing: object|null}>} - Transcript text and
+ *   { duration, segments: [{start, end, text}], words: [{word, start, end}] } in seconds
+ */
+export const createTranscription = async (audioUri, options = {}) => {
+  const provider = await getProviderForTask(LLM_TASKS.TRANSCRIPTION);
+  if (provider === LLM_PROVIDERS.ANTHROPIC) {
+    throw new Error('Anthropic does not provide transcription; choose another transcription provider');
+  }
+
+  const { baseUrl, apiKey } = await getProviderConfig(provider);
+  const model = await getModelForTask(LLM_TASKS.TRANSCRIPTION, provider);
+
+  const formData = new FormData();
+  formData.append('file', {
+    uri: audioUri,
+    name: audioUri.split('/').pop(),
+    type: 'audio/m4a',
+  });
+  formData.append('model', model);
+  if (options.prompt) {
+    formData.append('prompt', options.prompt);
+  }
+
+  const withTimestamps = model.includes('whisper');
+  if (withTimestamps) {
+    formData.append('response_format', 'verbose_json');
+    formData.append('timestamp_granularities[]', 'segment');
+    formData.append('timestamp_granularities[]', 'word');
+  }
+
+  const response = await axios.post(
+    `${baseUrl}/audio/transcriptions`,
+    formData,
+    { headers: buildOpenAIHeaders(apiKey, 'multipart/form-data') }
+  );
+
+  const { text, duration, segments, words } = response.data;
+  if (!withTimestamps || !Array.isArray(segments)) {
+    return { text, timing: null };
+  }
+
+  return {
+    text,
+    timing: {
+      duration: duration ?? null,
+      segments: segments.map(({ start, end, text: segmentText }) => ({ start, end, text: segmentText })),
+      words: Array.isArray(words) ? words.map(({ word, start, end }) => ({ word, start, end })) : [],
+    },
+  };
+};
@@ -1,5 +1,24 @@
-import { generateEmbedding, cosineSimilarity } from './embeddingsService';
-import { getDatabase } from './databaseService';
+import { generateEmbedding } from './embeddingsService';
+import {
+  getDatabase,
+  searchEntriesFullText,
+  getEntryIdsMatching,
+  getJournalEntriesByIds,
+  getChunksByIds,
+  hasQueryEmbedding,
+  setQueryEmbedding,
+  getSmartFolders,
+} from './databaseService';
+import { getEmbeddingModel } from './providerService';
+import { searchVectorIndex } from './vectorIndexService';
+import {
+  parseSearchQuery,
+  buildFtsQuery,
+  buildExclusionQuery,
+  getSemanticText,
+} from '../utils/searchQuery';
+import { normalizeRules, collectConditions } from '../utils/ruleQuery';
+import { RULE_FIELDS, SMART_FOLDER_TYPES } from '../utils/constants';
 
 /**
  * Search modes
@@ -22,58 +41,27 @@ const DEFAULT_CONFIG = {
 };
 
 /**
- * Perform keyword-based search across entries
+ * Perform keyword-based search across entries using the full-text index.
+ * Supports "quoted phrases", prefix* and -exclusions.
  * @param {string} query - Search query
- * @returns {Promise<Array>} - Matching entries with scores
+ * @param {number} limit - Maximum number of matches
+ * @returns {Promise<Array>} - Matching entries with scores and snippets
  */
-export const performKeywordSearch = async (query) => {
-  if (!query || query.trim().length === 0) {
+export const performKeywordSearch = async (query, limit = DEFAULT_CONFIG.maxResults) => {
+  const matchQuery = buildFtsQuery(parseSearchQuery(query));
+  if (!matchQuery) {
     return [];
   }
 
   try {
-    const db = getDatabase();
-    const searchTerm = `%${query.toLowerCase()}%`;
-
-    // Search across transcript, summary, name, and topics
-    const results = await db.getAllAsync(
-      `SELECT
-        id,
-        date,
-        mode,
-        transcript,
-        summary,
-        name,
-        topics,
-        embedding,
-        cluster_id,
-        created_at,
-        CASE
-          WHEN LOWER(name) LIKE ? THEN 4
-          WHEN LOWER(summary) LIKE ? THEN 3
-          WHEN LOWER(topics) LIKE ? THEN 2
-          WHEN LOWER(transcript) LIKE ? THEN 1
-          ELSE 0
-        END as match_score
-       FROM journal_entries
-       WHERE
-         LOWER(transcript) LIKE ? OR
-         LOWER(summary) LIKE ? OR
-         LOWER(name) LIKE ? OR
-         LOWER(topics) LIKE ?
-       ORDER BY match_score DESC, created_at DESC`,
-      [
-        searchTerm, searchTerm, searchTerm, searchTerm,
-        searchTerm, searchTerm, searchTerm, searchTerm
-      ]
-    );
+    const results = await searchEntriesFullText(matchQuery, limit);
 
-    // Normalize scores to 0-1 range
-    const maxScore = results.length > 0 ? Math.max(...results.map(r => r.match_score)) : 1;
+    // bm25 is negative with lower meaning better; scale so the best match is 1
+    const bestRank = results.length > 0 ? Math.min(...results.map(r => r.rank)) : -1;
 
     return results.map(entry => ({
       ...entry,
-      score: entry.match_score / maxScore,
+      score: bestRank < 0 ? entry.rank / bestRank : 1,
       searchType: 'keyword',
     }));
   } catch (error) {
@@ -86,10 +74,13 @@ export const performKeywordSearch = async (query) => {
  * Perform semantic search using embeddings
  * @param {string} query - Search query
  * @param {number[]} queryEmbedding - Pre-computed query embedding (optional)
+ * @param {number} limit - Maximum number of matches
  * @returns {Promise<Array>} - Matching entries with similarity scores
  */
-export const performSemanticSearch = async (query, queryEmbedding = null) => {
-  if (!query || query.trim().length === 0) {
+export const performSemanticSearch = async (query, queryEmbedding = null, limit = DEFAULT_CONFIG.maxResults) => {
+  const terms = parseSearchQuery(query);
+  const semanticText = getSemanticText(terms);
+  if (semanticText.trim().length === 0) {
     return [];
   }
 
@@ -97,35 +88,36 @@ export const performSemanticSearch = async (query, queryEmbedding = null) => {
     // Generate embedding for query if not provided
     let embedding = queryEmbedding;
     if (!embedding) {
-      embedding = await generateEmbedding(query);
+      embedding = await generateEmbedding(semanticText);
     }
 
-    // Get all entries with embeddings
-    const db = getDatabase();
-    const entries = await db.getAllAsync(
-      'SELECT * FROM journal_entries WHERE embedding IS NOT NULL ORDER BY created_at DESC'
-    );
+    // Semantic similarity can't express "-word", so drop entries that contain an excluded term
+    const exclusionQuery = buildExclusionQuery(terms);
+    const excludedIds = exclusionQuery ? new Set(await getEntryIdsMatching(exclusionQuery)) : null;
 
-    if (entries.length === 0) {
+    // Only compare against vectors from the model the query was embedded with
+    const model = await getEmbeddingModel();
+    const matches = await searchVectorIndex(embedding, model, limit, excludedIds);
+    if (matches.length === 0) {
       return [];
     }
 
-    // Calculate similarity scores
-    const results = entries.map(entry => {
-      const entryEmbedding = JSON.parse(entry.embedding);
-      const similarity = cosineSimilarity(embedding, entryEmbedding);
-
-      return {
-        ...entry,
-        score: similarity,
-        searchType: 'semantic',
-      };
-    });
+    const entries = await getJournalEntriesByIds(matches.map(match => match.id));
+    const entriesById = new Map(entries.map(entry => [entry.id, entry]));
 
-    // Sort by similarity score (descending)
-    results.sort((a, b) => b.score - a.score);
+    // Passage that matched, so results can show why the entry came up
+    const chunkIds = matches.map(match => match.chunkId).filter(id => id !== null);
+    const chunks = await getChunksByIds(chunkIds);
+    const chunksById = new Map(chunks.map(chunk => [chunk.id, chunk]));
 
-    return results;
+    return matches
+      .filter(match => entriesById.has(match.id))
+      .map(match => ({
+        ...entriesById.get(match.id),
+        score: match.score,
+        matchedPassage: chunksById.get(match.chunkId)?.text || null,
+        searchType: 'semantic',
+      }));
   } catch (error) {
     console.error('Semantic search error:', error);
     return [];
@@ -160,6 +152,7 @@ export const combineResults = (semanticResults, keywordResults, semanticWeight,
     if (resultsMap.has(result.id)) {
       const existing = resultsMap.get(result.id);
       existing.keywordScore = result.score;
+      existing.snippet = result.snippet;
       existing.combinedScore = (existing.semanticScore * semanticWeight) + (result.score * keywordWeight);
       existing.matchTypes.push('keyword');
     } else {
@@ -199,13 +192,13 @@ export const searchEntries = async (query, options = {}) => {
     switch (config.mode) {
       case SEARCH_MODES.SEMANTIC:
         // Semantic search only
-        results = await performSemanticSearch(query);
+        results = await performSemanticSearch(query, null, config.maxResults);
         results = results.map(r => ({ ...r, combinedScore: r.score }));
         break;
 
       case SEARCH_MODES.KEYWORD:
         // Keyword search only
-        results = await performKeywordSearch(query);
+        results = await performKeywordSearch(query, config.maxResults);
         results = results.map(r => ({ ...r, combinedScore: r.score }));
         break;
 
@@ -213,8 +206,8 @@ export const searchEntries = async (query, options = {}) => {
       default:
         // Hybrid: both semantic and keyword
         const [semanticResults, keywordResults] = await Promise.all([
-          performSemanticSearch(query),
-          performKeywordSearch(query),
+          performSemanticSearch(query, null, config.maxResults),
+          performKeywordSearch(query, config.maxResults),
         ]);
 
         results = combineResults(
@@ -275,6 +268,68 @@ export const searchEntriesWithFilters = async (query, filters = {}, options = {}
   return results;
 };
 
+/**
+ * Embed the text queries of a rule folder's "similar to" conditions with the
+ * current model, skipping those already saved. Nothing is stored, so a
+ * preview can count matches for half-typed text without leaving it behind;
+ * saveRuleQueries stores the vectors once the folder is saved.
+ * @param {object} rules - Rules, either format
+ * @param {Map} cache - Vectors from earlier calls by text, reused while the
+ *   model is unchanged; new ones are added to it (optional)
+ * @returns {Promise<Map<string, {model: string, vector: number[]}>>} - Unsaved query vectors by text
+ */
+export const embedRuleQueries = async (rules, cache = new Map()) => {
+  const embedded = new Map();
+  const conditions = collectConditions(normalizeRules(rules), RULE_FIELDS.SIMILAR_TO)
+    .filter(condition => condition.value?.text);
+  if (conditions.length === 0) {
+    return embedded;
+  }
+
+  const model = await getEmbeddingModel();
+  for (const { value: { text } } of conditions) {
+    if (embedded.has(text) || await hasQueryEmbedding(text, model)) {
+      continue;
+    }
+    let query = cache.get(text);
+    if (query?.model !== model) {
+      query = { model, vector: await generateEmbedding(text) };
+      cache.set(text, query);
+    }
+    embedded.set(text, query);
+  }
+  return embedded;
+};
+
+/**
+ * Store query vectors from embedRuleQueries for a folder being saved
+ * @param {Map<string, {model: string, vector: number[]}>} queries - Query vectors by text
+ * @returns {Promise<void>}
+ */
+export const saveRuleQueries = async (queries) => {
+  for (const [text, { model, vector }] of queries) {
+    await setQueryEmbedding(text, vector, model);
+  }
+};
+
+/**
+ * Embed the "similar to" text of every rule folder with the current model.
+ * References are only compared with entries embedded by the same model, so
+ * without this a folder matches nothing after the model changes.
+ * @returns {Promise<number>} - Queries embedded
+ */
+export const embedSavedRuleQueries = async () => {
+  const folders = (await getSmartFolders())
+    .filter(folder => folder.type === SMART_FOLDER_TYPES.RULE && folder.rules);
+  let embedded = 0;
+  for (const folder of folders) {
+    const queries = await embedRuleQueries(folder.rules);
+    await saveRuleQueries(queries);
+    embedded += queries.size;
+  }
+  return embedded;
+};
+
 /**
  * Get search suggestions based on topics
  * @returns {Promise<Array>} - Array of suggested search terms
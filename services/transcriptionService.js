@@ -1,43 +1,40 @@
-import axios from 'axios';
-import * as FileSystem from 'expo-file-system/legacy';
-import { getSetting } from './databaseService';
+import { createChatCompletion, createTranscription } from './providerService';
+import {
+  getAudioFileSize,
+  readAudioTrack,
+  createAudioWindow,
+  deleteAudioFile,
+} from './audioService';
+import { LLM_TASKS } from '../utils/constants';
+import { planWindows, promptFromPrevious, mergeWindowTranscripts } from '../utils/transcriptStitching';
 
-export const transcribeAudio = async (audioUri) => {
-  try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
-    }
-
-    // Read the audio file
-    const audioFile = await FileSystem.readAsStringAsync(audioUri, {
-      encoding: FileSystem.EncodingType.Base64,
-    });
-
-    // Get file info for the filename
-    const fileName = audioUri.split('/').pop();
+// Largest file the transcription endpoint accepts
+const MAX_UPLOAD_BYTES = 25 * 1024 * 1024;
 
-    // Create form data
-    const formData = new FormData();
-    formData.append('file', {
-      uri: audioUri,
-      name: fileName,
-      type: 'audio/m4a',
-    });
-    formData.append('model', 'whisper-1');
+// Recordings over the limit are sent in windows of at most this long, or
+// this many bytes at the recording's bitrate, whichever is shorter
+const WINDOW_MS = 10 * 60 * 1000;
+const WINDOW_BYTES = 20 * 1024 * 1024;
+// Neighbouring windows share this much audio, so no word is lost at a join
+const WINDOW_OVERLAP_MS = 5000;
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/audio/transcriptions',
-      formData,
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'multipart/form-data',
-        },
-      }
-    );
+// An error retrying won't fix, so the job queue gives up on it straight away
+const permanentError = (message) => {
+  const error = new Error(message);
+  error.retryable = false;
+  return error;
+};
 
-    return response.data.text;
+// Resolves to { text, timing }; timing is null when the model gives no timestamps
+export const transcribeAudio = async (audioUri, options = {}) => {
+  try {
+    const size = await getAudioFileSize(audioUri);
+    if (size > MAX_UPLOAD_BYTES) {
+      throw permanentError(
+        `Recording is ${(size / 1024 / 1024).toFixed(1)} MB; transcription accepts up to 25 MB`
+      );
+    }
+    return await createTranscription(audioUri, options);
   } catch (error) {
     console.error('Transcription error:', error);
     if (error.response) {
@@ -47,38 +44,100 @@ export const transcribeAudio = async (audioUri) => {
   }
 };
 
-export const generateSummary = async (transcript) => {
+/**
+ * Transcribe a recording of any length. One that fits the upload limit is
+ * sent whole; a longer one is cut into overlapping windows, sent one after
+ * another so each can be prompted with the text before it, and stitched
+ * back together with the overlaps removed.
+ * @param {string} audioUri - File URI of the recording
+ * @param {Object} options - { saved, onProgress, onTranscribed }
+ *   saved: transcription_windows rows from an earlier attempt; those windows aren't sent again
+ *   onProgress: called with (window, total) before each window is sent
+ *   onTranscribed: awaited with { startMs, endMs, transcript, timing } as each window finishes, to keep it
+ * @returns {Promise<{text: string, timing: object|null}>}
+ * @throws The first window's error once every window has been tried; the
+ *   error carries partialTranscript when some windows did succeed
+ */
+export const transcribeRecording = async (audioUri, options = {}) => {
+  const { saved = [], onProgress, onTranscribed } = options;
+  const size = await getAudioFileSize(audioUri);
+  if (size <= MAX_UPLOAD_BYTES) {
+    return await transcribeAudio(audioUri);
+  }
+
+  let track;
   try {
-    const apiKey = await getSetting('openai_api_key');
-    if (!apiKey) {
-      throw new Error('OpenAI API key not configured');
+    track = await readAudioTrack(audioUri);
+  } catch (error) {
+    throw permanentError(`Recording is too large to send whole and couldn't be split: ${error.message}`);
+  }
+  const windowMs = Math.min(WINDOW_MS, Math.floor(WINDOW_BYTES / (size / track.durationMs)));
+  const windows = planWindows(track.durationMs, windowMs, WINDOW_OVERLAP_MS).map((window) => {
+    const done = saved.find(row =>
+      row.start_ms === Math.round(window.startMs) && row.end_ms === Math.round(window.endMs));
+    return {
+      ...window,
+      transcript: done ? done.transcript : null,
+      timing: done?.transcript_timing ? JSON.parse(done.transcript_timing) : null,
+    };
+  });
+
+  let firstError = null;
+  for (let i = 0; i < windows.length; i++) {
+    if (windows[i].transcript !== null) {
+      continue;
+    }
+    if (onProgress) {
+      onProgress(i + 1, windows.length);
     }
 
-    const response = await axios.post(
-      'https://api.openai.com/v1/chat/completions',
-      {
-        model: 'gpt-4o-mini',
-        messages: [
-          {
-            role: 'system',
-            content: 'Create a concise summary of the journal entry. Write in a direct, natural style starting immediately with the main theme or content. Do not use meta-phrases like "this entry", "the user", "this journal", or "the author". Focus on main themes, emotions, and key insights. Keep summaries under 200 words.',
-          },
-          {
-            role: 'user',
-            content: `Summarize:\n\n${transcript}`,
-          },
-        ],
-        temperature: 0.7,
-      },
-      {
-        headers: {
-          'Authorization': `Bearer ${apiKey}`,
-          'Content-Type': 'application/json',
-        },
+    let windowUri = null;
+    try {
+      windowUri = await createAudioWindow(audioUri, track, windows[i].startMs, windows[i].endMs);
+      const { text, timing } = await transcribeAudio(windowUri, {
+        prompt: promptFromPrevious(windows[i - 1], windows[i].startMs),
+      });
+      windows[i] = { ...windows[i], transcript: text.trim(), timing };
+      if (onTranscribed) {
+        await onTranscribed(windows[i]);
       }
-    );
+    } catch (error) {
+      // Keep going so one bad window doesn't hold back the rest
+      console.error(`Transcribing window ${i + 1} of ${windows.length} failed:`, error.message);
+      firstError = firstError || error;
+    } finally {
+      if (windowUri) {
+        await deleteAudioFile(windowUri).catch(() => {});
+      }
+    }
+  }
 
-    return response.data.choices[0].message.content;
+  const merged = mergeWindowTranscripts(windows);
+  if (firstError) {
+    if (windows.some(window => window.transcript !== null)) {
+      firstError.partialTranscript = merged.text;
+    }
+    throw firstError;
+  }
+  return merged;
+};
+
+export const generateSummary = async (transcript) => {
+  try {
+    return await createChatCompletion(
+      LLM_TASKS.SUMMARY,
+      [
+        {
+          role: 'system',
+          content: 'Create a concise summary of the journal entry. Write in a direct, natural style starting immediately with the main theme or content. Do not use meta-phrases like "this entry", "the user", "this journal", or "the author". Focus on main themes, emotions, and key insights. Keep summaries under 200 words.',
+        },
+        {
+          role: 'user',
+          content: `Summarize:\n\n${transcript}`,
+        },
+      ],
+      { temperature: 0.7 }
+    );
   } catch (error) {
     console.error('Summary generation error:', error);
     throw error;
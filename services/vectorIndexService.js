@@ -0,0 +1,158 @@
+import { getSearchVectors, getEmbeddingsVersion } from './databaseService';
+import { normalizeVector } from '../utils/vectors';
+
+/**
+ * In-memory index of entry embeddings for one embedding model. Rows are
+ * chunk vectors (or a whole-entry vector for entries that predate chunking);
+ * an entry scores as its best-matching row.
+ *
+ * Vectors are unit length and packed into a single Float32Array, so scoring
+ * every entry is one tight dot-product loop with no parsing or allocation.
+ * An exact scan stays well under a frame for the few thousand entries a
+ * journal accumulates; an approximate structure (HNSW/IVF) can slot in behind
+ * searchVectorIndex if that ever stops being true.
+ */
+let cachedIndex = null;
+
+/**
+ * Load every vector for a model into a packed matrix
+ * @param {string} model - Embedding model name
+ * @param {number} version - Embeddings version the snapshot corresponds to
+ * @returns {Promise<{model: string, version: number, entryIds: number[], chunkIds: Array<number|null>, dims: number, matrix: Float32Array}>}
+ */
+const buildIndex = async (model, version) => {
+  const rows = await getSearchVectors(model);
+  const dims = rows.length > 0 ? rows[0].vector.length : 0;
+  // A model's dimensions shouldn't change, but never mix lengths in one matrix
+  const usable = rows.filter(row => row.vector.length === dims);
+
+  const matrix = new Float32Array(usable.length * dims);
+  usable.forEach((row, i) => {
+    matrix.set(row.vector, i * dims);
+  });
+
+  return {
+    model,
+    version,
+    entryIds: usable.map(row => row.entryId),
+    chunkIds: usable.map(row => row.chunkId),
+    dims,
+    matrix,
+  };
+};
+
+/**
+ * Get the index for a model, rebuilding it if vectors changed since it was loaded
+ * @param {string} model - Embedding model name
+ * @returns {Promise<object>}
+ */
+export const getVectorIndex = async (model) => {
+  const version = getEmbeddingsVersion();
+  if (!cachedIndex || cachedIndex.model !== model || cachedIndex.version !== version) {
+    cachedIndex = await buildIndex(model, version);
+  }
+  return cachedIndex;
+};
+
+/**
+ * Drop the cached index so the next search reloads it
+ */
+export const invalidateVectorIndex = () => {
+  cachedIndex = null;
+};
+
+/**
+ * Restore the min-heap property downwards from position i
+ */
+const siftDown = (scores, ids, size, i) => {
+  while (true) {
+    const left = 2 * i + 1;
+    const right = left + 1;
+    let smallest = i;
+    if (left < size && scores[left] < scores[smallest]) smallest = left;
+    if (right < size && scores[right] < scores[smallest]) smallest = right;
+    if (smallest === i) return;
+
+    [scores[i], scores[smallest]] = [scores[smallest], scores[i]];
+    [ids[i], ids[smallest]] = [ids[smallest], ids[i]];
+    i = smallest;
+  }
+};
+
+/**
+ * Restore the min-heap property upwards from position i
+ */
+const siftUp = (scores, ids, i) => {
+  while (i > 0) {
+    const parent = (i - 1) >> 1;
+    if (scores[parent] <= scores[i]) return;
+
+    [scores[i], scores[parent]] = [scores[parent], scores[i]];
+    [ids[i], ids[parent]] = [ids[parent], ids[i]];
+    i = parent;
+  }
+};
+
+/**
+ * Find the k entries most similar to a query vector
+ * @param {number[]|Float32Array} queryVector - Query embedding from the same model
+ * @param {string} model - Embedding model name
+ * @param {number} k - Number of results
+ * @param {Set<number>} excludeIds - Entry IDs to skip (optional)
+ * @returns {Promise<Array<{id: number, score: number, chunkId: number|null}>>} - Best first; score is the
+ *   cosine similarity of the entry's best-matching chunk, chunkId identifies that chunk
+ */
+export const searchVectorIndex = async (queryVector, model, k, excludeIds = null) => {
+  const index = await getVectorIndex(model);
+  const { entryIds, chunkIds, dims, matrix } = index;
+
+  if (entryIds.length === 0 || k <= 0) {
+    return [];
+  }
+  if (queryVector.length !== dims) {
+    console.warn(`Query vector has ${queryVector.length} dimensions, index has ${dims}`);
+    return [];
+  }
+
+  const query = normalizeVector(queryVector);
+
+  // Best row per entry
+  const bestByEntry = new Map();
+  for (let row = 0; row < entryIds.length; row++) {
+    const entryId = entryIds[row];
+    if (excludeIds && excludeIds.has(entryId)) {
+      continue;
+    }
+
+    const offset = row * dims;
+    let score = 0;
+    for (let d = 0; d < dims; d++) {
+      score += query[d] * matrix[offset + d];
+    }
+
+    const best = bestByEntry.get(entryId);
+    if (!best || score > best.score) {
+      bestByEntry.set(entryId, { score, chunkId: chunkIds[row] });
+    }
+  }
+
+  // Min-heap of the best k entries seen so far; the root is the weakest of them
+  const heapScores = [];
+  const heapIds = [];
+
+  for (const [entryId, { score }] of bestByEntry) {
+    if (heapScores.length < k) {
+      heapScores.push(score);
+      heapIds.push(entryId);
+      siftUp(heapScores, heapIds, heapScores.length - 1);
+    } else if (score > heapScores[0]) {
+      heapScores[0] = score;
+      heapIds[0] = entryId;
+      siftDown(heapScores, heapIds, heapScores.length, 0);
+    }
+  }
+
+  return heapIds
+    .map((id, i) => ({ id, score: heapScores[i], chunkId: bestByEntry.get(id).chunkId }))
+    .sort((a, b) => b.score - a.score);
+};
@@ -0,0 +1,80 @@
+/**
+ * Split long text into overlapping chunks for embedding
+ */
+
+// Roughly a paragraph or two of speech: long enough to carry meaning, short
+// enough that a match points at a specific passage
+export const CHUNK_SIZE = 1000;
+export const CHUNK_OVERLAP = 200;
+
+/**
+ * Find where to end a chunk, preferring a sentence end, then a word break
+ * @param {string} text - Full text
+ * @param {number} start - Chunk start offset
+ * @param {number} limit - Furthest allowed end offset
+ * @returns {number} - End offset (exclusive)
+ */
+const findChunkEnd = (text, start, limit) => {
+  if (limit >= text.length) {
+    return text.length;
+  }
+
+  // Don't let a boundary search shrink a chunk below half size
+  const floor = start + Math.floor((limit - start) / 2);
+  const window = text.slice(floor, limit);
+
+  const sentenceBreaks = [...window.matchAll(/[.!?]["')\]]?\s/g)];
+  if (sentenceBreaks.length > 0) {
+    const last = sentenceBreaks[sentenceBreaks.length - 1];
+    return floor + last.index + last[0].length;
+  }
+
+  const lastSpace = window.lastIndexOf(' ');
+  if (lastSpace > 0) {
+    return floor + lastSpace + 1;
+  }
+
+  return limit;
+};
+
+/**
+ * Split text into overlapping chunks
+ * @param {string} text - Text to split
+ * @param {Object} options - { size, overlap } in characters
+ * @returns {Array<{text: string, start: number, end: number}>} - Chunks with offsets into the original text
+ */
+export const chunkText = (text, options = {}) => {
+  const { size = CHUNK_SIZE, overlap = CHUNK_OVERLAP } = options;
+
+  if (!text || text.trim().length === 0) {
+    return [];
+  }
+  if (text.length <= size) {
+    return [{ text: text.trim(), start: 0, end: text.length }];
+  }
+
+  const chunks = [];
+  let start = 0;
+
+  while (start < text.length) {
+    const end = findChunkEnd(text, start, start + size);
+    const chunk = text.slice(start, end).trim();
+    if (chunk.length > 0) {
+      chunks.push({ text: chunk, start, end });
+    }
+    if (end >= text.length) {
+      break;
+    }
+
+    // Step back by the overlap, then forward to the next word so chunks
+    // don't start mid-word
+    let next = Math.max(end - overlap, start + 1);
+    const nextSpace = text.indexOf(' ', next);
+    if (nextSpace !== -1 && nextSpace < end) {
+      next = nextSpace + 1;
+    }
+    start = next;
+  }
+
+  return chunks;
+};
@@ -30,7 +30,71 @@ export const SETTINGS_KEYS = {
   CLUSTER_COUNT: 'cluster_count',
   CLUSTER_THRESHOLD: 'cluster_threshold',
   LAST_CLUSTERING_DATE: 'last_clustering_date',
+  CLUSTER_SILHOUETTE: 'cluster_silhouette',
+  CLUSTER_UNSORTED_COUNT: 'cluster_unsorted_count',
+  CLUSTERING_ALGORITHM: 'clustering_algorithm',
   SORT_PREFERENCE: 'sort_preference',
+  CONVERSATION_MEMORY: 'conversation_memory',
+  LLM_PROVIDER: 'llm_provider',
+  EMBEDDING_PROVIDER: 'embedding_provider',
+  TRANSCRIPTION_PROVIDER: 'transcription_provider',
+  OPENAI_COMPATIBLE_BASE_URL: 'openai_compatible_base_url',
+  OPENAI_COMPATIBLE_API_KEY: 'openai_compatible_api_key',
+  ANTHROPIC_API_KEY: 'anthropic_api_key',
+  MODEL_CHAT: 'model_chat',
+  MODEL_SUMMARY: 'model_summary',
+  MODEL_TOPICS: 'model_topics',
+  MODEL_LABELS: 'model_labels',
+  MODEL_EMBEDDING: 'model_embedding',
+  MODEL_TRANSCRIPTION: 'model_transcription',
+};
+
+export const LLM_PROVIDERS = {
+  OPENAI: 'openai',
+  OPENAI_COMPATIBLE: 'openai_compatible',
+  ANTHROPIC: 'anthropic',
+};
+
+// Each task can be pointed at its own model; embeddings and transcription
+// also pick their own provider since Anthropic offers neither
+export const LLM_TASKS = {
+  CHAT: 'chat',
+  SUMMARY: 'summary',
+  TOPICS: 'topics',
+  LABELS: 'labels',
+  EMBEDDING: 'embedding',
+  TRANSCRIPTION: 'transcription',
+};
+
+export const ENTRY_STATUS = {
+  PENDING_TRANSCRIPTION: 'pending_transcription',
+  COMPLETE: 'complete',
+};
+
+// Who made a change recorded in an entry's revision history
+export const REVISION_SOURCES = {
+  USER: 'user',
+  LLM: 'llm',
+  TRANSCRIPTION: 'transcription',
+  BACKFILL: 'backfill',
+};
+
+// Entry fields whose changes are kept as revisions
+export const REVISION_FIELDS = ['transcript', 'summary', 'name', 'topics'];
+
+export const JOB_STEPS = {
+  TRANSCRIBE: 'transcribe',
+  SUMMARY: 'summary',
+  EMBEDDING: 'embedding',
+  TOPICS: 'topics',
+  CLUSTERING: 'clustering',
+};
+
+export const JOB_STATUS = {
+  PENDING: 'pending',
+  RUNNING: 'running',
+  DONE: 'done',
+  FAILED: 'failed',
 };
 
 export const FOLDER_TYPES = {
@@ -43,6 +107,31 @@ export const SMART_FOLDER_TYPES = {
   CLUSTER: 'cluster',
 };
 
+// Fields a rule folder condition can test
+export const RULE_FIELDS = {
+  DATE: 'date',
+  MODE: 'mode',
+  TEXT: 'text',
+  NAME: 'name',
+  TOPIC: 'topic',
+  HAS_AUDIO: 'hasAudio',
+  WORD_COUNT: 'wordCount',
+  DURATION: 'duration',
+  CLUSTER: 'cluster',
+  FOLDER: 'folder',
+  WEEKDAY: 'weekday',
+  TIME_OF_DAY: 'timeOfDay',
+  SIMILAR_TO: 'similarTo',
+};
+
+export const CLUSTERING_ALGORITHMS = {
+  KMEANS: 'kmeans',
+  DENSITY: 'density',
+};
+
+// cluster_id of entries that didn't fit any cluster when they were added
+export const UNSORTED_CLUSTER_ID = -1;
+
 export const SORT_OPTIONS = {
   DATE_DESC: 'date_desc',
   DATE_ASC: 'date_asc',
@@ -0,0 +1,18 @@
+/**
+ * The text form of a conversation, as saved for a conversational entry's
+ * transcript and sent to the LLM for its summary
+ */
+
+import { ENTRY_STATUS } from './constants';
+
+/**
+ * Format conversation messages as "You: ..." and "Assistant: ..." turns.
+ * Turns still waiting to be transcribed have no text, so they're left out.
+ * @param {Array<{role: string, content: string, processing_status?: string}>} messages
+ * @returns {string}
+ */
+export const formatConversation = (messages) =>
+  messages
+    .filter((msg) => msg.processing_status !== ENTRY_STATUS.PENDING_TRANSCRIPTION)
+    .map((msg) => `${msg.role === 'user' ? 'You' : 'Assistant'}: ${msg.content}`)
+    .join('\n\n');
@@ -0,0 +1,92 @@
+/**
+ * Hungarian (Kuhn-Munkres) algorithm for the minimum-cost assignment problem
+ */
+
+/**
+ * Assign rows to columns so the total cost is minimal. Rectangular matrices
+ * are padded internally, so every row gets a column only if there are at
+ * least as many columns as rows.
+ * @param {number[][]} costMatrix - costMatrix[row][col]
+ * @returns {number[]} - Column assigned to each row, or -1 if the row was left unassigned
+ */
+export const solveAssignment = (costMatrix) => {
+  const rows = costMatrix.length;
+  if (rows === 0) {
+    return [];
+  }
+  const cols = costMatrix[0].length;
+  if (cols === 0) {
+    return new Array(rows).fill(-1);
+  }
+
+  // Square the problem; padded cells cost the same so they never bias real pairs
+  const n = Math.max(rows, cols);
+  let padCost = 0;
+  for (const row of costMatrix) {
+    for (const value of row) {
+      padCost = Math.max(padCost, value);
+    }
+  }
+  const cost = (i, j) => (i < rows && j < cols ? costMatrix[i][j] : padCost);
+
+  // Potentials and matching, 1-indexed with 0 as the virtual start column
+  const u = new Array(n + 1).fill(0);
+  const v = new Array(n + 1).fill(0);
+  const match = new Array(n + 1).fill(0); // match[col] = row
+  const way = new Array(n + 1).fill(0);
+
+  for (let i = 1; i <= n; i++) {
+    match[0] = i;
+    let j0 = 0;
+    const minv = new Array(n + 1).fill(Infinity);
+    const used = new Array(n + 1).fill(false);
+
+    do {
+      used[j0] = true;
+      const i0 = match[j0];
+      let delta = Infinity;
+      let j1 = 0;
+
+      for (let j = 1; j <= n; j++) {
+        if (used[j]) {
+          continue;
+        }
+        const reduced = cost(i0 - 1, j - 1) - u[i0] - v[j];
+        if (reduced < minv[j]) {
+          minv[j] = reduced;
+          way[j] = j0;
+        }
+        if (minv[j] < delta) {
+          delta = minv[j];
+          j1 = j;
+        }
+      }
+
+      for (let j = 0; j <= n; j++) {
+        if (used[j]) {
+          u[match[j]] += delta;
+          v[j] -= delta;
+        } else {
+          minv[j] -= delta;
+        }
+      }
+      j0 = j1;
+    } while (match[j0] !== 0);
+
+    // Walk the augmenting path back to the start
+    do {
+      const j1 = way[j0];
+      match[j0] = match[j1];
+      j0 = j1;
+    } while (j0 !== 0);
+  }
+
+  const assignment = new Array(rows).fill(-1);
+  for (let j = 1; j <= n; j++) {
+    const row = match[j] - 1;
+    if (row < rows && j - 1 < cols) {
+      assignment[row] = j - 1;
+    }
+  }
+  return assignment;
+};
@@ -0,0 +1,307 @@
+/**
+ * Reading the audio track of an MP4 (.m4a) recording and building small
+ * .m4a files that cover part of it, without decoding or re-encoding the
+ * audio. The AAC frames are copied as they are; only the index around them
+ * is rewritten.
+ */
+
+const MOVIE_TIMESCALE = 1000;
+const UNITY_MATRIX = [0x00010000, 0, 0, 0, 0x00010000, 0, 0, 0, 0x40000000];
+
+const typeAt = (bytes, offset) =>
+  String.fromCharCode(bytes[offset], bytes[offset + 1], bytes[offset + 2], bytes[offset + 3]);
+
+/**
+ * Read a box header
+ * @param {Uint8Array} bytes - Bytes holding the header
+ * @param {number} offset - Where the box starts
+ * @param {number} end - Where the enclosing data ends, for boxes that run to the end
+ * @returns {{type: string, size: number, headerSize: number}}
+ */
+export const readBoxHeader = (bytes, offset, end = bytes.length) => {
+  const view = new DataView(bytes.buffer, bytes.byteOffset + offset);
+  const type = typeAt(bytes, offset + 4);
+  const size = view.getUint32(0);
+  if (size === 1) {
+    return { type, size: view.getUint32(8) * 2 ** 32 + view.getUint32(12), headerSize: 16 };
+  }
+  return { type, size: size === 0 ? end - offset : size, headerSize: 8 };
+};
+
+// Child boxes of a container box's payload, by type
+const childBoxes = (bytes, start, end) => {
+  const children = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    const { type, size, headerSize } = readBoxHeader(bytes, offset, end);
+    if (size < headerSize) {
+      throw new Error(`Malformed ${type} box`);
+    }
+    children.push({ type, start: offset, payload: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return children;
+};
+
+const findChild = (bytes, box, type) =>
+  childBoxes(bytes, box.payload, box.end).find(child => child.type === type);
+
+const requireChild = (bytes, box, type) => {
+  const child = findChild(bytes, box, type);
+  if (!child) {
+    throw new Error(`Recording has no ${type} box`);
+  }
+  return child;
+};
+
+/**
+ * Read the sample table of the first audio track from a moov box
+ * @param {Uint8Array} moov - The whole moov box, header included
+ * @returns {{timescale: number, durationMs: number, stsd: Uint8Array, sizes: Uint32Array,
+ *   offsets: Float64Array, times: Float64Array, durations: Uint32Array}} - Per-sample
+ *   sizes, file offsets, start times and durations, in the track's timescale
+ */
+export const parseAudioTrack = (moov) => {
+  const root = childBoxes(moov, 0, moov.length)[0];
+  if (root?.type !== 'moov') {
+    throw new Error('Not a moov box');
+  }
+
+  const mdia = childBoxes(moov, root.payload, root.end)
+    .filter(box => box.type === 'trak')
+    .map(trak => findChild(moov, trak, 'mdia'))
+    .find(box => {
+      const hdlr = box && findChild(moov, box, 'hdlr');
+      return hdlr && typeAt(moov, hdlr.payload + 8) === 'soun';
+    });
+  if (!mdia) {
+    throw new Error('Recording has no audio track');
+  }
+
+  const view = new DataView(moov.buffer, moov.byteOffset, moov.byteLength);
+  const mdhd = requireChild(moov, mdia, 'mdhd');
+  const timescale = view.getUint32(mdhd.payload + (moov[mdhd.payload] === 1 ? 20 : 12));
+  const stbl = requireChild(moov, requireChild(moov, mdia, 'minf'), 'stbl');
+
+  const stsz = requireChild(moov, stbl, 'stsz');
+  const fixedSize = view.getUint32(stsz.payload + 4);
+  const count = view.getUint32(stsz.payload + 8);
+  const sizes = new Uint32Array(count);
+  for (let i = 0; i < count; i++) {
+    sizes[i] = fixedSize || view.getUint32(stsz.payload + 12 + i * 4);
+  }
+
+  const times = new Float64Array(count);
+  const durations = new Uint32Array(count);
+  const stts = requireChild(moov, stbl, 'stts');
+  let sample = 0;
+  let time = 0;
+  for (let e = 0, entries = view.getUint32(stts.payload + 4); e < entries; e++) {
+    const runLength = view.getUint32(stts.payload + 8 + e * 8);
+    const delta = view.getUint32(stts.payload + 12 + e * 8);
+    for (let k = 0; k < runLength && sample < count; k++, sample++) {
+      times[sample] = time;
+      durations[sample] = delta;
+      time += delta;
+    }
+  }
+
+  const stco = findChild(moov, stbl, 'stco');
+  const co64 = stco ? null : requireChild(moov, stbl, 'co64');
+  const chunkTable = stco || co64;
+  const chunkCount = view.getUint32(chunkTable.payload + 4);
+  const chunkOffset = (chunk) => (stco
+    ? view.getUint32(stco.payload + 8 + chunk * 4)
+    : view.getUint32(co64.payload + 8 + chunk * 8) * 2 ** 32 + view.getUint32(co64.payload + 12 + chunk * 8));
+
+  const offsets = new Float64Array(count);
+  const stsc = requireChild(moov, stbl, 'stsc');
+  const stscEntries = view.getUint32(stsc.payload + 4);
+  sample = 0;
+  for (let e = 0; e < stscEntries; e++) {
+    const firstChunk = view.getUint32(stsc.payload + 8 + e * 12);
+    const perChunk = view.getUint32(stsc.payload + 12 + e * 12);
+    const nextFirstChunk = e + 1 < stscEntries
+      ? view.getUint32(stsc.payload + 8 + (e + 1) * 12)
+      : chunkCount + 1;
+    for (let chunk = firstChunk; chunk < nextFirstChunk; chunk++) {
+      let offset = chunkOffset(chunk - 1);
+      for (let k = 0; k < perChunk && sample < count; k++, sample++) {
+        offsets[sample] = offset;
+        offset += sizes[sample];
+      }
+    }
+  }
+
+  const stsd = requireChild(moov, stbl, 'stsd');
+  return {
+    timescale,
+    durationMs: (time / timescale) * 1000,
+    stsd: moov.slice(stsd.start, stsd.end),
+    sizes,
+    offsets,
+    times,
+    durations,
+  };
+};
+
+// First sample starting at or after a time, in the track's timescale
+const sampleAt = (track, time) => {
+  let low = 0;
+  let high = track.times.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (track.times[mid] < time) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+const concat = (parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+};
+
+const uint32s = (values) => {
+  const bytes = new Uint8Array(values.length * 4);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setUint32(i * 4, value));
+  return bytes;
+};
+
+const uint16s = (values) => {
+  const bytes = new Uint8Array(values.length * 2);
+  const view = new DataView(bytes.buffer);
+  values.forEach((value, i) => view.setUint16(i * 2, value));
+  return bytes;
+};
+
+const ascii = (text) => Uint8Array.from(text, char => char.charCodeAt(0));
+
+const box = (type, ...parts) => {
+  const payload = concat(parts);
+  return concat([uint32s([payload.length + 8]), ascii(type), payload]);
+};
+
+const fullBox = (type, version, flags, ...parts) =>
+  box(type, uint32s([version * 2 ** 24 + flags]), ...parts);
+
+// Index for samples [first, last), whose bytes start at dataStart in the new file
+const buildMoov = (track, first, last, dataStart, rangeStart) => {
+  const count = last - first;
+  let units = 0;
+  const runs = [];
+  for (let i = first; i < last; i++) {
+    units += track.durations[i];
+    const run = runs[runs.length - 1];
+    if (run && run[1] === track.durations[i]) {
+      run[0]++;
+    } else {
+      runs.push([1, track.durations[i]]);
+    }
+  }
+  const movieDuration = Math.round((units / track.timescale) * MOVIE_TIMESCALE);
+
+  const sizes = new Array(count);
+  const offsets = new Array(count);
+  for (let i = 0; i < count; i++) {
+    sizes[i] = track.sizes[first + i];
+    offsets[i] = dataStart + track.offsets[first + i] - rangeStart;
+  }
+
+  const stbl = box(
+    'stbl',
+    track.stsd,
+    fullBox('stts', 0, 0, uint32s([runs.length, ...runs.flat()])),
+    // One sample per chunk, so samples can sit anywhere in the copied bytes
+    fullBox('stsc', 0, 0, uint32s([1, 1, 1, 1])),
+    fullBox('stsz', 0, 0, uint32s([0, count]), uint32s(sizes)),
+    fullBox('stco', 0, 0, uint32s([count]), uint32s(offsets))
+  );
+  const minf = box(
+    'minf',
+    fullBox('smhd', 0, 0, uint16s([0, 0])),
+    box('dinf', fullBox('dref', 0, 0, uint32s([1]), fullBox('url ', 0, 1))),
+    stbl
+  );
+  const mdia = box(
+    'mdia',
+    fullBox('mdhd', 0, 0, uint32s([0, 0, track.timescale, units]), uint16s([0x55c4, 0])),
+    fullBox('hdlr', 0, 0, uint32s([0]), ascii('soun'), new Uint8Array(12), ascii('SoundHandler\0')),
+    minf
+  );
+  const trak = box(
+    'trak',
+    fullBox(
+      'tkhd', 0, 7,
+      uint32s([0, 0, 1, 0, movieDuration]),
+      new Uint8Array(8),
+      uint16s([0, 0, 0x0100, 0]),
+      uint32s(UNITY_MATRIX),
+      uint32s([0, 0])
+    ),
+    mdia
+  );
+  return box(
+    'moov',
+    fullBox(
+      'mvhd', 0, 0,
+      uint32s([0, 0, MOVIE_TIMESCALE, movieDuration, 0x00010000]),
+      uint16s([0x0100, 0]),
+      new Uint8Array(8),
+      uint32s(UNITY_MATRIX),
+      new Uint8Array(24),
+      uint32s([2])
+    ),
+    trak
+  );
+};
+
+/**
+ * Plan an .m4a file holding the stretch of a track from startMs to endMs.
+ * The file is the returned header followed by dataLength bytes copied from
+ * the recording at dataOffset. The header's length is a multiple of three,
+ * so its base64 can be joined directly to the base64 of the copied bytes.
+ * @param {object} track - From parseAudioTrack
+ * @param {number} startMs - Start of the stretch
+ * @param {number} endMs - End of the stretch
+ * @returns {{header: Uint8Array, dataOffset: number, dataLength: number}}
+ */
+export const buildAudioWindow = (track, startMs, endMs) => {
+  const first = sampleAt(track, (startMs / 1000) * track.timescale);
+  const last = sampleAt(track, (endMs / 1000) * track.timescale);
+  if (last <= first) {
+    throw new Error('No audio in that stretch of the recording');
+  }
+
+  let rangeStart = Infinity;
+  let rangeEnd = 0;
+  for (let i = first; i < last; i++) {
+    rangeStart = Math.min(rangeStart, track.offsets[i]);
+    rangeEnd = Math.max(rangeEnd, track.offsets[i] + track.sizes[i]);
+  }
+  const dataLength = rangeEnd - rangeStart;
+
+  const ftyp = box('ftyp', ascii('M4A '), uint32s([0]), ascii('M4A mp42isom'));
+  // Offsets don't change the index's size, so measure it first
+  const unpadded = ftyp.length + buildMoov(track, first, last, 0, rangeStart).length + 8;
+  const freeSize = [0, 8, 10][unpadded % 3];
+  const dataStart = unpadded + freeSize;
+
+  const header = concat([
+    ftyp,
+    buildMoov(track, first, last, dataStart, rangeStart),
+    freeSize ? box('free', new Uint8Array(freeSize - 8)) : new Uint8Array(0),
+    uint32s([dataLength + 8]),
+    ascii('mdat'),
+  ]);
+  return { header, dataOffset: rangeStart, dataLength };
+};
@@ -0,0 +1,20 @@
+/**
+ * Seedable pseudo-random numbers, so algorithms that need randomness
+ * (like k-means initialization) give the same result for the same input
+ */
+
+/**
+ * Create a random number generator (mulberry32) from a 32-bit seed
+ * @param {number} seed - Any integer; the same seed yields the same sequence
+ * @returns {() => number} - Function returning floats in [0, 1), like Math.random
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
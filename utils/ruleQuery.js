@@ -0,0 +1,280 @@
+/**
+ * Rule folder conditions, compiled to SQL where possible
+ *
+ * Rules are a tree of groups and conditions:
+ *   { match: 'all' | 'any', negate?: true, conditions: [...] }   group
+ *   { field, op?, value, negate?: true }                          condition
+ *
+ * Conditions on columns become SQL; the rest (word count, weekday, time of
+ * day, semantic similarity) are checked in JS on the rows SQL returns.
+ */
+
+import { RULE_FIELDS } from './constants';
+import { dotProduct, blobToVector } from './vectors';
+
+export const DEFAULT_SIMILARITY_THRESHOLD = 0.5;
+
+/**
+ * Whether a rule node is a group rather than a single condition
+ * @param {object} node - Rule node
+ * @returns {boolean}
+ */
+export const isRuleGroup = (node) => Array.isArray(node?.conditions);
+
+/**
+ * Convert rules to the group format. Folders saved before groups existed
+ * store a flat object whose filters are ANDed together.
+ * @param {object} rules - Stored rules
+ * @returns {object|null} - Root group
+ */
+export const normalizeRules = (rules) => {
+  if (!rules) {
+    return null;
+  }
+  if (isRuleGroup(rules)) {
+    return rules;
+  }
+
+  const conditions = [];
+  if (rules.dateRange?.type === 'last_n_days') {
+    conditions.push({ field: RULE_FIELDS.DATE, op: 'lastDays', value: rules.dateRange.value });
+  } else if (rules.dateRange?.type === 'range') {
+    conditions.push({
+      field: RULE_FIELDS.DATE,
+      op: 'between',
+      value: { start: rules.dateRange.start, end: rules.dateRange.end },
+    });
+  }
+  if (rules.mode) {
+    conditions.push({ field: RULE_FIELDS.MODE, value: rules.mode });
+  }
+  if (rules.textContains) {
+    conditions.push({ field: RULE_FIELDS.TEXT, value: rules.textContains });
+  }
+  if (rules.topicsContain?.length > 0) {
+    conditions.push({
+      match: 'any',
+      conditions: rules.topicsContain.map(topic => ({ field: RULE_FIELDS.TOPIC, value: topic })),
+    });
+  }
+
+  return { match: 'all', conditions };
+};
+
+/**
+ * Find every condition on a field anywhere in the tree
+ * @param {object} node - Rule node
+ * @param {string} field - Field from RULE_FIELDS
+ * @returns {object[]}
+ */
+export const collectConditions = (node, field) => {
+  if (!node) {
+    return [];
+  }
+  if (isRuleGroup(node)) {
+    return node.conditions.flatMap(child => collectConditions(child, field));
+  }
+  return node.field === field ? [node] : [];
+};
+
+/**
+ * Count the words in a piece of text
+ * @param {string} text - Text to count
+ * @returns {number}
+ */
+export const countWords = (text) => {
+  const words = (text || '').trim().split(/\s+/);
+  return words[0] === '' ? 0 : words.length;
+};
+
+// Comparison for wordCount and duration conditions
+const compare = (op, actual, limit) => (op === 'atMost' ? actual <= limit : actual >= limit);
+
+/**
+ * SQL for a condition on a journal_entries column
+ * @param {object} condition - Rule condition
+ * @returns {{sql: string, params: Array}|null} - Null if it has to be checked in JS
+ */
+const conditionSql = (condition) => {
+  const { field, op, value } = condition;
+
+  switch (field) {
+    case RULE_FIELDS.DATE:
+      if (op === 'between') {
+        return { sql: 'date >= ? AND date <= ?', params: [value.start, value.end] };
+      } else {
+        const cutoffDate = new Date();
+        cutoffDate.setDate(cutoffDate.getDate() - value);
+        return { sql: 'date >= ?', params: [cutoffDate.toISOString()] };
+      }
+    case RULE_FIELDS.MODE:
+      return { sql: 'mode = ?', params: [value] };
+    case RULE_FIELDS.TEXT:
+      return { sql: 'transcript LIKE ? OR summary LIKE ?', params: [`%${value}%`, `%${value}%`] };
+    case RULE_FIELDS.NAME:
+      return { sql: 'name LIKE ?', params: [`%${value}%`] };
+    case RULE_FIELDS.TOPIC:
+      return { sql: 'topics LIKE ?', params: [`%${value}%`] };
+    case RULE_FIELDS.HAS_AUDIO:
+      return { sql: value ? 'audio_path IS NOT NULL' : 'audio_path IS NULL', params: [] };
+    case RULE_FIELDS.DURATION:
+      return {
+        sql: op === 'atMost' ? 'duration_ms <= ?' : 'duration_ms >= ?',
+        params: [value * 1000],
+      };
+    case RULE_FIELDS.CLUSTER:
+      // value is a cluster folder; its sub-topic folders count as part of it
+      return {
+        sql: `cluster_id IN (
+          WITH RECURSIVE cluster_tree(id, cluster_id) AS (
+            SELECT id, cluster_id FROM smart_folders WHERE id = ?
+            UNION ALL
+            SELECT sf.id, sf.cluster_id FROM smart_folders sf
+            INNER JOIN cluster_tree ct ON sf.parent_id = ct.id
+          )
+          SELECT cluster_id FROM cluster_tree)`,
+        params: [value],
+      };
+    case RULE_FIELDS.FOLDER:
+      return {
+        sql: `id IN (SELECT entry_id FROM folder_entries
+                     WHERE folder_id = ? AND folder_type = 'manual')`,
+        params: [value],
+      };
+    default:
+      return null;
+  }
+};
+
+/**
+ * JS check for a condition SQL can't express
+ * @param {object} condition - Rule condition
+ * @param {Map} references - Similarity condition → Map of model → reference vector
+ * @returns {(entry: object) => boolean}
+ */
+const conditionTest = (condition, references) => {
+  const { field, op, value } = condition;
+
+  switch (field) {
+    case RULE_FIELDS.WORD_COUNT:
+      return (entry) => compare(op, countWords(entry.transcript || entry.summary), value);
+    case RULE_FIELDS.WEEKDAY:
+      // value lists days as 0 (Sunday) to 6, in the device's time zone
+      return (entry) => value.includes(new Date(entry.date).getDay());
+    case RULE_FIELDS.TIME_OF_DAY:
+      // Hours from (inclusive) to (exclusive); a range like 22 → 5 wraps past midnight
+      return (entry) => {
+        const hour = new Date(entry.date).getHours();
+        return value.from <= value.to
+          ? hour >= value.from && hour < value.to
+          : hour >= value.from || hour < value.to;
+      };
+    case RULE_FIELDS.SIMILAR_TO: {
+      const vectors = references.get(condition) || new Map();
+      const threshold = value.threshold ?? DEFAULT_SIMILARITY_THRESHOLD;
+      return (entry) => {
+        // Vectors from different embedding models can't be compared
+        const reference = vectors.get(entry.embedding_model);
+        if (!reference || !entry.embedding_vector) {
+          return false;
+        }
+        return dotProduct(reference, blobToVector(entry.embedding_vector)) >= threshold;
+      };
+    }
+    default:
+      throw new Error(`Unknown rule field: ${field}`);
+  }
+};
+
+const negateSql = (compiled, negate) =>
+  negate ? { sql: `NOT ${compiled.sql}`, params: compiled.params } : compiled;
+
+/**
+ * Compile a node to SQL if everything under it has a SQL form
+ * @param {object} node - Rule node
+ * @returns {{sql: string, params: Array}|null}
+ */
+const toSql = (node) => {
+  if (isRuleGroup(node)) {
+    const parts = node.conditions.map(toSql);
+    if (parts.some(part => part === null)) {
+      return null;
+    }
+    const sql = parts.length === 0
+      ? (node.match === 'any' ? '0' : '1')
+      : `(${parts.map(part => part.sql).join(node.match === 'any' ? ' OR ' : ' AND ')})`;
+    return negateSql({ sql, params: parts.flatMap(part => part.params) }, node.negate);
+  }
+
+  const leaf = conditionSql(node);
+  if (!leaf) {
+    return null;
+  }
+  // A NULL column counts as not matching, so NOT agrees with the JS checks
+  return negateSql({ sql: `IFNULL((${leaf.sql}), 0)`, params: leaf.params }, node.negate);
+};
+
+/**
+ * Compile a node to a JS check. Parts that have a SQL form are selected as
+ * extra columns and read back from the row.
+ * @param {object} node - Rule node
+ * @param {Array} columns - Extra columns to select, added to as needed
+ * @param {Map} references - Similarity reference vectors
+ * @returns {(entry: object) => boolean}
+ */
+const toTest = (node, columns, references) => {
+  const compiled = toSql(node);
+  if (compiled) {
+    const alias = `rule_${columns.length}`;
+    columns.push({ ...compiled, alias });
+    return (entry) => entry[alias] === 1;
+  }
+
+  let test;
+  if (isRuleGroup(node)) {
+    const tests = node.conditions.map(child => toTest(child, columns, references));
+    test = node.match === 'any'
+      ? (entry) => tests.some(childTest => childTest(entry))
+      : (entry) => tests.every(childTest => childTest(entry));
+  } else {
+    test = conditionTest(node, references);
+  }
+  return node.negate ? (entry) => !test(entry) : test;
+};
+
+/**
+ * Compile rules into a query on journal_entries plus a filter for the rows
+ * it returns. Conditions ANDed at the top level go into WHERE when they can;
+ * an OR or NOT that mixes in a JS-only condition is checked entirely in JS.
+ * @param {object} rules - Stored rules, either format
+ * @param {Map} references - Similarity condition → Map of model → normalized reference vector
+ * @returns {{select: string, where: string, params: Array, test: ((entry: object) => boolean)|null}}
+ *   - select is appended after SELECT *; test is null when SQL covers every condition
+ */
+export const compileRules = (rules, references = new Map()) => {
+  const root = normalizeRules(rules);
+  const columns = [];
+  const where = [];
+  const tests = [];
+
+  const visit = (node) => {
+    const compiled = toSql(node);
+    if (compiled) {
+      where.push(compiled);
+    } else if (isRuleGroup(node) && node.match !== 'any' && !node.negate) {
+      node.conditions.forEach(visit);
+    } else {
+      tests.push(toTest(node, columns, references));
+    }
+  };
+  if (root) {
+    visit(root);
+  }
+
+  return {
+    select: columns.map(column => `, ${column.sql} AS ${column.alias}`).join(''),
+    where: where.length > 0 ? `WHERE ${where.map(part => part.sql).join(' AND ')}` : '',
+    params: [...columns.flatMap(column => column.params), ...where.flatMap(part => part.params)],
+    test: tests.length > 0 ? (entry) => tests.every(test => test(entry)) : null,
+  };
+};
@@ -0,0 +1,52 @@
+/**
+ * Cooperative scheduling for long computations. App code shares the JS thread
+ * with the UI, so heavy loops call a checkpoint that hands control back to
+ * the event loop every few milliseconds and stops the work once cancelled.
+ */
+
+// Longest stretch of work between yields, well inside a 16ms frame
+const DEFAULT_SLICE_MS = 8;
+
+/**
+ * Create the error thrown when a computation is cancelled
+ * @returns {Error} - Error tagged with code CANCELLED
+ */
+export const cancelledError = () => {
+  const error = new Error('Cancelled');
+  error.code = 'CANCELLED';
+  return error;
+};
+
+/**
+ * Whether an error came from cancelling a computation
+ * @param {Error} error - Error to check
+ * @returns {boolean}
+ */
+export const isCancelledError = (error) => error?.code === 'CANCELLED';
+
+/**
+ * Create a checkpoint for a long computation. Awaiting it is cheap until the
+ * current time slice is used up, then it yields to the event loop.
+ * @param {AbortSignal} signal - Aborting it makes the next checkpoint throw a cancellation error (optional)
+ * @param {number} sliceMs - Work allowed between yields
+ * @returns {() => Promise<void>}
+ */
+export const createYielder = (signal = null, sliceMs = DEFAULT_SLICE_MS) => {
+  let sliceStart = Date.now();
+
+  return async () => {
+    if (signal?.aborted) {
+      throw cancelledError();
+    }
+    if (Date.now() - sliceStart < sliceMs) {
+      return;
+    }
+
+    await new Promise(resolve => setTimeout(resolve, 0));
+    sliceStart = Date.now();
+
+    if (signal?.aborted) {
+      throw cancelledError();
+    }
+  };
+};
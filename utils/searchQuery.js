@@ -0,0 +1,108 @@
+/**
+ * Search query parsing for the full-text index
+ *
+ * Supported syntax:
+ *   word         match the word (stemmed)
+ *   "two words"  match the exact phrase
+ *   prefix*      match any word starting with prefix
+ *   -word        exclude entries containing the word (also -"phrase" and -prefix*)
+ */
+
+/**
+ * Split a raw query into terms
+ * @param {string} query - Raw query typed by the user
+ * @returns {Array<{text: string, phrase: boolean, prefix: boolean, exclude: boolean}>}
+ */
+export const parseSearchQuery = (query) => {
+  if (!query) {
+    return [];
+  }
+
+  const terms = [];
+  // Optional leading '-', then either a quoted phrase (closing quote optional
+  // while the user is still typing) or a bare word, then an optional '*'
+  const pattern = /(-?)(?:"([^"]*)"?|([^\s"]+))(\*?)/g;
+  let match;
+
+  while ((match = pattern.exec(query)) !== null) {
+    const [, minus, phraseText, wordText, star] = match;
+    const isPhrase = phraseText !== undefined;
+    let text = (isPhrase ? phraseText : wordText).trim();
+    let prefix = star === '*';
+
+    // A bare word can carry its own trailing stars ("run**")
+    if (!isPhrase && text.endsWith('*')) {
+      text = text.replace(/\*+$/, '');
+      prefix = true;
+    }
+
+    // Punctuation on its own tokenizes to nothing and would make an empty FTS term
+    if (!/[\p{L}\p{N}]/u.test(text)) {
+      continue;
+    }
+
+    terms.push({
+      text,
+      phrase: isPhrase && /\s/.test(text),
+      prefix,
+      exclude: minus === '-',
+    });
+  }
+
+  return terms;
+};
+
+/**
+ * Quote a term for an FTS5 MATCH expression
+ * @param {object} term - Parsed term
+ * @returns {string}
+ */
+const toFtsTerm = (term) => {
+  const quoted = `"${term.text.replace(/"/g, '""')}"`;
+  return term.prefix ? `${quoted}*` : quoted;
+};
+
+/**
+ * Build an FTS5 MATCH expression from parsed terms
+ * @param {Array} terms - Output of parseSearchQuery
+ * @returns {string|null} - null when there is nothing positive to match, since FTS5 can't run a bare NOT
+ */
+export const buildFtsQuery = (terms) => {
+  const included = terms.filter(term => !term.exclude);
+  const excluded = terms.filter(term => term.exclude);
+
+  if (included.length === 0) {
+    return null;
+  }
+
+  let expression = included.map(toFtsTerm).join(' AND ');
+  if (excluded.length > 0) {
+    expression = `(${expression}) NOT (${excluded.map(toFtsTerm).join(' OR ')})`;
+  }
+  return expression;
+};
+
+/**
+ * Build an FTS5 expression matching any of the excluded terms
+ * @param {Array} terms - Output of parseSearchQuery
+ * @returns {string|null}
+ */
+export const buildExclusionQuery = (terms) => {
+  const excluded = terms.filter(term => term.exclude);
+  if (excluded.length === 0) {
+    return null;
+  }
+  return excluded.map(toFtsTerm).join(' OR ');
+};
+
+/**
+ * Plain text of the positive terms, for semantic search
+ * @param {Array} terms - Output of parseSearchQuery
+ * @returns {string}
+ */
+export const getSemanticText = (terms) => {
+  return terms
+    .filter(term => !term.exclude)
+    .map(term => term.text)
+    .join(' ');
+};
@@ -0,0 +1,99 @@
+/**
+ * Word-level diff between two versions of a piece of text
+ */
+
+// Above this many word pairs the middle of the diff is shown as one
+// replacement rather than spending seconds and megabytes on an exact match
+const MAX_DIFF_CELLS = 4000000;
+
+/**
+ * Split text into words, each carrying the whitespace that follows it so the
+ * parts join back into the original text
+ * @param {string} text - Text to split
+ * @returns {string[]}
+ */
+const tokenize = (text) => (text || '').match(/\S+\s*|\s+/g) || [];
+
+/**
+ * Append a part, merging it into the previous one when they have the same type
+ * @param {Array<{type: string, text: string}>} parts - Diff so far
+ * @param {string} type - 'equal', 'added' or 'removed'
+ * @param {string} text - Text of the part
+ */
+const pushPart = (parts, type, text) => {
+  if (!text) {
+    return;
+  }
+  const last = parts[parts.length - 1];
+  if (last && last.type === type) {
+    last.text += text;
+  } else {
+    parts.push({ type, text });
+  }
+};
+
+/**
+ * Diff two texts word by word using the longest common subsequence of words
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array<{type: 'equal'|'added'|'removed', text: string}>} - Parts in reading order
+ */
+export const diffWords = (before, after) => {
+  const a = tokenize(before);
+  const b = tokenize(after);
+  // Compare words without their trailing whitespace, so a reflowed line
+  // doesn't count as a change
+  const same = (i, j) => a[i].trim() === b[j].trim();
+
+  // Unchanged runs at either end are common and don't need the full table
+  let start = 0;
+  while (start < a.length && start < b.length && same(start, start)) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && same(endA - 1, endB - 1)) {
+    endA--;
+    endB--;
+  }
+
+  const parts = [];
+  pushPart(parts, 'equal', b.slice(0, start).join(''));
+
+  const n = endA - start;
+  const m = endB - start;
+  if (n * m > MAX_DIFF_CELLS) {
+    pushPart(parts, 'removed', a.slice(start, endA).join(''));
+    pushPart(parts, 'added', b.slice(start, endB).join(''));
+  } else {
+    // lengths[i * (m + 1) + j] = LCS length of a[start + i..] and b[start + j..]
+    const width = m + 1;
+    const lengths = new Uint32Array((n + 1) * width);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lengths[i * width + j] = same(start + i, start + j)
+          ? lengths[(i + 1) * width + j + 1] + 1
+          : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+      }
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && same(start + i, start + j)) {
+        pushPart(parts, 'equal', b[start + j]);
+        i++;
+        j++;
+      } else if (i < n && (j === m || lengths[(i + 1) * width + j] >= lengths[i * width + j + 1])) {
+        pushPart(parts, 'removed', a[start + i]);
+        i++;
+      } else {
+        pushPart(parts, 'added', b[start + j]);
+        j++;
+      }
+    }
+  }
+
+  pushPart(parts, 'equal', b.slice(endB).join(''));
+  return parts;
+};
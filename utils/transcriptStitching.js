@@ -0,0 +1,206 @@
+/**
+ * Joining the transcripts of a long recording that was sent for
+ * transcription in overlapping windows
+ */
+
+// Shown in place of a window that hasn't been transcribed yet
+export const MISSING_PART_MARKER = '[…]';
+
+// Whisper is given the text before a window as its prompt; about this many
+// characters fits comfortably in its 224-token prompt window
+const PROMPT_CHARS = 600;
+
+// The longest run of words checked for a repeat across a join that has no
+// word timestamps; a few seconds of overlap is well inside this
+const MAX_REPEAT_WORDS = 30;
+
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const tokenize = (text) => normalize(text).split(' ').filter(Boolean);
+
+const comparable = (word) => word.toLowerCase().replace(/[^\p{L}\p{N}']/gu, '');
+
+/**
+ * Plan the windows a recording is sent in. Each starts overlapMs before the
+ * previous one ends, so a word cut at one window's edge is heard whole in
+ * the other.
+ * @param {number} durationMs - Length of the recording
+ * @param {number} windowMs - Longest window
+ * @param {number} overlapMs - Audio shared by neighbouring windows
+ * @returns {Array<{startMs: number, endMs: number}>}
+ */
+export const planWindows = (durationMs, windowMs, overlapMs) => {
+  const windows = [];
+  for (let startMs = 0; ; startMs += windowMs - overlapMs) {
+    const endMs = Math.min(startMs + windowMs, durationMs);
+    windows.push({ startMs, endMs });
+    if (endMs >= durationMs) {
+      return windows;
+    }
+  }
+};
+
+/**
+ * Line a window's word timestamps up with its transcript. Whisper's words
+ * carry no punctuation, so the text comes from its segments, whose
+ * whitespace-separated tokens match the words one for one.
+ * @param {{transcript: string|null, timing: object|null}} window - Transcribed window
+ * @returns {Array<{start: number, end: number, text: string, tokens: string[]}>|null} - Segments
+ *   with their tokens, or null if the words don't line up
+ */
+const alignWindow = (window) => {
+  const { transcript, timing } = window;
+  if (!transcript || !timing?.words?.length || !timing.segments?.length) {
+    return null;
+  }
+  const segments = timing.segments.map(segment => ({ ...segment, tokens: tokenize(segment.text) }));
+  const tokenCount = segments.reduce((total, segment) => total + segment.tokens.length, 0);
+  if (tokenCount !== timing.words.length || normalize(segments.map(segment => segment.text).join(' ')) !== normalize(transcript)) {
+    return null;
+  }
+  return segments;
+};
+
+/**
+ * The words of a window that start between lo and hi on the recording's
+ * timeline, with their segments and timestamps moved onto that timeline
+ * @returns {{text: string, segments: Array, words: Array}} - Times in seconds
+ */
+const keepBetween = (window, segments, lo, hi) => {
+  const offset = window.startMs / 1000;
+  const { words } = window.timing;
+  const keptSegments = [];
+  const keptWords = [];
+  let w = 0;
+
+  for (const segment of segments) {
+    const tokens = [];
+    const segmentWords = [];
+    for (const token of segment.tokens) {
+      const word = words[w++];
+      const startMs = (word.start + offset) * 1000;
+      if (startMs >= lo && startMs < hi) {
+        tokens.push(token);
+        segmentWords.push({ ...word, start: word.start + offset, end: word.end + offset });
+      }
+    }
+    if (tokens.length === 0) {
+      continue;
+    }
+    const whole = tokens.length === segment.tokens.length;
+    keptSegments.push({
+      start: whole ? segment.start + offset : segmentWords[0].start,
+      end: whole ? segment.end + offset : segmentWords[segmentWords.length - 1].end,
+      text: tokens.join(' '),
+    });
+    keptWords.push(...segmentWords);
+  }
+
+  return {
+    text: keptSegments.map(segment => segment.text).join(' '),
+    segments: keptSegments,
+    words: keptWords,
+  };
+};
+
+/**
+ * The end of the text heard before a window starts, cut at a word boundary,
+ * to prompt that window with. The overlap is left out so Whisper doesn't
+ * take the words it is about to hear as already said.
+ * @param {{startMs: number, transcript: string|null, timing: object|null}} previous - The window before
+ * @param {number} startMs - Where the window being prompted starts
+ * @returns {string}
+ */
+export const promptFromPrevious = (previous, startMs) => {
+  if (!previous?.transcript) {
+    return '';
+  }
+  const segments = alignWindow(previous);
+  const text = segments ? keepBetween(previous, segments, -Infinity, startMs).text : previous.transcript;
+  if (text.length <= PROMPT_CHARS) {
+    return text;
+  }
+  const tail = text.slice(-PROMPT_CHARS);
+  const firstSpace = tail.indexOf(' ');
+  return firstSpace === -1 ? tail : tail.slice(firstSpace + 1);
+};
+
+/**
+ * Drop words at the start of a window that repeat the end of the previous
+ * one, for joins where word timestamps aren't available
+ * @param {string|null} previous - Transcript of the previous window
+ * @param {string} text - Transcript of this window
+ * @returns {{text: string, removedWords: number}}
+ */
+export const trimRepeatedStart = (previous, text) => {
+  const before = tokenize(previous).map(comparable);
+  const words = tokenize(text);
+  const after = words.map(comparable);
+
+  // A single repeated word is as likely to be said twice as to be overlap
+  for (let length = Math.min(MAX_REPEAT_WORDS, before.length, after.length); length >= 2; length--) {
+    const tail = before.slice(before.length - length);
+    if (tail.every((word, i) => word !== '' && word === after[i])) {
+      return { text: words.slice(length).join(' '), removedWords: length };
+    }
+  }
+  return { text: words.join(' '), removedWords: 0 };
+};
+
+/**
+ * Join window transcripts into one. Where both windows at a join have word
+ * timestamps, the overlap is split at its midpoint: the earlier window keeps
+ * the words starting before it and the later one the words from it on.
+ * Otherwise the later window's opening words are matched against the end of
+ * the earlier one. Windows still missing are marked in the text.
+ * @param {Array<{startMs: number, endMs: number, transcript: string|null, timing: object|null}>} windows
+ *   - Windows in order; transcript is null if not transcribed
+ * @returns {{text: string, timing: object|null}} - timing covers the whole
+ *   recording when every window had word timestamps
+ */
+export const mergeWindowTranscripts = (windows) => {
+  const aligned = windows.map(alignWindow);
+  const cuts = windows.slice(1).map((window, i) =>
+    (aligned[i] && aligned[i + 1] ? (windows[i].endMs + window.startMs) / 2 : null));
+
+  const texts = [];
+  const segments = [];
+  const words = [];
+  let previous = null;
+
+  windows.forEach((window, i) => {
+    if (window.transcript === null || window.transcript === undefined) {
+      texts.push(MISSING_PART_MARKER);
+      previous = null;
+      return;
+    }
+
+    let text;
+    if (aligned[i]) {
+      const lo = i > 0 && cuts[i - 1] !== null ? cuts[i - 1] : -Infinity;
+      const hi = i < cuts.length && cuts[i] !== null ? cuts[i] : Infinity;
+      const kept = keepBetween(window, aligned[i], lo, hi);
+      text = kept.text;
+      segments.push(...kept.segments);
+      words.push(...kept.words);
+    } else {
+      text = normalize(window.transcript);
+    }
+    if (i > 0 && cuts[i - 1] === null && previous) {
+      text = trimRepeatedStart(previous, text).text;
+    }
+
+    if (text) {
+      texts.push(text);
+      previous = text;
+    }
+  });
+
+  const timed = aligned.every(Boolean);
+  return {
+    text: texts.join(' '),
+    timing: timed
+      ? { duration: windows[windows.length - 1].endMs / 1000, segments, words }
+      : null,
+  };
+};
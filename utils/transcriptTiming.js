@@ -0,0 +1,105 @@
+/**
+ * Sentence timings for following a transcript along with its recording
+ */
+
+// A sentence runs to its closing punctuation, plus any closing quote or bracket
+const SENTENCE_PATTERN = /[^.!?]+(?:[.!?]+["')\]]*|$)\s*/g;
+
+const normalize = (text) => (text || '').replace(/\s+/g, ' ').trim();
+
+const countWords = (text) => normalize(text).split(' ').filter(Boolean).length;
+
+/**
+ * Split a segment into sentences and time each one. Word timestamps give
+ * exact boundaries; without them time is shared out by word count.
+ * @param {{start: number, end: number, text: string}} segment - Whisper segment
+ * @param {Array<{start: number, end: number}>} words - Word timestamps inside the segment
+ * @returns {Array<{text: string, start: number, end: number}>}
+ */
+const splitSegment = (segment, words) => {
+  const sentences = segment.text.match(SENTENCE_PATTERN) || [segment.text];
+  if (sentences.length === 1) {
+    return [{ text: segment.text.trim(), start: segment.start, end: segment.end }];
+  }
+
+  const counts = sentences.map(countWords);
+  const total = counts.reduce((sum, count) => sum + count, 0);
+  const useWords = words.length === total;
+  const perWord = total > 0 ? (segment.end - segment.start) / total : 0;
+
+  let offset = 0;
+  return sentences.map((sentence, i) => {
+    const text = sentence.trim();
+    const first = offset;
+    const last = offset + Math.max(counts[i], 1) - 1;
+    offset += counts[i];
+
+    if (useWords && counts[i] > 0) {
+      return { text, start: words[first].start, end: words[last].end };
+    }
+    return {
+      text,
+      start: segment.start + first * perWord,
+      end: segment.start + (last + 1) * perWord,
+    };
+  });
+};
+
+/**
+ * Parse stored timing and break it into timed sentences, if it still
+ * matches the text. Once a transcript has been edited its timestamps no
+ * longer line up, and the transcript is shown without them.
+ * @param {string|null} timingJson - transcript_timing column
+ * @param {string} text - Current transcript or message text
+ * @returns {Array<{text: string, start: number, end: number}>|null} - Times in seconds
+ */
+export const buildTimedSentences = (timingJson, text) => {
+  if (!timingJson || !text) {
+    return null;
+  }
+
+  let timing;
+  try {
+    timing = JSON.parse(timingJson);
+  } catch (error) {
+    return null;
+  }
+  const segments = timing?.segments || [];
+  if (segments.length === 0) {
+    return null;
+  }
+  if (normalize(segments.map(segment => segment.text).join(' ')) !== normalize(text)) {
+    return null;
+  }
+
+  const words = timing.words || [];
+  return segments.flatMap((segment) =>
+    splitSegment(
+      segment,
+      words.filter(word => word.start >= segment.start && word.start < segment.end)
+    )
+  );
+};
+
+/**
+ * Find the sentence being spoken at a playback position
+ * @param {Array<{start: number, end: number}>} sentences - Timed sentences in order
+ * @param {number} positionMs - Playback position in milliseconds
+ * @returns {number} - Index of the sentence, or -1 before the first one starts
+ */
+export const findSentenceAt = (sentences, positionMs) => {
+  const seconds = positionMs / 1000;
+  let low = 0;
+  let high = sentences.length - 1;
+  let found = -1;
+  while (low <= high) {
+    const mid = (low + high) >> 1;
+    if (sentences[mid].start <= seconds) {
+      found = mid;
+      low = mid + 1;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return found;
+};
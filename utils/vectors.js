@@ -0,0 +1,59 @@
+/**
+ * Vector helpers for embeddings stored as Float32 BLOBs
+ */
+
+/**
+ * Scale a vector to unit length so cosine similarity becomes a plain dot product
+ * @param {number[]|Float32Array} vector - Input vector
+ * @returns {Float32Array} - Normalized copy
+ */
+export const normalizeVector = (vector) => {
+  const result = Float32Array.from(vector);
+  let norm = 0;
+  for (let i = 0; i < result.length; i++) {
+    norm += result[i] * result[i];
+  }
+  norm = Math.sqrt(norm);
+
+  if (norm > 0) {
+    for (let i = 0; i < result.length; i++) {
+      result[i] /= norm;
+    }
+  }
+  return result;
+};
+
+/**
+ * Encode a vector as bytes for a BLOB column
+ * @param {Float32Array} vector - Vector to encode
+ * @returns {Uint8Array}
+ */
+export const vectorToBlob = (vector) => {
+  const floats = vector instanceof Float32Array ? vector : Float32Array.from(vector);
+  return new Uint8Array(floats.buffer, floats.byteOffset, floats.byteLength);
+};
+
+/**
+ * Decode a BLOB column back into a vector
+ * @param {Uint8Array} blob - Bytes read from SQLite
+ * @returns {Float32Array}
+ */
+export const blobToVector = (blob) => {
+  // Copy so the Float32Array is 4-byte aligned regardless of where the bytes live
+  const bytes = blob.slice();
+  return new Float32Array(bytes.buffer, bytes.byteOffset, bytes.byteLength / 4);
+};
+
+/**
+ * Dot product of two vectors of equal length
+ * @param {Float32Array|number[]} a - First vector
+ * @param {Float32Array|number[]} b - Second vector
+ * @returns {number}
+ */
+export const dotProduct = (a, b) => {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i];
+  }
+  return sum;
+};